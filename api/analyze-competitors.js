@@ -4,31 +4,30 @@
  */
 
 const DataForSEOService = require('../services/dataForSEO');
-const OpenAIService = require('../services/openAI');
-const GeminiService = require('../services/gemini');
+const { registry } = require('../services/providerRegistry');
 const { SYSTEM_CONFIG } = require('../config/constants');
 const { logger } = require('../utils/logger');
+const Prompt = require('../utils/prompt');
+const { buildSerpContext } = require('../utils/serpFeatures');
+const { getOwnDomains, isOwnDomain } = require('../utils/rankTracking');
+const Brands = require('../utils/brands');
+const { validateLocale, resolveLocale } = require('../utils/locales');
+const { buildGapReport, findMissingTopics } = require('../utils/contentGap');
 
 // Initialize services (will be cached by Vercel)
 let dataForSEO = null;
-let openAI = null;
-let gemini = null;
 let servicesInitialized = false;
 
 function initializeServices() {
   if (servicesInitialized) return;
 
   try {
-    // Check if credentials exist
-    if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
-      openAI = new OpenAIService(process.env.OPENAI_API_KEY);
-      logger.success('OpenAI service initialized');
-    }
+    // A broken prompt template or brand file fails here, before any provider is called
+    Prompt.validateAll();
+    Brands.validateAll();
 
-    if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
-      gemini = new GeminiService(process.env.GEMINI_API_KEY);
-      logger.success('Gemini service initialized');
-    }
+    // Initialize every AI provider configured in the environment
+    registry.initialize();
 
     if (process.env.DATAFORSEO_LOGIN && 
         process.env.DATAFORSEO_PASSWORD && 
@@ -56,18 +55,24 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { keyword, location, language, model = 'gpt-4o' } = req.body;
+    const {
+      keyword, location, language, locale = null, model = 'gpt-4o', brand = SYSTEM_CONFIG.brands.default, forceRefresh = false,
+      description = null
+    } = req.body;
 
     // Check if requested model service is available
-    const isGeminiModel = model && model.startsWith('gemini');
-    const aiService = isGeminiModel ? gemini : openAI;
-    const serviceName = isGeminiModel ? 'Gemini' : 'OpenAI';
-    
+    const { service: aiService, Provider, error } = registry.resolveService(model);
+
+    if (error && error.status === 400) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
     // Check if services are available
     if (!dataForSEO || !aiService) {
       return res.status(503).json({
         error: 'Required services not configured',
-        message: `Both DataForSEO and ${serviceName} services are required for competitor analysis. Please configure your environment variables.`
+        message: `Both DataForSEO and ${Provider ? Provider.displayName : 'AI'} services are required for competitor analysis. Please configure your environment variables.`
       });
     }
 
@@ -77,28 +82,55 @@ export default async function handler(req, res) {
       });
     }
 
-    logger.info('Analyzing competitors', { keyword });
+    const validationError = Brands.validateBrand(brand).error || validateLocale({ locale, location, language }).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const market = resolveLocale({ locale, location, language });
+    logger.info('Analyzing competitors', { keyword, brand, locale: market.id });
 
     // Get SERP results
-    const serpResults = await dataForSEO.getSERPResults(keyword, location, language);
+    const serpResults = await dataForSEO.getSERPResults(keyword, market.location.code, market.language.code, { forceRefresh });
     
-    // Get competitor content
-    const topUrls = serpResults.organicResults
-      .slice(0, SYSTEM_CONFIG.parallel.competitorAnalysis)
+    // Get competitor content, skipping our own pages and trying further results when pages are excluded
+    const ownDomains = getOwnDomains(Brands.getBrand(brand));
+    const candidateUrls = serpResults.organicResults
+      .filter(r => !isOwnDomain(r.domain, ownDomains))
+      .slice(0, SYSTEM_CONFIG.crawler.maxCandidates)
       .map(r => r.url);
     
-    const competitorContent = await dataForSEO.getCompetitorContent(topUrls);
+    const { pages: competitorContent, excluded } = await dataForSEO.getCompetitorContent(candidateUrls);
     
     // Analyze content with AI
-    const insights = await aiService.analyzeCompetitorContent(keyword, competitorContent);
+    const insights = await aiService.analyzeCompetitorContent(keyword, competitorContent, model);
+
+    // Deterministic gap report, checked against our copy when one is supplied
+    const contentGap = buildGapReport(keyword, competitorContent);
+    if (description) {
+      contentGap.coverage = findMissingTopics(contentGap, description);
+    }
 
     return res.json({
       success: true,
       data: {
         keyword,
+        locale: market.id,
         totalResults: serpResults.totalResults,
+        cacheHits: { serp: serpResults.cached },
         competitorsAnalyzed: competitorContent.length,
-        insights
+        competitors: competitorContent.map(({ url, finalUrl, canonicalUrl, domain, title, outline, wordCount }) => ({
+          url, finalUrl, canonicalUrl, domain, title, outline, wordCount
+        })),
+        excluded,
+        insights,
+        contentGap,
+        serp: {
+          organicResults: serpResults.organicResults,
+          features: serpResults.features,
+          ...buildSerpContext(serpResults.features)
+        }
       }
     });
 
@@ -4,31 +4,48 @@
  */
 
 const DataForSEOService = require('../services/dataForSEO');
-const OpenAIService = require('../services/openAI');
-const GeminiService = require('../services/gemini');
+const { registry } = require('../services/providerRegistry');
+const ContentCorpus = require('../services/contentCorpus');
+const LinkIndex = require('../services/linkIndex');
+const { createGenerationStore } = require('../services/generationStore');
+const { processPagesConcurrently, processMarkets } = require('../services/generationPipeline');
 const { SYSTEM_CONFIG } = require('../config/constants');
 const { logger } = require('../utils/logger');
+const Prompt = require('../utils/prompt');
+const EventStream = require('../utils/eventStream');
+const { validateProfile } = require('../utils/profiles');
+const Brands = require('../utils/brands');
+const { validateLinkPolicy } = require('../utils/internalLinks');
+const Locales = require('../utils/locales');
+const { validateLocale, validateMarkets } = Locales;
 
 // Initialize services (will be cached by Vercel)
 let dataForSEO = null;
-let openAI = null;
-let gemini = null;
+let corpus = null;
+let linkIndex = null;
+let generations = null;
 let servicesInitialized = false;
 
 function initializeServices() {
   if (servicesInitialized) return;
 
   try {
-    // Check if credentials exist
-    if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
-      openAI = new OpenAIService(process.env.OPENAI_API_KEY);
-      logger.success('OpenAI service initialized');
-    }
+    // A broken prompt template, brand file or market rule fails here, before any provider is called
+    Prompt.validateAll();
+    Brands.validateAll();
+    Locales.validateAll();
 
-    if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
-      gemini = new GeminiService(process.env.GEMINI_API_KEY);
-      logger.success('Gemini service initialized');
-    }
+    // Initialize every AI provider configured in the environment
+    registry.initialize();
+
+    // Fingerprints of generated pages for duplicate detection
+    corpus = new ContentCorpus();
+
+    // Each brand's existing pages, for internal link suggestions and checks
+    linkIndex = new LinkIndex();
+
+    // Server-side history of every generation (SQLite)
+    generations = createGenerationStore();
 
     if (process.env.DATAFORSEO_LOGIN && 
         process.env.DATAFORSEO_PASSWORD && 
@@ -46,141 +63,6 @@ function initializeServices() {
   }
 }
 
-/**
- * Process multiple pages concurrently with rate limiting
- */
-async function processPagesConcurrently(pages, location, language, includeCompetitorAnalysis, includeSearchVolume, aiService) {
-  const results = [];
-  const batchSize = SYSTEM_CONFIG.parallel.maxConcurrent;
-
-  for (let i = 0; i < pages.length; i += batchSize) {
-    const batch = pages.slice(i, i + batchSize);
-    logger.process(`Processing batch ${Math.floor(i / batchSize) + 1}`, { pages: batch });
-
-    const batchPromises = batch.map(async (pageName) => {
-      try {
-        const result = await processSinglePage(
-          pageName,
-          location,
-          language,
-          includeCompetitorAnalysis,
-          includeSearchVolume,
-          aiService
-        );
-        return { ...result, success: true };
-      } catch (error) {
-        logger.error(`Failed to process ${pageName}`, error);
-        return {
-          pageName,
-          success: false,
-          error: error.message
-        };
-      }
-    });
-
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
-  }
-
-  return results;
-}
-
-/**
- * Process a single page with all features
- */
-async function processSinglePage(pageName, location, language, includeCompetitorAnalysis, includeSearchVolume, aiService) {
-  const pageLogger = logger.child(`[${pageName}]`);
-  pageLogger.process('Starting page processing');
-
-  let searchVolume = null;
-  let competitorInsights = null;
-  let competitorDomains = [];
-
-  // Parallel data gathering
-  const dataPromises = [];
-
-  // Get search volume if requested
-  if (includeSearchVolume && dataForSEO) {
-    pageLogger.info('Starting search volume request', { pageName, location, language });
-    dataPromises.push(
-      dataForSEO.getSearchVolume([pageName], location, language)
-        .then(data => {
-          pageLogger.info('Raw search volume response', { data, length: data?.length });
-          searchVolume = data[0];
-          pageLogger.success('Search volume retrieved', searchVolume);
-        })
-        .catch(error => {
-          pageLogger.warn('Failed to get search volume', error.message);
-        })
-    );
-  } else if (includeSearchVolume && !dataForSEO) {
-    pageLogger.warn('Search volume requested but DataForSEO not configured');
-  }
-
-  // Get competitor analysis if requested
-  if (includeCompetitorAnalysis && dataForSEO && aiService) {
-    dataPromises.push(
-      (async () => {
-        try {
-          pageLogger.process('Starting competitor analysis');
-          const serpResults = await dataForSEO.getSERPResults(pageName, location, language);
-          const topUrls = serpResults.organicResults
-            .slice(0, SYSTEM_CONFIG.parallel.competitorAnalysis)
-            .map(r => r.url);
-
-          competitorDomains = topUrls.map(url => {
-            try {
-              return new URL(url).hostname.replace('www.', '');
-            } catch (_) {
-              return null;
-            }
-          }).filter(Boolean);
-          
-          if (topUrls.length > 0) {
-            const competitorContent = await dataForSEO.getCompetitorContent(topUrls);
-            competitorInsights = await aiService.analyzeCompetitorContent(pageName, competitorContent);
-            pageLogger.success('Competitor analysis completed', {
-              competitorsAnalyzed: competitorContent.length
-            });
-          } else {
-            pageLogger.warn('No competitor URLs found for analysis');
-          }
-        } catch (error) {
-          pageLogger.warn('Failed to analyze competitors', error.message);
-        }
-      })()
-    );
-  } else if (includeCompetitorAnalysis && (!dataForSEO || !aiService)) {
-    pageLogger.warn('Competitor analysis requested but required services not configured');
-  }
-
-  // Wait for all data gathering to complete
-  await Promise.all(dataPromises);
-
-  // Check if SeatPick already ranks in top 3 SERP results
-  const seatpickTop3 = competitorDomains.some(domain => domain && domain.toLowerCase().includes('seatpick.com'));
-
-  // Generate description with retry logic
-  const descriptionResult = await aiService.generateWithRetry(
-    pageName,
-    language,
-    competitorInsights,
-    searchVolume
-  );
-
-  return {
-    pageName,
-    description: descriptionResult.description,
-    wordCount: descriptionResult.wordCount,
-    isValidLength: descriptionResult.isValidLength,
-    searchVolume: searchVolume?.searchVolume || null,
-    usage: descriptionResult.usage,
-    hasCompetitorInsights: !!competitorInsights,
-    competitorDomains,
-    seatpickTop3
-  };
-}
-
 export default async function handler(req, res) {
   // Initialize services on first request
   initializeServices();
@@ -190,26 +72,34 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let stream = null;
+
   try {
     const {
       pages,
       location = SYSTEM_CONFIG.defaultLocation,
       language = 'English',
+      locale = null,
+      markets = null,
       includeCompetitorAnalysis = false,
       includeSearchVolume = true,
+      includeKeywordExpansion = false,
+      includeRankTracking = false,
+      structuredOutput = false,
+      diversify = false,
+      forceRefresh = false,
+      profile = 'auto',
+      brand = SYSTEM_CONFIG.brands.default,
+      linkPolicy = SYSTEM_CONFIG.internalLinks.policy,
       model = 'gpt-4o' 
     } = req.body;
 
     // Check if requested model service is available
-    const isGeminiModel = model && model.startsWith('gemini');
-    const aiService = isGeminiModel ? gemini : openAI;
-    const serviceName = isGeminiModel ? 'Gemini' : 'OpenAI';
-    
-    if (!aiService) {
-      return res.status(503).json({
-        error: `${serviceName} service not configured`,
-        message: `Please add your ${serviceName === 'Gemini' ? 'GEMINI_API_KEY' : 'OPENAI_API_KEY'} to the environment variables`
-      });
+    const { service: aiService, Provider, error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
     }
 
     // Validation
@@ -225,31 +115,57 @@ export default async function handler(req, res) {
       });
     }
 
+    // With markets, each page is generated once per market instead of for one location and language
+    const validationError = validateProfile(profile).error || Brands.validateBrand(brand).error ||
+      validateLinkPolicy(linkPolicy).error ||
+      (markets ? validateMarkets(markets).error : validateLocale({ locale, location, language }).error);
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const totalPages = pages.length * (markets ? markets.length : 1);
+
     logger.header('Processing SEO Description Generation');
     logger.info('Request details', {
       pageCount: pages.length,
-      language,
+      locale: markets || locale || { location, language },
       includeCompetitorAnalysis,
       includeSearchVolume,
+      includeKeywordExpansion,
+      includeRankTracking,
+      structuredOutput,
+      diversify,
+      forceRefresh,
+      profile,
+      brand,
+      linkPolicy,
       model,
-      service: serviceName
+      service: Provider.displayName
     });
 
     // Reset token tracking for this batch
-    aiService.resetUsageTracking();
+    registry.resetUsageTracking();
 
-    // Process pages in parallel (with concurrency limit)
-    const results = await processPagesConcurrently(
-      pages,
-      location,
-      language,
-      includeCompetitorAnalysis,
-      includeSearchVolume,
-      aiService
-    );
+    // Stream per-page progress when the client accepts Server-Sent Events
+    if (EventStream.isRequested(req)) {
+      stream = new EventStream(res);
+      stream.send('start', { totalPages, pages, markets, model });
+    }
+
+    // Process pages in parallel (with concurrency limit), market by market in multi-market mode
+    const runOptions = {
+      locale, location, language, model, profile, brand, linkPolicy, includeCompetitorAnalysis, includeSearchVolume,
+      includeKeywordExpansion, includeRankTracking, structuredOutput, diversify, forceRefresh
+    };
+    const runServices = { dataForSEO, aiService, registry, corpus, linkIndex, generations };
+    const onEvent = stream && ((event, data) => stream.send(event, data));
+    const results = markets
+      ? await processMarkets(pages, markets, runOptions, runServices, onEvent)
+      : await processPagesConcurrently(pages, runOptions, runServices, onEvent);
 
     // Get final usage summary
-    const usageSummary = aiService.getUsageSummary();
+    const usageSummary = registry.getUsageSummary();
 
     logger.success('Generation completed', {
       successCount: results.filter(r => r.success).length,
@@ -257,18 +173,29 @@ export default async function handler(req, res) {
       totalCost: usageSummary.totalCost
     });
 
-    return res.json({
+    const responseBody = {
       success: true,
       results,
       summary: {
-        totalPages: pages.length,
+        totalPages,
         successfulGenerations: results.filter(r => r.success).length,
         usage: usageSummary
       }
-    });
+    };
+
+    if (stream) {
+      stream.send('done', responseBody);
+      return stream.end();
+    }
+
+    return res.json(responseBody);
 
   } catch (error) {
     logger.error('Generation failed', error);
+    if (stream) {
+      stream.send('error', { error: 'Failed to generate descriptions', message: error.message });
+      return stream.end();
+    }
     return res.status(500).json({
       error: 'Failed to generate descriptions',
       message: error.message
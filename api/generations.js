@@ -0,0 +1,52 @@
+/**
+ * Generation History Endpoint - Serverless Function for Vercel
+ * Lists stored generations with filtering and pagination
+ */
+
+const { GenerationStore, createGenerationStore } = require('../services/generationStore');
+const { logger } = require('../utils/logger');
+
+// Initialize store (will be cached by Vercel)
+let generations = null;
+let storeInitialized = false;
+
+function initializeStore() {
+  if (storeInitialized) return;
+
+  generations = createGenerationStore();
+  storeInitialized = true;
+}
+
+export default function handler(req, res) {
+  // Initialize store on first request
+  initializeStore();
+
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!generations) {
+    return res.status(503).json({
+      error: 'Generation history unavailable',
+      message: 'SQLite storage is disabled or could not be opened. Check GENERATIONS_DB and the function logs.'
+    });
+  }
+
+  const { filters, error } = GenerationStore.parseQuery(req.query);
+
+  if (error) {
+    const { status, ...body } = error;
+    return res.status(status).json(body);
+  }
+
+  try {
+    return res.json({ success: true, ...generations.list(filters) });
+  } catch (listError) {
+    logger.error('Failed to list generations', listError);
+    return res.status(500).json({
+      error: 'Failed to list generations',
+      message: listError.message
+    });
+  }
+}
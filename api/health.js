@@ -4,30 +4,20 @@
  */
 
 const DataForSEOService = require('../services/dataForSEO');
-const OpenAIService = require('../services/openAI');
-const GeminiService = require('../services/gemini');
+const { registry } = require('../services/providerRegistry');
 const { logger } = require('../utils/logger');
+const Brands = require('../utils/brands');
 
 // Initialize services (will be cached by Vercel)
 let dataForSEO = null;
-let openAI = null;
-let gemini = null;
 let servicesInitialized = false;
 
 function initializeServices() {
   if (servicesInitialized) return;
 
   try {
-    // Check if credentials exist
-    if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
-      openAI = new OpenAIService(process.env.OPENAI_API_KEY);
-      logger.success('OpenAI service initialized');
-    }
-
-    if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
-      gemini = new GeminiService(process.env.GEMINI_API_KEY);
-      logger.success('Gemini service initialized');
-    }
+    // Initialize every AI provider configured in the environment
+    registry.initialize();
 
     if (process.env.DATAFORSEO_LOGIN && 
         process.env.DATAFORSEO_PASSWORD && 
@@ -54,17 +44,20 @@ export default function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const hasAIService = !!(openAI || gemini);
+  const hasAIService = registry.hasAvailableService();
   const isFullyFunctional = hasAIService && !!dataForSEO;
+  const providers = registry.describe();
 
   return res.json({
     status: isFullyFunctional ? 'ok' : hasAIService ? 'partial' : 'degraded',
     timestamp: new Date().toISOString(),
     services: {
       dataForSEO: !!dataForSEO,
-      openAI: !!openAI,
-      gemini: !!gemini
+      ...Object.fromEntries(providers.map(provider => [provider.id, provider.configured]))
     },
+    providers,
+    fallbackModels: registry.fallbackModels,
+    brands: Brands.listBrands(),
     message: isFullyFunctional 
       ? 'All services operational' 
       : hasAIService 
@@ -0,0 +1,61 @@
+/**
+ * Link Index Endpoint - Serverless Function for Vercel
+ * Reports a brand's link index (GET); importing one (POST) needs the Express server
+ */
+
+const LinkIndex = require('../services/linkIndex');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const Brands = require('../utils/brands');
+const { logger } = require('../utils/logger');
+
+// Initialize index (will be cached by Vercel)
+let linkIndex = null;
+let indexInitialized = false;
+
+function initializeIndex() {
+  if (indexInitialized) return;
+
+  try {
+    Brands.validateAll();
+    linkIndex = new LinkIndex();
+    indexInitialized = true;
+  } catch (error) {
+    logger.error('Failed to initialize link index', error);
+  }
+}
+
+export default async function handler(req, res) {
+  // Initialize index on first request
+  initializeIndex();
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!linkIndex) {
+    return res.status(503).json({
+      error: 'Link index unavailable',
+      message: 'The brand configuration could not be loaded. Check the function logs.'
+    });
+  }
+
+  const params = req.method === 'GET' ? req.query : req.body;
+  const { brand = SYSTEM_CONFIG.brands.default } = params;
+
+  const { error: brandError } = Brands.validateBrand(brand);
+  if (brandError) {
+    const { status, ...body } = brandError;
+    return res.status(status).json(body);
+  }
+
+  if (req.method === 'GET') {
+    return res.json({ success: true, ...linkIndex.describe(brand) });
+  }
+
+  // Each function instance has its own read-only filesystem, so an imported index would reach neither the
+  // generator nor the next request
+  return res.status(501).json({
+    error: 'Link index import unavailable',
+    message: 'Importing a link index needs the long-running Express server (npm start); the serverless deployment has no storage to keep it in'
+  });
+}
@@ -0,0 +1,14 @@
+/**
+ * Locales Endpoint - Serverless Function for Vercel
+ * DataForSEO languages and locations, and the markets with spelling and currency rules
+ */
+
+const Locales = require('../utils/locales');
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return res.json({ success: true, ...Locales.listLocales() });
+}
@@ -0,0 +1,137 @@
+/**
+ * Prompt Experiments - Serverless Function for Vercel
+ * Generates the same pages with two prompt variants and compares the runs
+ */
+
+const DataForSEOService = require('../services/dataForSEO');
+const { registry } = require('../services/providerRegistry');
+const { createGenerationStore } = require('../services/generationStore');
+const LinkIndex = require('../services/linkIndex');
+const { runPromptExperiment } = require('../services/generationPipeline');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+const Prompt = require('../utils/prompt');
+const { validateProfile } = require('../utils/profiles');
+const Brands = require('../utils/brands');
+const { validateVariants } = require('../utils/promptExperiment');
+const { validateLinkPolicy } = require('../utils/internalLinks');
+const Locales = require('../utils/locales');
+
+// Initialize services (will be cached by Vercel)
+let dataForSEO = null;
+let generations = null;
+let linkIndex = null;
+let servicesInitialized = false;
+
+function initializeServices() {
+  if (servicesInitialized) return;
+
+  try {
+    // A broken prompt template, brand file or market rule fails here, before any provider is called
+    Prompt.validateAll();
+    Brands.validateAll();
+    Locales.validateAll();
+
+    // Initialize every AI provider configured in the environment
+    registry.initialize();
+
+    // Each brand's existing pages, for internal link suggestions and checks
+    linkIndex = new LinkIndex();
+
+    // Server-side history of every generation (SQLite)
+    generations = createGenerationStore();
+
+    if (process.env.DATAFORSEO_LOGIN && 
+        process.env.DATAFORSEO_PASSWORD && 
+        process.env.DATAFORSEO_LOGIN !== 'your_dataforseo_login_here') {
+      dataForSEO = new DataForSEOService(
+        process.env.DATAFORSEO_LOGIN,
+        process.env.DATAFORSEO_PASSWORD
+      );
+      logger.success('DataForSEO service initialized');
+    }
+
+    servicesInitialized = true;
+  } catch (error) {
+    logger.error('Failed to initialize services', error);
+  }
+}
+
+export default async function handler(req, res) {
+  // Initialize services on first request
+  initializeServices();
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const {
+      pages,
+      variants,
+      location = SYSTEM_CONFIG.defaultLocation,
+      language = 'English',
+      locale = null,
+      includeCompetitorAnalysis = false,
+      includeSearchVolume = true,
+      includeKeywordExpansion = false,
+      structuredOutput = false,
+      forceRefresh = false,
+      profile = 'auto',
+      brand = SYSTEM_CONFIG.brands.default,
+      linkPolicy = SYSTEM_CONFIG.internalLinks.policy,
+      model = 'gpt-4o'
+    } = req.body;
+
+    const { service: aiService, Provider, error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    if (!pages || !Array.isArray(pages) || pages.length === 0) {
+      return res.status(400).json({
+        error: 'Please provide an array of page names'
+      });
+    }
+
+    if (pages.length > SYSTEM_CONFIG.experiments.maxPages) {
+      return res.status(400).json({
+        error: `Maximum ${SYSTEM_CONFIG.experiments.maxPages} pages per experiment`
+      });
+    }
+
+    const validationError = validateVariants(variants).error || validateProfile(profile).error ||
+      Brands.validateBrand(brand).error || validateLinkPolicy(linkPolicy).error ||
+      Locales.validateLocale({ locale, location, language }).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    logger.info('Running prompt experiment', { pageCount: pages.length, variants, profile, brand, model, service: Provider.displayName });
+
+    const { runs, report } = await runPromptExperiment(
+      pages,
+      variants,
+      { locale, location, language, model, profile, brand, linkPolicy, includeCompetitorAnalysis, includeSearchVolume,
+        includeKeywordExpansion, structuredOutput, forceRefresh },
+      { dataForSEO, aiService, registry, linkIndex, generations }
+    );
+
+    return res.json({
+      success: true,
+      report,
+      results: Object.fromEntries(runs.map(run => [run.variant, run.results]))
+    });
+
+  } catch (error) {
+    logger.error('Prompt experiment failed', error);
+    return res.status(500).json({
+      error: 'Failed to run prompt experiment',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Rankings Endpoint - Serverless Function for Vercel
+ * Own-domain rank tracking from the SERP, without AI analysis
+ */
+
+const DataForSEOService = require('../services/dataForSEO');
+const { checkRankings } = require('../services/generationPipeline');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { getOwnDomains } = require('../utils/rankTracking');
+const Brands = require('../utils/brands');
+const { validateLocale } = require('../utils/locales');
+const { logger } = require('../utils/logger');
+
+// Initialize service (will be cached by Vercel)
+let dataForSEO = null;
+let serviceInitialized = false;
+
+function initializeService() {
+  if (serviceInitialized) return;
+
+  try {
+    if (process.env.DATAFORSEO_LOGIN && 
+        process.env.DATAFORSEO_PASSWORD && 
+        process.env.DATAFORSEO_LOGIN !== 'your_dataforseo_login_here') {
+      dataForSEO = new DataForSEOService(
+        process.env.DATAFORSEO_LOGIN,
+        process.env.DATAFORSEO_PASSWORD
+      );
+      logger.success('DataForSEO service initialized');
+    }
+
+    serviceInitialized = true;
+  } catch (error) {
+    logger.error('Failed to initialize DataForSEO service', error);
+  }
+}
+
+export default async function handler(req, res) {
+  // Initialize service on first request
+  initializeService();
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Check if DataForSEO is available
+    if (!dataForSEO) {
+      return res.status(503).json({
+        error: 'DataForSEO service not configured',
+        message: 'Please add DATAFORSEO_LOGIN and DATAFORSEO_PASSWORD to the environment variables'
+      });
+    }
+
+    const { keywords, location, language, locale = null, brand = SYSTEM_CONFIG.brands.default, forceRefresh = false } = req.body;
+
+    if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
+      return res.status(400).json({
+        error: 'Please provide an array of keywords'
+      });
+    }
+
+    if (keywords.length > SYSTEM_CONFIG.ranking.maxKeywords) {
+      return res.status(400).json({
+        error: `Maximum ${SYSTEM_CONFIG.ranking.maxKeywords} keywords per request`
+      });
+    }
+
+    const validationError = Brands.validateBrand(brand).error || validateLocale({ locale, location, language }).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const ownDomains = getOwnDomains(Brands.getBrand(brand));
+    logger.info('Checking own rankings', { keywordCount: keywords.length, brand, ownDomains });
+
+    const rankings = await checkRankings(keywords, { locale, location, language, brand, forceRefresh }, dataForSEO);
+
+    return res.json({
+      success: true,
+      brand,
+      ownDomains,
+      data: rankings
+    });
+
+  } catch (error) {
+    logger.error('Failed to check rankings', error);
+    return res.status(500).json({
+      error: 'Failed to check rankings',
+      message: error.message
+    });
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Refresh Endpoint - Serverless Function for Vercel
+ * Refreshes an existing page, fetched from its URL or sent as content, instead of generating it from scratch
+ */
+
+const DataForSEOService = require('../services/dataForSEO');
+const { registry } = require('../services/providerRegistry');
+const { createGenerationStore } = require('../services/generationStore');
+const { refreshPage } = require('../services/generationPipeline');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+const Prompt = require('../utils/prompt');
+const EventStream = require('../utils/eventStream');
+const { validateProfile } = require('../utils/profiles');
+const Brands = require('../utils/brands');
+const Locales = require('../utils/locales');
+const { validateLocale } = Locales;
+const { validateProtectedSections, loadPage, checkProtectedSections } = require('../utils/refresh');
+
+// Initialize services (will be cached by Vercel)
+let dataForSEO = null;
+let generations = null;
+let servicesInitialized = false;
+
+function initializeServices() {
+  if (servicesInitialized) return;
+
+  try {
+    // A broken prompt template, brand file or market rule fails here, before any provider is called
+    Prompt.validateAll();
+    Brands.validateAll();
+    Locales.validateAll();
+
+    // Initialize every AI provider configured in the environment
+    registry.initialize();
+
+    // Server-side history of every generation (SQLite); refreshes are recorded too
+    generations = createGenerationStore();
+
+    // Fetches pages by URL and checks where they rank
+    if (process.env.DATAFORSEO_LOGIN && 
+        process.env.DATAFORSEO_PASSWORD && 
+        process.env.DATAFORSEO_LOGIN !== 'your_dataforseo_login_here') {
+      dataForSEO = new DataForSEOService(
+        process.env.DATAFORSEO_LOGIN,
+        process.env.DATAFORSEO_PASSWORD
+      );
+      logger.success('DataForSEO service initialized');
+    }
+
+    servicesInitialized = true;
+  } catch (error) {
+    logger.error('Failed to initialize services', error);
+  }
+}
+
+export default async function handler(req, res) {
+  // Initialize services on first request
+  initializeServices();
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let stream = null;
+
+  try {
+    const {
+      pageName,
+      url = null,
+      content = null,
+      protectedSections = null,
+      location = SYSTEM_CONFIG.defaultLocation,
+      language = 'English',
+      locale = null,
+      profile = 'auto',
+      brand = SYSTEM_CONFIG.brands.default,
+      includeRankTracking = true,
+      forceRefresh = false,
+      model = 'gpt-4o'
+    } = req.body;
+
+    const { Provider, error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    if (typeof pageName !== 'string' || pageName.trim() === '') {
+      return res.status(400).json({
+        error: 'Please provide the pageName (keyword) the page targets'
+      });
+    }
+
+    const validationError = validateProfile(profile).error || Brands.validateBrand(brand).error ||
+      validateLocale({ locale, location, language }).error || validateProtectedSections(protectedSections).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const { page, error: pageError } = await loadPage({ url, content }, dataForSEO, Brands.getBrand(brand));
+    const protectionError = pageError || checkProtectedSections(page.content, protectedSections).error;
+    if (protectionError) {
+      const { status, ...body } = protectionError;
+      return res.status(status).json(body);
+    }
+
+    logger.header('Refreshing Existing Page');
+    logger.info('Refresh details', {
+      pageName, url, protectedSections, locale: locale || { location, language }, brand, model, service: Provider.displayName
+    });
+
+    // Reset token tracking for this request
+    registry.resetUsageTracking();
+
+    // Stream progress when the client accepts Server-Sent Events
+    if (EventStream.isRequested(req)) {
+      stream = new EventStream(res);
+      stream.send('start', { pageName, url, model });
+    }
+
+    const result = await refreshPage(
+      page,
+      { pageName: pageName.trim(), protectedSections, locale, location, language, profile, brand, model, includeRankTracking, forceRefresh },
+      { dataForSEO, registry, generations },
+      stream && ((event, data) => stream.send(event, data))
+    );
+
+    const usageSummary = registry.getUsageSummary();
+    logger.success('Refresh completed', { pageName, changes: result.changes.length, totalCost: usageSummary.totalCost });
+
+    const responseBody = { success: true, result, summary: { usage: usageSummary } };
+
+    if (stream) {
+      stream.send('done', responseBody);
+      return stream.end();
+    }
+
+    return res.json(responseBody);
+
+  } catch (error) {
+    logger.error('Refresh failed', error);
+    if (stream) {
+      stream.send('error', { error: 'Failed to refresh page', message: error.message });
+      return stream.end();
+    }
+    return res.status(500).json({
+      error: 'Failed to refresh page',
+      message: error.message
+    });
+  }
+}
@@ -5,6 +5,7 @@
 
 const DataForSEOService = require('../services/dataForSEO');
 const { logger } = require('../utils/logger');
+const { validateLocale, resolveLocale } = require('../utils/locales');
 
 // Initialize service (will be cached by Vercel)
 let dataForSEO = null;
@@ -48,7 +49,7 @@ export default async function handler(req, res) {
       });
     }
 
-    const { keywords, location, language } = req.body;
+    const { keywords, location, language, locale = null, forceRefresh = false } = req.body;
 
     if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
       return res.status(400).json({
@@ -56,13 +57,22 @@ export default async function handler(req, res) {
       });
     }
 
-    logger.info('Getting search volume data', { keywordCount: keywords.length });
+    const { error: localeError } = validateLocale({ locale, location, language });
+    if (localeError) {
+      const { status, ...body } = localeError;
+      return res.status(status).json(body);
+    }
+
+    const market = resolveLocale({ locale, location, language });
+    logger.info('Getting search volume data', { keywordCount: keywords.length, locale: market.id });
 
-    const volumeData = await dataForSEO.getSearchVolume(keywords, location, language);
+    const volumeData = await dataForSEO.getSearchVolume(keywords, market.location.code, market.language.code, { forceRefresh });
+    const hits = volumeData.filter(item => item.cached).length;
 
     return res.json({
       success: true,
-      data: volumeData
+      data: volumeData,
+      cache: { hits, misses: volumeData.length - hits }
     });
 
   } catch (error) {
@@ -0,0 +1,150 @@
+/**
+ * Translate Endpoint - Serverless Function for Vercel
+ * Translates an approved description, or a stored generation, into the languages of other markets
+ */
+
+const DataForSEOService = require('../services/dataForSEO');
+const { registry } = require('../services/providerRegistry');
+const { createGenerationStore } = require('../services/generationStore');
+const { translateToMarkets } = require('../services/generationPipeline');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+const Prompt = require('../utils/prompt');
+const EventStream = require('../utils/eventStream');
+const Brands = require('../utils/brands');
+const Locales = require('../utils/locales');
+const { validateMarkets } = Locales;
+const { loadSource } = require('../utils/translation');
+
+// Initialize services (will be cached by Vercel)
+let dataForSEO = null;
+let generations = null;
+let servicesInitialized = false;
+
+function initializeServices() {
+  if (servicesInitialized) return;
+
+  try {
+    // A broken prompt template, brand file or market rule fails here, before any provider is called
+    Prompt.validateAll();
+    Brands.validateAll();
+    Locales.validateAll();
+
+    // Initialize every AI provider configured in the environment
+    registry.initialize();
+
+    // Server-side history of every generation (SQLite); translations are recorded and stored ones translated
+    generations = createGenerationStore();
+
+    if (process.env.DATAFORSEO_LOGIN && 
+        process.env.DATAFORSEO_PASSWORD && 
+        process.env.DATAFORSEO_LOGIN !== 'your_dataforseo_login_here') {
+      dataForSEO = new DataForSEOService(
+        process.env.DATAFORSEO_LOGIN,
+        process.env.DATAFORSEO_PASSWORD
+      );
+      logger.success('DataForSEO service initialized');
+    }
+
+    servicesInitialized = true;
+  } catch (error) {
+    logger.error('Failed to initialize services', error);
+  }
+}
+
+export default async function handler(req, res) {
+  // Initialize services on first request
+  initializeServices();
+
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let stream = null;
+
+  try {
+    const {
+      description = null,
+      pageName = null,
+      sourceLanguage = null,
+      generationId = null,
+      markets,
+      brand = null,
+      forceRefresh = false,
+      model = 'gpt-4o'
+    } = req.body;
+
+    const { Provider, error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    const { source, error: sourceError } = loadSource({ description, pageName, sourceLanguage, generationId }, generations);
+    const validationError = sourceError || validateMarkets(markets).error || Brands.validateBrand(brand).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const brandId = brand || source.brand || SYSTEM_CONFIG.brands.default;
+    logger.header('Translating Description');
+    logger.info('Translation details', {
+      pageName: source.pageName, generationId: source.generationId, markets, brand: brandId, model, service: Provider.displayName
+    });
+
+    // Reset token tracking for this request
+    registry.resetUsageTracking();
+
+    // Stream per-market progress when the client accepts Server-Sent Events
+    if (EventStream.isRequested(req)) {
+      stream = new EventStream(res);
+      stream.send('start', { pageName: source.pageName, markets, model });
+    }
+
+    const translations = await translateToMarkets(
+      source,
+      markets,
+      { model, brand: brandId, forceRefresh },
+      { dataForSEO, registry, generations },
+      stream && ((event, data) => stream.send(event, data))
+    );
+
+    const usageSummary = registry.getUsageSummary();
+    logger.success('Translation completed', {
+      successCount: translations.filter(t => t.success).length,
+      totalCost: usageSummary.totalCost
+    });
+
+    const responseBody = {
+      success: true,
+      source: { pageName: source.pageName, generationId: source.generationId, sourceLanguage: source.sourceLanguage },
+      translations,
+      summary: {
+        markets: markets.length,
+        successfulTranslations: translations.filter(t => t.success).length,
+        usage: usageSummary
+      }
+    };
+
+    if (stream) {
+      stream.send('done', responseBody);
+      return stream.end();
+    }
+
+    return res.json(responseBody);
+
+  } catch (error) {
+    logger.error('Translation failed', error);
+    if (stream) {
+      stream.send('error', { error: 'Failed to translate description', message: error.message });
+      return stream.end();
+    }
+    return res.status(500).json({
+      error: 'Failed to translate description',
+      message: error.message
+    });
+  }
+}
@@ -3,10 +3,14 @@
  * Contains brand guidelines, API configurations, and system settings
  */
 
+// Brand-independent copy rules; each brand's name, tone, banned phrases and word limits live in config/brands/
 const BRAND_GUIDELINES = {
-  // Word count limits for content validation
-  structure: {
-    length: { min: 350, max: 500 }
+  // Limits for the structured SEO fields published alongside the body copy
+  seoFields: {
+    metaTitle: { maxChars: 60 },
+    metaDescription: { maxChars: 155 },
+    h1: { maxChars: 70 },
+    faq: { minItems: 3, maxItems: 5, maxAnswerWords: 80 }
   },
 
   // Default location and language
@@ -19,21 +23,49 @@ const API_CONFIG = {
     baseURL: 'https://api.dataforseo.com',
     endpoints: {
       serp: '/v3/serp/google/organic/live/advanced',
-      searchVolumeLive: '/v3/keywords_data/google_ads/search_volume/live'
+      searchVolumeLive: '/v3/keywords_data/google_ads/search_volume/live',
+      relatedKeywords: '/v3/dataforseo_labs/google/related_keywords/live',
+      keywordSuggestions: '/v3/dataforseo_labs/google/keyword_suggestions/live'
     },
     defaultLocation: 2826, // United Kingdom (better for Arsenal tickets)
-    defaultLanguage: 'en'
+    defaultLanguage: 'en',
+    maxKeywordsPerTask: 1000 // search_volume/live limit per task
   },
   openAI: {
-    model: 'gpt-4o',
+    model: 'gpt-4o', // Default when a request does not name a model
+    models: ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1', 'gpt-4.1-mini'],
     maxTokens: 800,
     temperature: 0.7
   },
   gemini: {
     model: 'gemini-2.0-flash',
+    models: ['gemini-2.0-flash', 'gemini-2.5-flash', 'gemini-2.5-pro'],
     maxTokens: 800,
+    // Thinking tokens count against maxOutputTokens on the 2.5 models, so each gets a fixed thinking budget on
+    // top of the requested output. 2.5 Flash can turn thinking off; 2.5 Pro cannot go below 128
+    thinkingBudgets: {
+      'gemini-2.5-flash': 0,
+      'gemini-2.5-pro': 1024
+    },
     temperature: 0.7,
     apiEndpoint: 'https://generativelanguage.googleapis.com/v1beta/models'
+  },
+  anthropic: {
+    model: 'claude-sonnet-4-20250514',
+    models: ['claude-sonnet-4-20250514', 'claude-3-5-haiku-20241022'],
+    maxTokens: 800,
+    temperature: 0.7,
+    apiEndpoint: 'https://api.anthropic.com/v1/messages',
+    apiVersion: '2023-06-01'
+  },
+  azureOpenAI: {
+    maxTokens: 800,
+    temperature: 0.7,
+    apiVersion: '2024-10-21'
+  },
+  openAICompatible: {
+    maxTokens: 800,
+    temperature: 0.7
   }
 };
 
@@ -50,21 +82,280 @@ const SYSTEM_CONFIG = {
     maxAttempts: 5,
     delayMs: 5000
   },
+  jobs: {
+    maxPages: 1000, // Maximum pages per background job
+    storageDir: 'data/jobs' // Relative to the project root
+  },
+  generations: {
+    databaseFile: 'data/generations.db', // Relative to the project root, GENERATIONS_DB overrides it ('off' disables storage)
+    pageSize: 20, // Default page size for GET /api/generations
+    maxPageSize: 100
+  },
+  similarity: {
+    shingleSize: 3, // Words per shingle
+    signatureSize: 64, // MinHash permutations per paragraph
+    minParagraphWords: 20, // Shorter paragraphs are not compared
+    paragraphThreshold: 0.5, // Estimated Jaccard similarity that counts as a near-duplicate
+    // Headings the prompt prescribes for every page (matched against normalized headings, page keyword masked as {page})
+    allowedHeadings: [
+      '^about \\{page\\}( tickets?)?$',
+      '^(\\{page\\} )?(tickets? )?history (and )?key facts$'
+    ],
+    corpusFile: 'data/corpus.json', // Relative to the project root
+    maxCorpusPages: 5000
+  },
+  cache: {
+    backend: 'sqlite', // 'sqlite', 'memory' or 'off' (DATAFORSEO_CACHE overrides it)
+    databaseFile: 'data/dataforseo-cache.db', // Relative to the project root
+    maxMemoryEntries: 10000, // Oldest entries are evicted beyond this (memory backend)
+    ttlMs: {
+      searchVolume: 30 * 24 * 60 * 60 * 1000, // 30 days - Google Ads volumes are monthly
+      serp: 24 * 60 * 60 * 1000, // 24 hours
+      relatedKeywords: 30 * 24 * 60 * 60 * 1000,
+      keywordSuggestions: 30 * 24 * 60 * 60 * 1000
+    }
+  },
+  keywords: {
+    candidateLimit: 50, // Keyword ideas requested from each DataForSEO Labs endpoint
+    maxSecondary: 5 // Secondary keywords passed to the prompt as must-cover terms
+  },
+  serp: {
+    depth: 100, // Organic results requested per SERP, so our own ranking is found anywhere in the top 100
+    maxFaqCandidates: 4, // "People also ask" questions passed to the prompts as FAQ candidates
+    maxHistoryFacts: 8 // Knowledge graph facts passed to the prompt for the history section
+  },
+  crawler: {
+    // Sent with every competitor page and robots.txt request (CRAWLER_USER_AGENT overrides it)
+    userAgent: 'SeatPickContentBot/1.0 (+https://www.seatpick.com)',
+    timeoutMs: 10000,
+    maxRedirects: 5,
+    domainDelayMs: 1000, // Minimum gap between requests to the same domain
+    robotsTtlMs: 60 * 60 * 1000, // robots.txt is re-read after an hour
+    maxCandidates: 6, // SERP URLs tried when earlier competitors are excluded
+    minContentChars: 200, // Pages with less main content are excluded as "too_little_content"
+    maxContentChars: 3000 // Main content passed to the competitor analysis prompt per page
+  },
+  contentGap: {
+    minShare: 0.5, // Share of competitors (and at least 2) that must cover a topic for it to count as common
+    maxTopics: 20 // Common topics reported per keyword
+  },
+  prompts: {
+    strict: true // Rendering a template with a variable missing from the data throws instead of leaving a blank
+  },
+  profiles: {
+    default: 'sports' // Profile for page names the classifier cannot place
+  },
+  brands: {
+    directory: 'config/brands', // One JSON or YAML file per brand, relative to the project root
+    default: 'seatpick' // Brand for requests that do not name one
+  },
+  experiments: {
+    maxPages: 10 // Pages per prompt experiment; each page is generated once per variant
+  },
+  internalLinks: {
+    indexDir: 'data/links', // One <brand id>.json index of the brand's existing pages, relative to the project root
+    maxSuggestions: 6, // Indexed pages offered to the generator per description
+    maxSitemaps: 50, // Sitemap files read per import when following a sitemap index
+    maxSitemapBytes: 50 * 1024 * 1024, // Largest sitemap file read, as downloaded and once unzipped (the sitemap protocol's own limit)
+    policy: 'flag' // What happens to links to pages not in the index: 'flag' reports them, 'strip' also unlinks them
+  },
+  locales: {
+    maxMarkets: 5 // Markets per multi-market request; each page is generated once per market
+  },
+  ranking: {
+    maxKeywords: 50 // Keywords per POST /api/rankings request
+  },
+  translation: {
+    keywordCandidates: 5, // Localized keyword candidates whose search volume is compared per market
+    maxRetries: 3 // Translations per market until the word count, structure and linter checks pass
+  },
+  refresh: {
+    maxContentChars: 30000, // Longest page, sent as content or fetched from its url, that can be refreshed
+    maxProtectedSections: 20,
+    lengthTolerance: 0.15, // A page longer than the brand's word limits keeps its length within this share
+    lightTouchPosition: 3, // Pages ranking this high or higher are only lightly edited
+    maxRetries: 3 // Refreshes until the word count, protected sections and linter checks pass
+  },
+  providers: {
+    // Models tried in order when the requested model's provider fails (overridden by AI_FALLBACK_MODELS)
+    fallbackModels: [],
+    requestTimeoutMs: 60000, // Per AI API request
+    circuitBreaker: {
+      failureThreshold: 3, // Consecutive failures before a provider is taken out of rotation
+      cooldownMs: 60 * 1000 // Time before a probe request is let through again
+    }
+  },
   // Default location (UK for better Arsenal ticket data)
   defaultLocation: 2826,
   defaultLanguage: 'en'
 };
 
+// Variables each prompt template may use outside {{#each}} loops, checked by Prompt.validateAll() at startup
+const PROMPT_VARIABLES = {
+  'system.txt': ['language', 'market', 'minWords', 'maxWords', 'profile', 'brand', 'examples'],
+  'description_user.txt': [
+    'pageName', 'minWords', 'maxWords', 'profile', 'brand', 'competitorInsights', 'searchVolume', 'competition', 'cpc',
+    'secondaryKeywords', 'faqCandidates', 'historyFacts', 'internalLinks'
+  ],
+  'seo_fields.txt': [
+    'pageName', 'brand', 'language', 'market', 'description', 'feedback', 'faqCandidates', 'fieldList', 'metaTitleMaxChars',
+    'metaDescriptionMaxChars', 'h1MaxChars', 'faqMinItems', 'faqMaxItems', 'faqMaxAnswerWords'
+  ],
+  'competitor_analysis.txt': ['keyword', 'competitors'],
+  'keyword_localization.txt': ['pageName', 'sourceLanguage', 'language', 'market', 'count'],
+  'translation.txt': [
+    'pageName', 'keyword', 'sourceLanguage', 'language', 'market', 'brand', 'minWords', 'maxWords', 'description', 'feedback'
+  ],
+  'refresh.txt': [
+    'pageName', 'brand', 'minWords', 'maxWords', 'content', 'protectedSections', 'ranking', 'lightTouch', 'feedback'
+  ]
+};
+
+// Market rules per locale (language code and country, e.g. "en-GB"): the spelling variant and the currency the
+// copy refers to. Every language a location offers (config/locations.json) makes a valid locale; locales
+// listed here also get these rules in the prompt and the linter
+const MARKETS = {
+  'en-GB': { spelling: 'british', currency: { code: 'GBP', symbol: '£', words: ['pound', 'pounds', 'sterling'] } },
+  'en-IE': { spelling: 'british', currency: { code: 'EUR', symbol: '€', words: ['euro', 'euros'] } },
+  'en-US': { spelling: 'american', currency: { code: 'USD', symbol: '$', words: ['dollar', 'dollars'] } },
+  'en-CA': { spelling: null, currency: { code: 'CAD', symbol: '$', words: ['dollar', 'dollars'] } },
+  'en-AU': { spelling: 'british', currency: { code: 'AUD', symbol: '$', words: ['dollar', 'dollars'] } },
+  'en-NZ': { spelling: 'british', currency: { code: 'NZD', symbol: '$', words: ['dollar', 'dollars'] } },
+  'es-ES': { spelling: null, currency: { code: 'EUR', symbol: '€', words: ['euro', 'euros'] } },
+  'es-MX': { spelling: null, currency: { code: 'MXN', symbol: '$', words: ['peso', 'pesos'] } },
+  'es-US': { spelling: null, currency: { code: 'USD', symbol: '$', words: ['dólar', 'dólares'] } },
+  'fr-FR': { spelling: null, currency: { code: 'EUR', symbol: '€', words: ['euro', 'euros'] } },
+  'fr-CA': { spelling: null, currency: { code: 'CAD', symbol: '$', words: ['dollar', 'dollars'] } },
+  'de-DE': { spelling: null, currency: { code: 'EUR', symbol: '€', words: ['euro', 'euros'] } },
+  'de-CH': { spelling: null, currency: { code: 'CHF', symbol: 'CHF', words: ['franken'] } },
+  'it-IT': { spelling: null, currency: { code: 'EUR', symbol: '€', words: ['euro'] } },
+  'nl-NL': { spelling: null, currency: { code: 'EUR', symbol: '€', words: ['euro', "euro's"] } },
+  'pt-PT': { spelling: null, currency: { code: 'EUR', symbol: '€', words: ['euro', 'euros'] } },
+  'pt-BR': { spelling: null, currency: { code: 'BRL', symbol: 'R$', words: ['reais'] } }
+};
+
+// English spelling pairs checked for markets with a spelling variant, as [american, british]; the first five are
+// quoted in the prompt. Words common in proper names on both sides of the Atlantic (center, theater) are left out
+const SPELLING_VARIANTS = [
+  ['favorite', 'favourite'], ['color', 'colour'], ['organize', 'organise'], ['traveling', 'travelling'],
+  ['defense', 'defence'], ['favorites', 'favourites'], ['colors', 'colours'], ['colorful', 'colourful'],
+  ['neighborhood', 'neighbourhood'], ['organized', 'organised'], ['organizer', 'organiser'], ['organizers', 'organisers'],
+  ['realize', 'realise'], ['recognize', 'recognise'], ['recognized', 'recognised'], ['apologize', 'apologise'],
+  ['traveled', 'travelled'], ['traveler', 'traveller'], ['travelers', 'travellers'], ['jewelry', 'jewellery'],
+  ['offense', 'offence'], ['behavior', 'behaviour'], ['flavor', 'flavour'], ['rumor', 'rumour'], ['savor', 'savour'],
+  ['analyze', 'analyse'], ['cozy', 'cosy'], ['enrollment', 'enrolment']
+];
+
+// Prompt profiles per vertical: the templates, tone and heading schema used for a page (the brand supplies
+// the example descriptions for each profile).
+// A page gets the profile requested for it, or the one whose signals (whole words or phrases in the page
+// name) match best; ties go to the profile listed first
+const PROMPT_PROFILES = {
+  sports: {
+    label: 'Sports',
+    templates: { system: 'system.txt', user: 'description_user.txt' },
+    audience: 'fanbase',
+    audienceHint: 'use club lore for Arsenal supporters, rivalry talk for a derby, franchise history for NFL and NBA fans',
+    mustInclude: ['Team or athlete history and significance', 'Stadium information when relevant', 'Rivalries and memorable matches'],
+    headings: {
+      keySection: 'History & Key Facts',
+      subheadings: ['Rivalries', 'Famous Players', 'Key Moments']
+    },
+    signals: [
+      'fc', 'afc', 'united', 'rovers', 'athletic', 'vs', 'v', 'versus', 'football', 'soccer', 'rugby',
+      'cricket', 'tennis', 'golf', 'boxing', 'ufc', 'wwe', 'darts', 'snooker', 'f1', 'formula 1', 'grand prix',
+      'motogp', 'nascar', 'nfl', 'nba', 'nhl', 'mlb', 'mls', 'premier league', 'champions league', 'la liga',
+      'serie a', 'bundesliga', 'world cup', 'super bowl', 'playoffs', 'derby', 'cup final', 'wimbledon',
+      'six nations', 'ashes', 'stadium'
+    ]
+  },
+  concerts: {
+    label: 'Concerts',
+    templates: { system: 'system.txt', user: 'description_user.txt' },
+    audience: 'fanbase',
+    audienceHint: 'use song and album references for Taylor Swift fans, setlist talk for rock fans, tour lore for long-time followers',
+    mustInclude: ['Artist history, breakthrough records and significance', 'What the live show is like', 'Venue information when relevant'],
+    headings: {
+      keySection: 'Career & Key Facts',
+      subheadings: ['Breakthrough Albums', 'Signature Songs', 'Tour History']
+    },
+    signals: [
+      'tour', 'world tour', 'concert', 'concerts', 'live', 'in concert', 'gig', 'gigs', 'band', 'orchestra',
+      'symphony', 'philharmonic', 'choir', 'dj', 'rapper', 'singer', 'unplugged', 'residency', 'reunion tour',
+      'farewell tour', 'arena tour'
+    ]
+  },
+  theatre: {
+    label: 'Theatre',
+    templates: { system: 'system.txt', user: 'description_user.txt' },
+    audience: 'audience',
+    audienceHint: 'use show-tune and character references for musical lovers, production history for long-running West End and Broadway hits',
+    mustInclude: ['The story and what makes the production special, without spoilers', 'Creative team, cast legacy and awards', 'Theatre and seating information when relevant'],
+    headings: {
+      keySection: 'The Show & Key Facts',
+      subheadings: ['The Story', 'Awards & Acclaim', 'The Theatre']
+    },
+    signals: [
+      'musical', 'the musical', 'theatre', 'theater', 'broadway', 'west end', 'off broadway', 'play', 'opera',
+      'ballet', 'pantomime', 'panto', 'cirque', 'stage show', 'comedy show', 'stand up', 'royal opera house'
+    ]
+  },
+  festivals: {
+    label: 'Festivals',
+    templates: { system: 'system.txt', user: 'description_user.txt' },
+    audience: 'festival crowd',
+    audienceHint: 'use camping and line-up talk for Glastonbury regulars, rave culture for dance festivals, family tips for day festivals',
+    mustInclude: ['Festival history, line-up legacy and signature moments', 'Stages, areas and the on-site experience', 'Getting there, camping and ticket types when relevant'],
+    headings: {
+      keySection: 'Festival History & Key Facts',
+      subheadings: ['Legendary Line-Ups', 'Stages & Areas', 'Camping & Getting There']
+    },
+    signals: [
+      'festival', 'festivals', 'fest', 'fringe', 'carnival', 'glastonbury', 'coachella', 'lollapalooza',
+      'tomorrowland', 'creamfields', 'parklife', 'bonnaroo', 'reading and leeds', 'download festival',
+      'isle of wight', 'boomtown', 'primavera', 'rock in rio', 'oktoberfest', 'mardi gras', 'all points east'
+    ]
+  }
+};
+
 // Token pricing for cost estimation (as of 2024)
 const TOKEN_PRICING = {
   'gpt-4o': {
     input: 2.50 / 1000000,  // $2.50 per 1M input tokens
     output: 10.00 / 1000000  // $10.00 per 1M output tokens
   },
+  'gpt-4o-mini': {
+    input: 0.15 / 1000000,  // $0.15 per 1M input tokens
+    output: 0.60 / 1000000  // $0.60 per 1M output tokens
+  },
+  'gpt-4.1': {
+    input: 2.00 / 1000000,  // $2.00 per 1M input tokens
+    output: 8.00 / 1000000  // $8.00 per 1M output tokens
+  },
+  'gpt-4.1-mini': {
+    input: 0.40 / 1000000,  // $0.40 per 1M input tokens
+    output: 1.60 / 1000000  // $1.60 per 1M output tokens
+  },
   'gemini-2.0-flash': {
     input: 0.30 / 1000000,  // $0.30 per 1M input tokens
     output: 2.50 / 1000000  // $2.50 per 1M output tokens
   },
+  'gemini-2.5-flash': {
+    input: 0.30 / 1000000,  // $0.30 per 1M input tokens
+    output: 2.50 / 1000000  // $2.50 per 1M output tokens
+  },
+  'gemini-2.5-pro': {
+    input: 1.25 / 1000000,  // $1.25 per 1M input tokens
+    output: 10.00 / 1000000  // $10.00 per 1M output tokens
+  },
+  'claude-sonnet-4-20250514': {
+    input: 3.00 / 1000000,  // $3.00 per 1M input tokens
+    output: 15.00 / 1000000  // $15.00 per 1M output tokens
+  },
+  'claude-3-5-haiku-20241022': {
+    input: 0.80 / 1000000,  // $0.80 per 1M input tokens
+    output: 4.00 / 1000000  // $4.00 per 1M output tokens
+  },
   // Legacy pricing for reference
   'gpt-4-turbo-preview': {
     input: 0.01 / 1000,
@@ -84,5 +375,9 @@ module.exports = {
   BRAND_GUIDELINES,
   API_CONFIG,
   SYSTEM_CONFIG,
+  PROMPT_VARIABLES,
+  PROMPT_PROFILES,
+  MARKETS,
+  SPELLING_VARIANTS,
   TOKEN_PRICING
 }; 
\ No newline at end of file
@@ -9,11 +9,16 @@ class SEODescriptionGenerator {
         this.state = {
             isProcessing: false,
             results: [],
-            totalCost: 0
+            totalCost: 0,
+            streamCards: [],
+            streamText: [],
+            pageProgress: []
         };
         
         this.initializeEventListeners();
         this.loadSessions();
+        this.loadBrands();
+        this.loadLocales();
         console.log('SEO Description Generator initialized');
     }
 
@@ -24,10 +29,19 @@ class SEODescriptionGenerator {
         return {
             // Input elements
             pageNamesInput: document.getElementById('pageNames'),
+            locationSelect: document.getElementById('location'),
             languageSelect: document.getElementById('language'),
+            marketsSelect: document.getElementById('markets'),
+            profileSelect: document.getElementById('profile'),
+            brandSelect: document.getElementById('brand'),
             modelSelect: document.getElementById('model'),
             searchVolumeCheckbox: document.getElementById('includeSearchVolume'),
             competitorCheckbox: document.getElementById('includeCompetitorAnalysis'),
+            keywordExpansionCheckbox: document.getElementById('includeKeywordExpansion'),
+            rankTrackingCheckbox: document.getElementById('includeRankTracking'),
+            structuredOutputCheckbox: document.getElementById('structuredOutput'),
+            diversifyCheckbox: document.getElementById('diversify'),
+            stripLinksCheckbox: document.getElementById('stripLinks'),
             generateBtn: document.getElementById('generateBtn'),
             
             // Processing elements
@@ -70,6 +84,9 @@ class SEODescriptionGenerator {
             this.elements.generateBtn.disabled = !hasContent || this.state.isProcessing;
         });
 
+        // Offer only the languages the chosen location has search data for
+        this.elements.locationSelect.addEventListener('change', () => this.filterLanguages());
+
         // Toggle cost tracker on badge click
         this.elements.costBadge.addEventListener('click', () => {
             const isVisible = this.elements.costTracker.style.display !== 'none';
@@ -102,20 +119,36 @@ class SEODescriptionGenerator {
         // Get configuration
         const config = {
             pages,
-            location: parseInt(document.getElementById('location').value),
+            location: parseInt(this.elements.locationSelect.value),
             language: this.elements.languageSelect.value,
             model: this.getSelectedModel(),
+            profile: this.elements.profileSelect.value,
+            brand: this.elements.brandSelect.value,
             includeSearchVolume: this.elements.searchVolumeCheckbox.checked,
-            includeCompetitorAnalysis: this.elements.competitorCheckbox.checked
+            includeCompetitorAnalysis: this.elements.competitorCheckbox.checked,
+            includeKeywordExpansion: this.elements.keywordExpansionCheckbox.checked,
+            includeRankTracking: this.elements.rankTrackingCheckbox.checked,
+            structuredOutput: this.elements.structuredOutputCheckbox.checked,
+            diversify: this.elements.diversifyCheckbox.checked,
+            linkPolicy: this.elements.stripLinksCheckbox.checked ? 'strip' : 'flag'
         };
 
+        // Each page is generated once per selected market, market by market
+        const markets = Array.from(this.elements.marketsSelect.selectedOptions).map(option => option.value);
+        if (markets.length > 0) {
+            config.markets = markets;
+        }
+        const cards = markets.length > 0
+            ? markets.flatMap(market => pages.map(pageName => ({ pageName, market })))
+            : pages.map(pageName => ({ pageName }));
+
         console.log('Starting generation with config:', config);
 
         // Start processing
-        this.startProcessing(pages.length);
+        this.startProcessing(cards);
 
         try {
-            const response = await this.generateDescriptions(config);
+            const response = await this.generateDescriptions(config, (event, data) => this.handleStreamEvent(event, data));
             this.handleSuccess(response);
 
             // Save session for memory
@@ -148,17 +181,17 @@ class SEODescriptionGenerator {
     /**
      * Start processing UI state
      */
-    startProcessing(pageCount) {
+    startProcessing(cards) {
+        const pageCount = cards.length;
         this.state.isProcessing = true;
         this.elements.generateBtn.disabled = true;
         this.elements.processingSection.style.display = 'block';
-        this.elements.resultsSection.style.display = 'none';
         this.elements.costTracker.style.display = 'none';
         this.elements.costBadge.style.display = 'none';
-        this.elements.resultsContainer.innerHTML = '';
-        
+        this.elements.progressFill.style.width = '0%';
+
+        this.createPendingCards(cards);
         this.updateProcessingStatus(`Processing ${pageCount} page${pageCount > 1 ? 's' : ''}...`);
-        this.animateProgress();
     }
 
     /**
@@ -167,7 +200,28 @@ class SEODescriptionGenerator {
     stopProcessing() {
         this.state.isProcessing = false;
         this.elements.generateBtn.disabled = false;
-        this.elements.processingSection.style.display = 'none';
+        this.elements.progressFill.style.width = '100%';
+        setTimeout(() => {
+            this.elements.processingSection.style.display = 'none';
+            this.elements.progressFill.style.width = '0%';
+        }, 300);
+    }
+
+    /**
+     * Create placeholder result cards that fill in as events arrive
+     * @param {Array<{ pageName, market? }>} cards – one per page, or per page and market
+     */
+    createPendingCards(cards) {
+        this.elements.resultsSection.style.display = 'block';
+        this.elements.resultsContainer.innerHTML = '';
+
+        this.state.streamText = cards.map(() => '');
+        this.state.pageProgress = cards.map(() => 0);
+        this.state.streamCards = cards.map(({ pageName, market }) => {
+            const card = this.createResultElement({ pageName, market, pending: true });
+            this.elements.resultsContainer.appendChild(card);
+            return card;
+        });
     }
 
     /**
@@ -179,35 +233,160 @@ class SEODescriptionGenerator {
     }
 
     /**
-     * Animate progress bar
+     * Update a page's progress fraction and the overall progress bar
+     */
+    setPageProgress(index, fraction) {
+        const progress = this.state.pageProgress;
+        progress[index] = Math.max(progress[index] || 0, fraction);
+
+        const overall = progress.reduce((sum, value) => sum + value, 0) / progress.length;
+        this.elements.progressFill.style.width = `${Math.round(overall * 100)}%`;
+    }
+
+    /**
+     * Update the status line of a streaming result card
+     */
+    setCardStatus(index, message) {
+        const card = this.state.streamCards[index];
+        const status = card && card.querySelector('.stream-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Show the prompt profile a page was written with, and how it was chosen
+     */
+    showProfile(card, profile) {
+        const label = card.querySelector('.profile-label');
+        label.textContent = profile.label;
+        label.title = profile.source === 'classifier'
+            ? `Detected from: ${profile.matched.join(', ')}`
+            : profile.source === 'default' ? 'Default profile (no vertical detected)' : 'Selected profile';
+        card.querySelector('.profile-item').hidden = false;
+    }
+
+    /**
+     * Handle a progress event from the generation stream
      */
-    animateProgress() {
-        let progress = 0;
-        const interval = setInterval(() => {
-            if (!this.state.isProcessing || progress >= 90) {
-                clearInterval(interval);
-                if (!this.state.isProcessing) {
-                    this.elements.progressFill.style.width = '100%';
-                    setTimeout(() => {
-                        this.elements.progressFill.style.width = '0%';
-                    }, 300);
+    handleStreamEvent(event, data) {
+        const { index, pageName } = data;
+        const card = this.state.streamCards[index];
+        if (!card) return;
+
+        switch (event) {
+            case 'page_start':
+                if (data.profile) this.showProfile(card, data.profile);
+                this.setCardStatus(index, 'Gathering data...');
+                this.setPageProgress(index, 0.05);
+                this.updateProcessingStatus(`Started ${pageName}`);
+                break;
+
+            case 'search_volume':
+                if (data.searchVolume !== null && data.searchVolume !== undefined) {
+                    card.querySelector('.search-volume').textContent = data.searchVolume.toLocaleString();
                 }
-                return;
+                this.setCardStatus(index, 'Search volume fetched');
+                this.setPageProgress(index, 0.15);
+                break;
+
+            case 'serp':
+                this.setCardStatus(index, `SERP fetched (${data.competitorDomains.length} competitors${data.features.length > 0 ? `, ${data.features.join(', ')}` : ''})`);
+                this.setPageProgress(index, 0.25);
+                break;
+
+            case 'keywords':
+                this.setCardStatus(index, `${data.secondaryKeywords.length} secondary keywords selected`);
+                break;
+
+            case 'ranking':
+                this.setCardStatus(index, data.position ? `Ranking #${data.position}` : 'Not ranking in the top 100');
+                break;
+
+            case 'competitor_insights':
+                this.setCardStatus(index, (data.hasInsights ? 'Competitor insights ready' : 'Competitor insights unavailable') +
+                    (data.excluded?.length ? ` (${data.excluded.length} page(s) excluded)` : ''));
+                this.setPageProgress(index, 0.4);
+                break;
+
+            case 'token':
+                this.state.streamText[index] += data.text;
+                card.querySelector('.description-text').innerHTML = this.formatDescription(this.state.streamText[index]);
+                this.setCardStatus(index, 'Writing...');
+                this.setPageProgress(index, 0.5);
+                break;
+
+            case 'retry': {
+                if (data.reason === 'seo_fields') {
+                    this.setCardStatus(index, `Rewriting SEO fields (attempt ${data.attempt}): ${data.fields.join(', ')}`);
+                    break;
+                }
+
+                if (data.reason === 'diversify') {
+                    this.state.streamText[index] = '';
+                    card.querySelector('.description-text').innerHTML = '';
+                    this.setCardStatus(index, `Rewriting to avoid ${data.repeatedHeadings} repeated heading(s) and ${data.duplicateParagraphs} duplicate paragraph(s)`);
+                    break;
+                }
+
+                const reasons = {
+                    word_count: `${data.wordCount} words is outside the ${data.wordLimits.min}-${data.wordLimits.max} range`,
+                    lint: `fixing ${(data.violations || []).join(', ')}`,
+                    error: data.message
+                };
+                const reason = reasons[data.reason];
+                this.state.streamText[index] = '';
+                card.querySelector('.description-text').innerHTML = '';
+                this.setCardStatus(index, `Retrying (attempt ${data.attempt}): ${reason}`);
+                break;
             }
-            
-            progress += Math.random() * 10;
-            this.elements.progressFill.style.width = `${Math.min(progress, 90)}%`;
-        }, 500);
+
+            case 'fallback':
+                if (data.stage !== 'seo_fields') {
+                    this.state.streamText[index] = '';
+                    card.querySelector('.description-text').innerHTML = '';
+                }
+                this.setCardStatus(index, `Switching to ${data.to}: ${data.reason}`);
+                break;
+
+            case 'duplicates':
+                this.setCardStatus(index, data.flagged ? 'Overlaps with other pages' : 'No duplicate content found');
+                break;
+
+            case 'links':
+                this.setCardStatus(index, data.invalid.length > 0
+                    ? `${data.invalid.length} link(s) to unknown pages${data.stripped ? ' removed' : ''}`
+                    : `${data.checked} link(s) checked`);
+                break;
+
+            case 'seo_fields':
+                this.setCardStatus(index, data.isValid ? 'SEO fields ready' : 'SEO fields need review');
+                this.setPageProgress(index, 0.9);
+                break;
+
+            case 'page_done': {
+                const resultCard = this.createResultElement(data.result);
+                card.replaceWith(resultCard);
+                this.state.streamCards[index] = resultCard;
+                this.setPageProgress(index, 1);
+
+                const doneCount = this.state.pageProgress.filter(value => value === 1).length;
+                this.updateProcessingStatus(`Completed ${doneCount} of ${this.state.streamCards.length} pages`);
+                break;
+            }
+        }
     }
 
     /**
-     * Make API call to generate descriptions
+     * Make API call to generate descriptions, streaming progress events
+     * Resolves with the final response once the 'done' event arrives
      */
-    async generateDescriptions(config) {
+    async generateDescriptions(config, onEvent) {
         const response = await fetch('/api/generate', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
             },
             body: JSON.stringify(config)
         });
@@ -217,7 +396,54 @@ class SEODescriptionGenerator {
             throw new Error(error.message || 'Failed to generate descriptions');
         }
 
-        return await response.json();
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+
+            for (const message of messages) {
+                const { event, data } = this.parseEventMessage(message);
+                if (!event) continue;
+
+                if (event === 'done') {
+                    return data;
+                }
+                if (event === 'error') {
+                    throw new Error(data.message || 'Failed to generate descriptions');
+                }
+                onEvent(event, data);
+            }
+        }
+
+        throw new Error('Connection closed before generation finished');
+    }
+
+    /**
+     * Parse a single Server-Sent Events message block
+     */
+    parseEventMessage(message) {
+        let event = 'message';
+        const dataLines = [];
+
+        message.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+
+        // Heartbeat comments carry no data
+        if (dataLines.length === 0) return {};
+
+        return { event, data: JSON.parse(dataLines.join('\n')) };
     }
 
     /**
@@ -283,7 +509,9 @@ class SEODescriptionGenerator {
         const card = template.querySelector('.result-card');
         
         // Add status class
-        if (result.success) {
+        if (result.pending) {
+            card.classList.add('pending');
+        } else if (result.success) {
             card.classList.add(result.isValidLength ? 'success' : 'warning');
         } else {
             card.classList.add('error');
@@ -303,14 +531,71 @@ class SEODescriptionGenerator {
             
             if (!result.isValidLength) {
                 wordCountElement.style.color = 'var(--warning-color)';
-                wordCountElement.title = 'Word count outside recommended range (350-500)';
+                const limits = result.brand?.wordLimits;
+                wordCountElement.title = limits
+                    ? `Word count outside recommended range (${limits.min}-${limits.max})`
+                    : 'Word count outside recommended range';
             }
         }
         
+        if (result.market || result.locale) {
+            card.querySelector('.market-label').textContent = result.market || result.locale.id;
+            card.querySelector('.market-item').hidden = false;
+        }
+
+        if (result.profile) {
+            this.showProfile(card, result.profile);
+        }
+
+        if (result.lint) {
+            const lintElement = card.querySelector('.lint-score');
+            const passedRules = result.lint.rules.filter(rule => rule.passed).length;
+            lintElement.textContent = `${passedRules}/${result.lint.rules.length}`;
+            lintElement.title = result.lint.rules
+                .map(rule => `${rule.passed ? '✓' : '✗'} ${rule.description}${rule.passed ? '' : ` – ${rule.violations.join('; ')}`}`)
+                .join('\n');
+            if (!result.lint.passed) {
+                lintElement.style.color = 'var(--warning-color)';
+            }
+        }
+
+        if (result.keywordCoverage) {
+            const coverageElement = card.querySelector('.keyword-coverage');
+            const { covered, missing } = result.keywordCoverage;
+            coverageElement.textContent = `${covered.length}/${covered.length + missing.length}`;
+            coverageElement.title = result.secondaryKeywords
+                .map(item => `${item.covered ? '✓' : '✗'} ${item.keyword} (${item.searchVolume.toLocaleString()})`)
+                .join('\n');
+            if (missing.length > 0) {
+                coverageElement.style.color = 'var(--warning-color)';
+            }
+            card.querySelector('.keyword-coverage-item').hidden = false;
+        }
+
+        if (result.contentGap) {
+            const gapElement = card.querySelector('.content-gap');
+            const { commonTopics, averageWordCount, coverage } = result.contentGap;
+            gapElement.textContent = `${coverage.covered.length}/${commonTopics.length}`;
+            gapElement.title = [
+                `Competitor topics covered (competitors average ${averageWordCount ?? '--'} words)`,
+                ...commonTopics.map(item => `${coverage.covered.includes(item.topic) ? '✓' : '✗'} ${item.topic} (${item.coveredBy} competitors)`)
+            ].join('\n');
+            if (coverage.missing.length > 0) {
+                gapElement.style.color = 'var(--warning-color)';
+            }
+            card.querySelector('.content-gap-item').hidden = false;
+        }
+
         if (result.usage && result.usage.cost) {
             card.querySelector('.generation-cost').textContent = `$${result.usage.cost.toFixed(4)}`;
         }
 
+        if (result.model) {
+            card.querySelector('.generation-cost').title = result.usedFallback
+                ? `Generated by ${result.model} (fallback)`
+                : `Generated by ${result.model}`;
+        }
+
         // Competitor favicons
         if (Array.isArray(result.competitorDomains) && result.competitorDomains.length > 0) {
             const logoContainer = card.querySelector('.competitor-logos');
@@ -395,30 +680,215 @@ class SEODescriptionGenerator {
             }
         }
 
-        // Show SeatPick ranking warning if applicable
-        if (result.seatpickTop3) {
+        // Show where our own page already ranks and what to do with it
+        if (result.ranking?.position) {
+            const { position, url, title, recommendation } = result.ranking;
+            const advice = recommendation === 'skip'
+                ? 'Already ranks #1 — consider skipping this page.'
+                : 'Consider refreshing the existing page instead of publishing a new one.';
+            const warning = document.createElement('div');
+            warning.className = 'seatpick-warning';
+            warning.innerHTML = '<i class="fas fa-exclamation-triangle"></i> ';
+            warning.append(`${result.ranking.domain} ranks #${position} for this keyword. ${advice}`);
+            warning.title = [url, title].filter(Boolean).join('\n');
+            if (recommendation === 'refresh_existing' && url) {
+                const refreshBtn = document.createElement('button');
+                refreshBtn.className = 'refresh-page-btn';
+                refreshBtn.innerHTML = '<i class="fas fa-sync-alt"></i> Refresh existing page';
+                refreshBtn.addEventListener('click', () => this.refreshExistingPage(result, card, refreshBtn));
+                warning.append(refreshBtn);
+            }
+            card.insertBefore(warning, card.querySelector('.result-content'));
+        }
+
+        // Show content shared with other generated pages
+        if (result.duplicates?.flagged) {
+            const { repeatedHeadings, duplicateParagraphs } = result.duplicates;
+            const pages = [...new Set([...repeatedHeadings, ...duplicateParagraphs].map(item => item.matchedPage))];
+            const warning = document.createElement('div');
+            warning.className = 'seatpick-warning';
+            warning.innerHTML = '<i class="fas fa-clone"></i> ';
+            warning.append(`${repeatedHeadings.length} repeated heading(s) and ${duplicateParagraphs.length} near-duplicate paragraph(s) shared with ${pages.join(', ')}.`);
+            warning.title = [
+                ...repeatedHeadings.map(item => `Heading "${item.heading}" also on ${item.matchedPage}`),
+                ...duplicateParagraphs.map(item => `${Math.round(item.similarity * 100)}% similar to ${item.matchedPage}: ${item.matchedExcerpt}`)
+            ].join('\n');
+            card.insertBefore(warning, card.querySelector('.result-content'));
+        }
+
+        // Show links to pages that are not in the link index
+        if (result.links?.invalid.length > 0) {
+            const { invalid, stripped } = result.links;
             const warning = document.createElement('div');
             warning.className = 'seatpick-warning';
-            warning.innerHTML = '<i class="fas fa-exclamation-triangle"></i> SeatPick already ranks in the top 3 results for this keyword. Review carefully before updating the existing page.';
+            warning.innerHTML = '<i class="fas fa-unlink"></i> ';
+            warning.append(`${invalid.length} link(s) to pages not in the link index${stripped ? ' were removed' : ''}.`);
+            warning.title = invalid.map(link => `${link.anchor} → ${link.url} (${link.status.replace(/_/g, ' ')})`).join('\n');
             card.insertBefore(warning, card.querySelector('.result-content'));
         }
 
         // Set description or error message
         const descriptionElement = card.querySelector('.description-text');
-        if (result.success && result.description) {
+        if (result.pending) {
+            const status = document.createElement('div');
+            status.className = 'stream-status';
+            status.textContent = 'Waiting to start...';
+            card.insertBefore(status, card.querySelector('.result-content'));
+        } else if (result.success && result.description) {
             // Convert markdown bold to HTML
             descriptionElement.innerHTML = this.formatDescription(result.description);
         } else {
             descriptionElement.innerHTML = `<span style="color: var(--error-color)">Error: ${result.error || 'Failed to generate description'}</span>`;
         }
 
+        if (result.seo || result.seoError) {
+            this.renderSeoFields(card.querySelector('.seo-fields'), result);
+        }
+
         // Set up copy functionality
         const copyBtn = card.querySelector('.copy-btn');
+        copyBtn.disabled = !result.description;
         copyBtn.addEventListener('click', () => this.copyToClipboard(result.description, copyBtn));
 
+        // JSON-LD is copied as a ready-to-paste script tag
+        const jsonLdItems = result.jsonLd ? result.jsonLd.items : [];
+        const copyJsonLdBtn = card.querySelector('.copy-jsonld-btn');
+        copyJsonLdBtn.disabled = jsonLdItems.length === 0;
+        copyJsonLdBtn.addEventListener('click', () => this.copyToClipboard(
+            `<script type="application/ld+json">\n${JSON.stringify(jsonLdItems.length === 1 ? jsonLdItems[0] : jsonLdItems, null, 2)}\n</script>`,
+            copyJsonLdBtn
+        ));
+        const toComplete = Object.entries(result.jsonLd ? result.jsonLd.validation : {})
+            .filter(([, check]) => check.toComplete.length > 0)
+            .map(([type, check]) => `${type}: add ${check.toComplete.join(', ')}`);
+        if (toComplete.length > 0) {
+            copyJsonLdBtn.title = `Copy JSON-LD (${toComplete.join('; ')})`;
+        }
+
         return card;
     }
 
+    /**
+     * Show the structured SEO fields, flagging any that failed validation
+     */
+    renderSeoFields(container, result) {
+        container.hidden = false;
+
+        const addRow = (label, value, check) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value || '--';
+            if (check && !check.valid) {
+                detail.classList.add('invalid');
+                detail.title = check.issues.join('; ');
+            }
+            container.append(term, detail);
+        };
+
+        if (result.seoError) {
+            addRow('SEO fields', `Error: ${result.seoError}`, { valid: false, issues: [result.seoError] });
+            return;
+        }
+
+        const seo = result.seo || {};
+        const validation = result.seoValidation || {};
+        addRow('Meta title', seo.metaTitle, validation.metaTitle);
+        addRow('Meta description', seo.metaDescription, validation.metaDescription);
+        addRow('H1', seo.h1, validation.h1);
+
+        const faqTerm = document.createElement('dt');
+        faqTerm.textContent = 'FAQ';
+        const faqDetail = document.createElement('dd');
+        if (validation.faq && !validation.faq.valid) {
+            faqDetail.classList.add('invalid');
+            faqDetail.title = validation.faq.issues.join('; ');
+        }
+        (seo.faq || []).forEach(item => {
+            const question = document.createElement('strong');
+            question.textContent = item.question;
+            const answer = document.createElement('p');
+            answer.textContent = item.answer;
+            faqDetail.append(question, answer);
+        });
+        container.append(faqTerm, faqDetail);
+    }
+
+    /**
+     * Refresh our page that already ranks for this keyword instead of publishing the new copy
+     */
+    async refreshExistingPage(result, card, button) {
+        const label = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Refreshing...';
+
+        try {
+            const response = await fetch('/api/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    pageName: result.pageName,
+                    url: result.ranking.url,
+                    brand: result.brand?.id,
+                    locale: result.locale?.id,
+                    model: result.model
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+            this.renderRefresh(card, data.result);
+            button.remove();
+        } catch (error) {
+            console.error('Refresh error:', error);
+            this.showError(`Failed to refresh ${result.pageName}: ${error.message}`);
+            button.disabled = false;
+            button.innerHTML = label;
+        }
+    }
+
+    /**
+     * Show a refreshed page on its card: what changed and why, and the diff against the live page
+     */
+    renderRefresh(card, refresh) {
+        const panel = document.createElement('details');
+        panel.className = 'refresh-panel';
+        panel.open = true;
+
+        const summary = document.createElement('summary');
+        const { similarity } = refresh.diff.stats;
+        summary.textContent = `Refreshed page${refresh.lightTouch ? ' (light touch)' : ''}: ` +
+            `${refresh.changes.length} change(s), ${refresh.wordCount} words, ${Math.round(similarity * 100)}% unchanged`;
+
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'icon-btn';
+        copyBtn.title = 'Copy refreshed page';
+        copyBtn.innerHTML = '<i class="fas fa-copy"></i>';
+        copyBtn.addEventListener('click', () => this.copyToClipboard(refresh.description, copyBtn));
+
+        const changes = document.createElement('ul');
+        changes.className = 'refresh-changes';
+        refresh.changes.forEach(item => {
+            const change = document.createElement('li');
+            change.textContent = `${item.section ? `${item.section}: ` : ''}${item.change}${item.reason ? ` — ${item.reason}` : ''}`;
+            changes.append(change);
+        });
+
+        const diff = document.createElement('pre');
+        diff.className = 'refresh-diff';
+        const prefixes = { added: '+', removed: '-', unchanged: ' ' };
+        refresh.diff.changes.forEach(change => {
+            const line = document.createElement('div');
+            line.className = `diff-${change.type}`;
+            line.textContent = `${prefixes[change.type]} ${change.text}`;
+            diff.append(line);
+        });
+
+        panel.append(summary, copyBtn, changes, diff);
+        card.insertBefore(panel, card.querySelector('.result-content'));
+    }
+
     /**
      * Format description text (convert markdown to HTML)
      */
@@ -564,6 +1034,88 @@ class SEODescriptionGenerator {
         this.renderSessions(sessions);
     }
 
+    /**
+     * Fill the brand selector from the brands configured on the server
+     */
+    async loadBrands() {
+        try {
+            const response = await fetch('/api/health');
+            const { brands = [] } = await response.json();
+            const current = this.elements.brandSelect.value;
+            if (brands.length === 0) return;
+
+            this.elements.brandSelect.innerHTML = '';
+            brands.forEach(brand => {
+                const option = document.createElement('option');
+                option.value = brand.id;
+                option.textContent = brand.name;
+                option.title = brand.domains.join(', ');
+                option.selected = brand.id === current;
+                this.elements.brandSelect.appendChild(option);
+            });
+        } catch (error) {
+            console.warn('Could not load brands, keeping the default', error);
+        }
+    }
+
+    /**
+     * Fill the location and market selectors from the DataForSEO locales known to the server
+     */
+    async loadLocales() {
+        try {
+            const response = await fetch('/api/locales');
+            const { locations = [], languages = [], markets = [] } = await response.json();
+            if (locations.length === 0) return;
+
+            this.state.locales = { locations, languages };
+            const current = this.elements.locationSelect.value;
+            this.elements.locationSelect.innerHTML = '';
+            locations.forEach(location => {
+                const option = document.createElement('option');
+                option.value = location.code;
+                option.textContent = location.name;
+                option.selected = String(location.code) === current;
+                this.elements.locationSelect.appendChild(option);
+            });
+
+            this.elements.marketsSelect.innerHTML = '';
+            markets.forEach(market => {
+                const option = document.createElement('option');
+                option.value = market.id;
+                option.textContent = `${market.id} – ${market.name}`;
+                option.title = [market.spelling && `${market.spelling} spelling`, market.currency && market.currency.code]
+                    .filter(Boolean).join(', ');
+                this.elements.marketsSelect.appendChild(option);
+            });
+
+            this.filterLanguages();
+        } catch (error) {
+            console.warn('Could not load locales, keeping the defaults', error);
+        }
+    }
+
+    /**
+     * Limit the language selector to the languages of the selected location
+     */
+    filterLanguages() {
+        if (!this.state.locales) return;
+
+        const { locations, languages } = this.state.locales;
+        const location = locations.find(item => String(item.code) === this.elements.locationSelect.value);
+        if (!location) return;
+
+        const current = this.elements.languageSelect.value;
+        this.elements.languageSelect.innerHTML = '';
+        location.languages.forEach(code => {
+            const language = languages.find(item => item.code === code);
+            const option = document.createElement('option');
+            option.value = language.name;
+            option.textContent = language.name;
+            option.selected = language.name === current;
+            this.elements.languageSelect.appendChild(option);
+        });
+    }
+
     renderSessions(sessions) {
         this.elements.sessionsContainer.innerHTML = '';
         
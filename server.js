@@ -12,10 +12,29 @@ const path = require('path');
 
 // Import services and utilities
 const DataForSEOService = require('./services/dataForSEO');
-const OpenAIService = require('./services/openAI');
-const GeminiService = require('./services/gemini');
+const { registry } = require('./services/providerRegistry');
+const ContentCorpus = require('./services/contentCorpus');
+const LinkIndex = require('./services/linkIndex');
+const { GenerationStore, createGenerationStore } = require('./services/generationStore');
+const {
+  processPagesConcurrently, processMarkets, translateToMarkets, refreshPage, processSinglePage, prefetchSearchVolumes, checkRankings, runPromptExperiment
+} = require('./services/generationPipeline');
+const { JobManager } = require('./services/jobManager');
 const { SYSTEM_CONFIG } = require('./config/constants');
 const { logger } = require('./utils/logger');
+const EventStream = require('./utils/eventStream');
+const { validateProfile } = require('./utils/profiles');
+const Brands = require('./utils/brands');
+const { validateVariants } = require('./utils/promptExperiment');
+const Prompt = require('./utils/prompt');
+const { buildSerpContext } = require('./utils/serpFeatures');
+const { getOwnDomains, isOwnDomain } = require('./utils/rankTracking');
+const { buildGapReport, findMissingTopics } = require('./utils/contentGap');
+const { validateLinkPolicy } = require('./utils/internalLinks');
+const Locales = require('./utils/locales');
+const { loadSource } = require('./utils/translation');
+const { validateProtectedSections, loadPage, checkProtectedSections } = require('./utils/refresh');
+const { validateLocale, validateMarkets, resolveLocale } = Locales;
 
 // Initialize Express app
 const app = express();
@@ -23,25 +42,23 @@ const PORT = process.env.PORT || 3000;
 
 // Initialize services with error handling
 let dataForSEO = null;
-let openAI = null;
-let gemini = null;
+let corpus = null;
+let linkIndex = null;
+let generations = null;
 let servicesInitialized = false;
 
 try {
-  // Check if credentials exist
-  if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
-    logger.warn('OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file');
-  } else {
-    openAI = new OpenAIService(process.env.OPENAI_API_KEY);
-    logger.success('OpenAI service initialized');
-  }
+  // Initialize every AI provider configured in the environment
+  registry.initialize();
 
-  if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === 'your_gemini_api_key_here') {
-    logger.warn('Gemini API key not configured. Please add GEMINI_API_KEY to your .env file');
-  } else {
-    gemini = new GeminiService(process.env.GEMINI_API_KEY);
-    logger.success('Gemini service initialized');
-  }
+  // Fingerprints of generated pages for duplicate detection
+  corpus = new ContentCorpus();
+
+  // Each brand's existing pages, for internal link suggestions and checks
+  linkIndex = new LinkIndex();
+
+  // Server-side history of every generation (SQLite)
+  generations = createGenerationStore();
 
   if (!process.env.DATAFORSEO_LOGIN || !process.env.DATAFORSEO_PASSWORD || 
       process.env.DATAFORSEO_LOGIN === 'your_dataforseo_login_here') {
@@ -54,11 +71,27 @@ try {
     logger.success('DataForSEO service initialized');
   }
 
-  servicesInitialized = !!((openAI || gemini) && dataForSEO);
+  servicesInitialized = registry.hasAvailableService() && !!dataForSEO;
 } catch (error) {
   logger.error('Failed to initialize services', error);
 }
 
+// Background jobs run each page through the same pipeline as /api/generate,
+// with one search volume lookup per run; interrupted jobs resume once the startup checks pass
+const jobManager = new JobManager(async (pageName, options, { searchVolumes }) => {
+  const { service: aiService, error } = registry.resolveService(options.model);
+
+  if (error) {
+    throw new Error(error.error);
+  }
+
+  return processSinglePage(pageName, options, { dataForSEO, aiService, registry, corpus, linkIndex, generations, searchVolumes });
+}, undefined, {
+  prepareRun: (pageNames, options) => (options.includeSearchVolume && dataForSEO
+    ? { searchVolumes: prefetchSearchVolumes(pageNames, options, dataForSEO) }
+    : {})
+});
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -81,7 +114,9 @@ app.use(express.static('public'));
 const limiter = rateLimit({
   windowMs: SYSTEM_CONFIG.rateLimits.windowMs,
   max: SYSTEM_CONFIG.rateLimits.max,
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Job status polling should not eat into the generation quota
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/jobs')
 });
 
 app.use('/api/', limiter);
@@ -101,9 +136,12 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     services: {
       dataForSEO: !!dataForSEO,
-      openAI: !!openAI,
-      gemini: !!gemini
+      generationHistory: !!generations,
+      ...Object.fromEntries(registry.describe().map(provider => [provider.id, provider.configured]))
     },
+    providers: registry.describe(),
+    fallbackModels: registry.fallbackModels,
+    brands: Brands.listBrands(),
     message: servicesInitialized ? 'All services operational' : 'Some services not configured. Check server logs.'
   });
 });
@@ -113,26 +151,34 @@ app.get('/api/health', (req, res) => {
  * Supports parallel processing and optional competitor analysis
  */
 app.post('/api/generate', async (req, res) => {
+  let stream = null;
+
   try {
         const {
       pages,
       location = SYSTEM_CONFIG.defaultLocation,
       language = 'English',
+      locale = null,
+      markets = null,
       includeCompetitorAnalysis = false,
       includeSearchVolume = true,
+      includeKeywordExpansion = false,
+      includeRankTracking = false,
+      structuredOutput = false,
+      diversify = false,
+      forceRefresh = false,
+      profile = 'auto',
+      brand = SYSTEM_CONFIG.brands.default,
+      linkPolicy = SYSTEM_CONFIG.internalLinks.policy,
       model = 'gpt-4o' 
     } = req.body;
 
     // Check if requested model service is available
-    const isGeminiModel = model && model.startsWith('gemini');
-    const aiService = isGeminiModel ? gemini : openAI;
-    const serviceName = isGeminiModel ? 'Gemini' : 'OpenAI';
-    
-    if (!aiService) {
-      return res.status(503).json({
-        error: `${serviceName} service not configured`,
-        message: `Please add your ${serviceName === 'Gemini' ? 'GEMINI_API_KEY' : 'OPENAI_API_KEY'} to the .env file and restart the server`
-      });
+    const { service: aiService, Provider, error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
     }
 
     // Validation
@@ -148,31 +194,57 @@ app.post('/api/generate', async (req, res) => {
       });
     }
 
+    // With markets, each page is generated once per market instead of for one location and language
+    const validationError = validateProfile(profile).error || Brands.validateBrand(brand).error ||
+      validateLinkPolicy(linkPolicy).error ||
+      (markets ? validateMarkets(markets).error : validateLocale({ locale, location, language }).error);
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const totalPages = pages.length * (markets ? markets.length : 1);
+
     logger.header('Processing SEO Description Generation');
     logger.info('Request details', {
       pageCount: pages.length,
-      language,
+      locale: markets || locale || { location, language },
       includeCompetitorAnalysis,
       includeSearchVolume,
+      includeKeywordExpansion,
+      includeRankTracking,
+      structuredOutput,
+      diversify,
+      forceRefresh,
+      profile,
+      brand,
+      linkPolicy,
       model,
-      service: serviceName
+      service: Provider.displayName
     });
 
     // Reset token tracking for this batch
-    aiService.resetUsageTracking();
+    registry.resetUsageTracking();
 
-    // Process pages in parallel (with concurrency limit)
-    const results = await processPagesConcurrently(
-      pages,
-      location,
-      language,
-      includeCompetitorAnalysis,
-      includeSearchVolume,
-      aiService
-    );
+    // Stream per-page progress when the client accepts Server-Sent Events
+    if (EventStream.isRequested(req)) {
+      stream = new EventStream(res);
+      stream.send('start', { totalPages, pages, markets, model });
+    }
+
+    // Process pages in parallel (with concurrency limit), market by market in multi-market mode
+    const runOptions = {
+      locale, location, language, model, profile, brand, linkPolicy, includeCompetitorAnalysis, includeSearchVolume,
+      includeKeywordExpansion, includeRankTracking, structuredOutput, diversify, forceRefresh
+    };
+    const runServices = { dataForSEO, aiService, registry, corpus, linkIndex, generations };
+    const onEvent = stream && ((event, data) => stream.send(event, data));
+    const results = markets
+      ? await processMarkets(pages, markets, runOptions, runServices, onEvent)
+      : await processPagesConcurrently(pages, runOptions, runServices, onEvent);
 
     // Get final usage summary
-    const usageSummary = aiService.getUsageSummary();
+    const usageSummary = registry.getUsageSummary();
 
     logger.success('Generation completed', {
       successCount: results.filter(r => r.success).length,
@@ -180,18 +252,29 @@ app.post('/api/generate', async (req, res) => {
       totalCost: usageSummary.totalCost
     });
 
-    res.json({
+    const responseBody = {
       success: true,
       results,
       summary: {
-        totalPages: pages.length,
+        totalPages,
         successfulGenerations: results.filter(r => r.success).length,
         usage: usageSummary
       }
-    });
+    };
+
+    if (stream) {
+      stream.send('done', responseBody);
+      return stream.end();
+    }
+
+    res.json(responseBody);
 
   } catch (error) {
     logger.error('Generation failed', error);
+    if (stream) {
+      stream.send('error', { error: 'Failed to generate descriptions', message: error.message });
+      return stream.end();
+    }
     res.status(500).json({
       error: 'Failed to generate descriptions',
       message: error.message
@@ -199,6 +282,274 @@ app.post('/api/generate', async (req, res) => {
   }
 });
 
+/**
+ * Generate the same pages with two prompt variants and compare linter scores, word-count
+ * compliance, retries and cost
+ */
+app.post('/api/prompt-experiments', async (req, res) => {
+  try {
+    const {
+      pages,
+      variants,
+      location = SYSTEM_CONFIG.defaultLocation,
+      language = 'English',
+      locale = null,
+      includeCompetitorAnalysis = false,
+      includeSearchVolume = true,
+      includeKeywordExpansion = false,
+      structuredOutput = false,
+      forceRefresh = false,
+      profile = 'auto',
+      brand = SYSTEM_CONFIG.brands.default,
+      linkPolicy = SYSTEM_CONFIG.internalLinks.policy,
+      model = 'gpt-4o'
+    } = req.body;
+
+    const { service: aiService, Provider, error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    if (!pages || !Array.isArray(pages) || pages.length === 0) {
+      return res.status(400).json({
+        error: 'Please provide an array of page names'
+      });
+    }
+
+    if (pages.length > SYSTEM_CONFIG.experiments.maxPages) {
+      return res.status(400).json({
+        error: `Maximum ${SYSTEM_CONFIG.experiments.maxPages} pages per experiment`
+      });
+    }
+
+    const validationError = validateVariants(variants).error || validateProfile(profile).error ||
+      Brands.validateBrand(brand).error || validateLinkPolicy(linkPolicy).error ||
+      validateLocale({ locale, location, language }).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    logger.header('Running Prompt Experiment');
+    logger.info('Experiment details', { pageCount: pages.length, variants, profile, brand, model, service: Provider.displayName });
+
+    const { runs, report } = await runPromptExperiment(
+      pages,
+      variants,
+      { locale, location, language, model, profile, brand, linkPolicy, includeCompetitorAnalysis, includeSearchVolume,
+        includeKeywordExpansion, structuredOutput, forceRefresh },
+      { dataForSEO, aiService, registry, linkIndex, generations }
+    );
+
+    logger.success('Prompt experiment completed', { differences: report.differences });
+
+    res.json({
+      success: true,
+      report,
+      results: Object.fromEntries(runs.map(run => [run.variant, run.results]))
+    });
+
+  } catch (error) {
+    logger.error('Prompt experiment failed', error);
+    res.status(500).json({
+      error: 'Failed to run prompt experiment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Translate an approved description, or a stored generation, into the languages of other markets
+ * Streams per-market progress as Server-Sent Events when the client sends Accept: text/event-stream
+ */
+app.post('/api/translate', async (req, res) => {
+  let stream = null;
+
+  try {
+    const {
+      description = null,
+      pageName = null,
+      sourceLanguage = null,
+      generationId = null,
+      markets,
+      brand = null,
+      forceRefresh = false,
+      model = 'gpt-4o'
+    } = req.body;
+
+    const { Provider, error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    const { source, error: sourceError } = loadSource({ description, pageName, sourceLanguage, generationId }, generations);
+    const validationError = sourceError || validateMarkets(markets).error || Brands.validateBrand(brand).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const brandId = brand || source.brand || SYSTEM_CONFIG.brands.default;
+    logger.header('Translating Description');
+    logger.info('Translation details', {
+      pageName: source.pageName, generationId: source.generationId, markets, brand: brandId, model, service: Provider.displayName
+    });
+
+    // Reset token tracking for this request
+    registry.resetUsageTracking();
+
+    // Stream per-market progress when the client accepts Server-Sent Events
+    if (EventStream.isRequested(req)) {
+      stream = new EventStream(res);
+      stream.send('start', { pageName: source.pageName, markets, model });
+    }
+
+    const translations = await translateToMarkets(
+      source,
+      markets,
+      { model, brand: brandId, forceRefresh },
+      { dataForSEO, registry, generations },
+      stream && ((event, data) => stream.send(event, data))
+    );
+
+    const usageSummary = registry.getUsageSummary();
+    logger.success('Translation completed', {
+      successCount: translations.filter(t => t.success).length,
+      totalCost: usageSummary.totalCost
+    });
+
+    const responseBody = {
+      success: true,
+      source: { pageName: source.pageName, generationId: source.generationId, sourceLanguage: source.sourceLanguage },
+      translations,
+      summary: {
+        markets: markets.length,
+        successfulTranslations: translations.filter(t => t.success).length,
+        usage: usageSummary
+      }
+    };
+
+    if (stream) {
+      stream.send('done', responseBody);
+      return stream.end();
+    }
+
+    res.json(responseBody);
+
+  } catch (error) {
+    logger.error('Translation failed', error);
+    if (stream) {
+      stream.send('error', { error: 'Failed to translate description', message: error.message });
+      return stream.end();
+    }
+    res.status(500).json({
+      error: 'Failed to translate description',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Refresh an existing page, fetched from its URL or sent as content, instead of generating it from scratch
+ * Responds with the improved page, the changes made and why, and a diff against the original
+ * Streams progress as Server-Sent Events when the client sends Accept: text/event-stream
+ */
+app.post('/api/refresh', async (req, res) => {
+  let stream = null;
+
+  try {
+    const {
+      pageName,
+      url = null,
+      content = null,
+      protectedSections = null,
+      location = SYSTEM_CONFIG.defaultLocation,
+      language = 'English',
+      locale = null,
+      profile = 'auto',
+      brand = SYSTEM_CONFIG.brands.default,
+      includeRankTracking = true,
+      forceRefresh = false,
+      model = 'gpt-4o'
+    } = req.body;
+
+    const { Provider, error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    if (typeof pageName !== 'string' || pageName.trim() === '') {
+      return res.status(400).json({
+        error: 'Please provide the pageName (keyword) the page targets'
+      });
+    }
+
+    const validationError = validateProfile(profile).error || Brands.validateBrand(brand).error ||
+      validateLocale({ locale, location, language }).error || validateProtectedSections(protectedSections).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const { page, error: pageError } = await loadPage({ url, content }, dataForSEO, Brands.getBrand(brand));
+    const protectionError = pageError || checkProtectedSections(page.content, protectedSections).error;
+    if (protectionError) {
+      const { status, ...body } = protectionError;
+      return res.status(status).json(body);
+    }
+
+    logger.header('Refreshing Existing Page');
+    logger.info('Refresh details', {
+      pageName, url, protectedSections, locale: locale || { location, language }, brand, model, service: Provider.displayName
+    });
+
+    // Reset token tracking for this request
+    registry.resetUsageTracking();
+
+    // Stream progress when the client accepts Server-Sent Events
+    if (EventStream.isRequested(req)) {
+      stream = new EventStream(res);
+      stream.send('start', { pageName, url, model });
+    }
+
+    const result = await refreshPage(
+      page,
+      { pageName: pageName.trim(), protectedSections, locale, location, language, profile, brand, model, includeRankTracking, forceRefresh },
+      { dataForSEO, registry, generations },
+      stream && ((event, data) => stream.send(event, data))
+    );
+
+    const usageSummary = registry.getUsageSummary();
+    logger.success('Refresh completed', { pageName, changes: result.changes.length, totalCost: usageSummary.totalCost });
+
+    const responseBody = { success: true, result, summary: { usage: usageSummary } };
+
+    if (stream) {
+      stream.send('done', responseBody);
+      return stream.end();
+    }
+
+    res.json(responseBody);
+
+  } catch (error) {
+    logger.error('Refresh failed', error);
+    if (stream) {
+      stream.send('error', { error: 'Failed to refresh page', message: error.message });
+      return stream.end();
+    }
+    res.status(500).json({
+      error: 'Failed to refresh page',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Get search volume data for keywords
  */
@@ -212,7 +563,7 @@ app.post('/api/search-volume', async (req, res) => {
       });
     }
 
-    const { keywords, location, language } = req.body;
+    const { keywords, location, language, locale = null, forceRefresh = false } = req.body;
 
     if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
       return res.status(400).json({
@@ -220,13 +571,22 @@ app.post('/api/search-volume', async (req, res) => {
       });
     }
 
-    logger.info('Getting search volume data', { keywordCount: keywords.length });
+    const { error: localeError } = validateLocale({ locale, location, language });
+    if (localeError) {
+      const { status, ...body } = localeError;
+      return res.status(status).json(body);
+    }
+
+    const market = resolveLocale({ locale, location, language });
+    logger.info('Getting search volume data', { keywordCount: keywords.length, locale: market.id });
 
-    const volumeData = await dataForSEO.getSearchVolume(keywords, location, language);
+    const volumeData = await dataForSEO.getSearchVolume(keywords, market.location.code, market.language.code, { forceRefresh });
+    const hits = volumeData.filter(item => item.cached).length;
 
     res.json({
       success: true,
-      data: volumeData
+      data: volumeData,
+      cache: { hits, misses: volumeData.length - hits }
     });
 
   } catch (error) {
@@ -238,23 +598,83 @@ app.post('/api/search-volume', async (req, res) => {
   }
 });
 
+/**
+ * Where our own domains rank for each keyword, from the SERP only (no AI cost)
+ */
+app.post('/api/rankings', async (req, res) => {
+  try {
+    // Check if DataForSEO is available
+    if (!dataForSEO) {
+      return res.status(503).json({
+        error: 'DataForSEO service not configured',
+        message: 'Please add DATAFORSEO_LOGIN and DATAFORSEO_PASSWORD to the .env file and restart the server'
+      });
+    }
+
+    const { keywords, location, language, locale = null, brand = SYSTEM_CONFIG.brands.default, forceRefresh = false } = req.body;
+
+    if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
+      return res.status(400).json({
+        error: 'Please provide an array of keywords'
+      });
+    }
+
+    if (keywords.length > SYSTEM_CONFIG.ranking.maxKeywords) {
+      return res.status(400).json({
+        error: `Maximum ${SYSTEM_CONFIG.ranking.maxKeywords} keywords per request`
+      });
+    }
+
+    const validationError = Brands.validateBrand(brand).error || validateLocale({ locale, location, language }).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const ownDomains = getOwnDomains(Brands.getBrand(brand));
+    logger.info('Checking own rankings', { keywordCount: keywords.length, brand, ownDomains });
+
+    const rankings = await checkRankings(keywords, { locale, location, language, brand, forceRefresh }, dataForSEO);
+
+    res.json({
+      success: true,
+      brand,
+      ownDomains,
+      data: rankings
+    });
+
+  } catch (error) {
+    logger.error('Failed to check rankings', error);
+    res.status(500).json({
+      error: 'Failed to check rankings',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Analyze competitors for a keyword
  */
 app.post('/api/analyze-competitors', async (req, res) => {
   try {
-    const { keyword, location, language, model = 'gpt-4o' } = req.body;
+    const {
+      keyword, location, language, locale = null, model = 'gpt-4o', brand = SYSTEM_CONFIG.brands.default, forceRefresh = false,
+      description = null
+    } = req.body;
 
     // Check if requested model service is available
-    const isGeminiModel = model && model.startsWith('gemini');
-    const aiService = isGeminiModel ? gemini : openAI;
-    const serviceName = isGeminiModel ? 'Gemini' : 'OpenAI';
-    
+    const { service: aiService, Provider, error } = registry.resolveService(model);
+
+    if (error && error.status === 400) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
     // Check if services are available
     if (!dataForSEO || !aiService) {
       return res.status(503).json({
         error: 'Required services not configured',
-        message: `Both DataForSEO and ${serviceName} services are required for competitor analysis. Please configure your .env file.`
+        message: `Both DataForSEO and ${Provider ? Provider.displayName : 'AI'} services are required for competitor analysis. Please configure your .env file.`
       });
     }
 
@@ -264,28 +684,55 @@ app.post('/api/analyze-competitors', async (req, res) => {
       });
     }
 
-    logger.info('Analyzing competitors', { keyword });
+    const validationError = Brands.validateBrand(brand).error || validateLocale({ locale, location, language }).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const market = resolveLocale({ locale, location, language });
+    logger.info('Analyzing competitors', { keyword, brand, locale: market.id });
 
     // Get SERP results
-    const serpResults = await dataForSEO.getSERPResults(keyword, location, language);
+    const serpResults = await dataForSEO.getSERPResults(keyword, market.location.code, market.language.code, { forceRefresh });
     
-    // Get competitor content
-    const topUrls = serpResults.organicResults
-      .slice(0, SYSTEM_CONFIG.parallel.competitorAnalysis)
+    // Get competitor content, skipping our own pages and trying further results when pages are excluded
+    const ownDomains = getOwnDomains(Brands.getBrand(brand));
+    const candidateUrls = serpResults.organicResults
+      .filter(r => !isOwnDomain(r.domain, ownDomains))
+      .slice(0, SYSTEM_CONFIG.crawler.maxCandidates)
       .map(r => r.url);
     
-    const competitorContent = await dataForSEO.getCompetitorContent(topUrls);
+    const { pages: competitorContent, excluded } = await dataForSEO.getCompetitorContent(candidateUrls);
     
     // Analyze content with AI
-    const insights = await aiService.analyzeCompetitorContent(keyword, competitorContent);
+    const insights = await aiService.analyzeCompetitorContent(keyword, competitorContent, model);
+
+    // Deterministic gap report, checked against our copy when one is supplied
+    const contentGap = buildGapReport(keyword, competitorContent);
+    if (description) {
+      contentGap.coverage = findMissingTopics(contentGap, description);
+    }
 
     res.json({
       success: true,
       data: {
         keyword,
+        locale: market.id,
         totalResults: serpResults.totalResults,
+        cacheHits: { serp: serpResults.cached },
         competitorsAnalyzed: competitorContent.length,
-        insights
+        competitors: competitorContent.map(({ url, finalUrl, canonicalUrl, domain, title, outline, wordCount }) => ({
+          url, finalUrl, canonicalUrl, domain, title, outline, wordCount
+        })),
+        excluded,
+        insights,
+        contentGap,
+        serp: {
+          organicResults: serpResults.organicResults,
+          features: serpResults.features,
+          ...buildSerpContext(serpResults.features)
+        }
       }
     });
 
@@ -299,139 +746,290 @@ app.post('/api/analyze-competitors', async (req, res) => {
 });
 
 /**
- * Process multiple pages concurrently with rate limiting
+ * DataForSEO languages and locations, and the markets with spelling and currency rules
+ */
+app.get('/api/locales', (req, res) => {
+  res.json({ success: true, ...Locales.listLocales() });
+});
+
+/**
+ * Load a brand's existing pages into its link index, from a sitemap (the brand's own by default) or CSV text
+ * of URL/anchor pairs; replaces the previous index
  */
-async function processPagesConcurrently(pages, location, language, includeCompetitorAnalysis, includeSearchVolume, aiService) {
-  const results = [];
-  const batchSize = SYSTEM_CONFIG.parallel.maxConcurrent;
-
-  for (let i = 0; i < pages.length; i += batchSize) {
-    const batch = pages.slice(i, i + batchSize);
-    logger.process(`Processing batch ${Math.floor(i / batchSize) + 1}`, { pages: batch });
-
-    const batchPromises = batch.map(async (pageName) => {
-      try {
-        const result = await processSinglePage(
-          pageName,
-          location,
-          language,
-          includeCompetitorAnalysis,
-          includeSearchVolume,
-          aiService
-        );
-        return { ...result, success: true };
-      } catch (error) {
-        logger.error(`Failed to process ${pageName}`, error);
-        return {
-          pageName,
-          success: false,
-          error: error.message
-        };
+app.post('/api/link-index', async (req, res) => {
+  try {
+    const { brand = SYSTEM_CONFIG.brands.default, csv = null } = req.body;
+
+    const { error: brandError } = Brands.validateBrand(brand);
+    if (brandError) {
+      const { status, ...body } = brandError;
+      return res.status(status).json(body);
+    }
+
+    const sitemapUrl = req.body.sitemapUrl || (csv ? null : Brands.getBrand(brand).sitemap);
+
+    if (!csv && !sitemapUrl) {
+      return res.status(400).json({
+        error: 'No link source',
+        message: `Provide a sitemapUrl or csv, or add a sitemap to the "${brand}" brand file`
+      });
+    }
+
+    if (sitemapUrl) {
+      const { error: sitemapError } = linkIndex.validateSitemapUrl(brand, sitemapUrl);
+      if (sitemapError) {
+        const { status, ...body } = sitemapError;
+        return res.status(status).json(body);
       }
+    }
+
+    logger.info('Importing link index', { brand, source: sitemapUrl || 'csv' });
+
+    const index = sitemapUrl
+      ? await linkIndex.importSitemap(brand, sitemapUrl)
+      : linkIndex.importCsv(brand, csv);
+
+    res.json({
+      success: true,
+      ...index
     });
 
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
+  } catch (error) {
+    logger.error('Failed to import link index', error);
+    res.status(500).json({
+      error: 'Failed to import link index',
+      message: error.message
+    });
   }
+});
 
-  return results;
-}
+/**
+ * Size, source and age of a brand's link index
+ * Query: brand
+ */
+app.get('/api/link-index', (req, res) => {
+  const { brand = SYSTEM_CONFIG.brands.default } = req.query;
+
+  const { error: brandError } = Brands.validateBrand(brand);
+  if (brandError) {
+    const { status, ...body } = brandError;
+    return res.status(status).json(body);
+  }
+
+  res.json({ success: true, ...linkIndex.describe(brand) });
+});
 
 /**
- * Process a single page with all features
+ * Submit a background generation job for large page lists
  */
-async function processSinglePage(pageName, location, language, includeCompetitorAnalysis, includeSearchVolume, aiService) {
-  const pageLogger = logger.child(`[${pageName}]`);
-  pageLogger.process('Starting page processing');
-
-  let searchVolume = null;
-  let competitorInsights = null;
-  let competitorDomains = [];
-
-  // Parallel data gathering
-  const dataPromises = [];
-
-  // Get search volume if requested
-  if (includeSearchVolume && dataForSEO) {
-    pageLogger.info('Starting search volume request', { pageName, location, language });
-    dataPromises.push(
-      dataForSEO.getSearchVolume([pageName], location, language)
-        .then(data => {
-          pageLogger.info('Raw search volume response', { data, length: data?.length });
-          searchVolume = data[0];
-          pageLogger.success('Search volume retrieved', searchVolume);
-        })
-        .catch(error => {
-          pageLogger.warn('Failed to get search volume', error.message);
-        })
-    );
-  } else if (includeSearchVolume && !dataForSEO) {
-    pageLogger.warn('Search volume requested but DataForSEO not configured');
+app.post('/api/jobs', (req, res) => {
+  try {
+    const {
+      pages,
+      location = SYSTEM_CONFIG.defaultLocation,
+      language = 'English',
+      locale = null,
+      includeCompetitorAnalysis = false,
+      includeSearchVolume = true,
+      includeKeywordExpansion = false,
+      includeRankTracking = false,
+      structuredOutput = false,
+      diversify = false,
+      forceRefresh = false,
+      profile = 'auto',
+      brand = SYSTEM_CONFIG.brands.default,
+      linkPolicy = SYSTEM_CONFIG.internalLinks.policy,
+      model = 'gpt-4o'
+    } = req.body;
+
+    const { error } = registry.resolveService(model);
+
+    if (error) {
+      const { status, ...body } = error;
+      return res.status(status).json(body);
+    }
+
+    if (!pages || !Array.isArray(pages) || pages.length === 0) {
+      return res.status(400).json({
+        error: 'Please provide an array of page names'
+      });
+    }
+
+    if (pages.length > SYSTEM_CONFIG.jobs.maxPages) {
+      return res.status(400).json({
+        error: `Maximum ${SYSTEM_CONFIG.jobs.maxPages} pages per job`
+      });
+    }
+
+    const validationError = validateProfile(profile).error || Brands.validateBrand(brand).error ||
+      validateLinkPolicy(linkPolicy).error || validateLocale({ locale, location, language }).error;
+    if (validationError) {
+      const { status, ...body } = validationError;
+      return res.status(status).json(body);
+    }
+
+    const job = jobManager.createJob(pages, {
+      location,
+      language,
+      locale,
+      includeCompetitorAnalysis,
+      includeSearchVolume,
+      includeKeywordExpansion,
+      includeRankTracking,
+      structuredOutput,
+      diversify,
+      forceRefresh,
+      profile,
+      brand,
+      linkPolicy,
+      model
+    });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      progress: jobManager.getProgress(job),
+      links: {
+        status: `/api/jobs/${job.id}`,
+        results: `/api/jobs/${job.id}/results`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to create job', error);
+    res.status(500).json({
+      error: 'Failed to create job',
+      message: error.message
+    });
   }
+});
 
-  // Get competitor analysis if requested
-  if (includeCompetitorAnalysis && dataForSEO && aiService) {
-    dataPromises.push(
-      (async () => {
-        try {
-          pageLogger.process('Starting competitor analysis');
-          const serpResults = await dataForSEO.getSERPResults(pageName, location, language);
-          const topUrls = serpResults.organicResults
-            .slice(0, SYSTEM_CONFIG.parallel.competitorAnalysis)
-            .map(r => r.url);
-
-          competitorDomains = topUrls.map(url => {
-            try {
-              return new URL(url).hostname.replace('www.', '');
-            } catch (_) {
-              return null;
-            }
-          }).filter(Boolean);
-          
-          if (topUrls.length > 0) {
-            const competitorContent = await dataForSEO.getCompetitorContent(topUrls);
-            competitorInsights = await aiService.analyzeCompetitorContent(pageName, competitorContent);
-            pageLogger.success('Competitor analysis completed', {
-              competitorsAnalyzed: competitorContent.length
-            });
-          } else {
-            pageLogger.warn('No competitor URLs found for analysis');
-          }
-        } catch (error) {
-          pageLogger.warn('Failed to analyze competitors', error.message);
-        }
-      })()
-    );
-  } else if (includeCompetitorAnalysis && (!dataForSEO || !aiService)) {
-    pageLogger.warn('Competitor analysis requested but required services not configured');
+/**
+ * List background jobs (most recent first)
+ */
+app.get('/api/jobs', (req, res) => {
+  const jobs = jobManager.listJobs().map(job => ({
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    progress: jobManager.getProgress(job)
+  }));
+
+  res.json({ success: true, jobs });
+});
+
+/**
+ * Get job status with per-page progress
+ */
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
   }
 
-  // Wait for all data gathering to complete
-  await Promise.all(dataPromises);
-
-  // Check if SeatPick already ranks in top 3 SERP results
-  const seatpickTop3 = competitorDomains.some(domain => domain && domain.toLowerCase().includes('seatpick.com'));
-
-  // Generate description with retry logic
-  const descriptionResult = await aiService.generateWithRetry(
-    pageName,
-    language,
-    competitorInsights,
-    searchVolume
-  );
-
-  return {
-    pageName,
-    description: descriptionResult.description,
-    wordCount: descriptionResult.wordCount,
-    isValidLength: descriptionResult.isValidLength,
-    searchVolume: searchVolume?.searchVolume || null,
-    usage: descriptionResult.usage,
-    hasCompetitorInsights: !!competitorInsights,
-    competitorDomains,
-    seatpickTop3
-  };
-}
+  res.json({ success: true, job: jobManager.toSummary(job) });
+});
+
+/**
+ * Get generated results once a job has finished
+ */
+app.get('/api/jobs/:id/results', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!jobManager.isFinished(job)) {
+    return res.status(409).json({
+      error: 'Job is still in progress',
+      status: job.status,
+      progress: jobManager.getProgress(job)
+    });
+  }
+
+  const results = job.pages.map(page => page.result
+    ? { ...page.result, success: true }
+    : { pageName: page.pageName, success: false, error: page.error });
+
+  res.json({
+    success: true,
+    jobId: job.id,
+    results,
+    summary: {
+      totalPages: job.pages.length,
+      successfulGenerations: results.filter(r => r.success).length,
+      usage: jobManager.getUsage(job)
+    }
+  });
+});
+
+/**
+ * Retry failed pages of a job without rerunning the whole batch
+ * Optional body: { pages: [index, ...] } to retry specific pages only
+ */
+app.post('/api/jobs/:id/retry', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const { pages = null } = req.body || {};
+
+  if (pages !== null && !Array.isArray(pages)) {
+    return res.status(400).json({
+      error: 'pages must be an array of page indexes'
+    });
+  }
+
+  const retried = jobManager.retryFailed(job.id, pages);
+
+  if (retried === 0) {
+    return res.status(400).json({
+      error: 'No failed pages to retry'
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    retried,
+    job: jobManager.toSummary(job)
+  });
+});
+
+/**
+ * Generation history, most recent first
+ * Query: pageName (substring), model, status (completed|failed), from, to (ISO dates), page, pageSize
+ */
+app.get('/api/generations', (req, res) => {
+  if (!generations) {
+    return res.status(503).json({
+      error: 'Generation history unavailable',
+      message: 'SQLite storage is disabled or could not be opened. Check GENERATIONS_DB and the server logs.'
+    });
+  }
+
+  const { filters, error } = GenerationStore.parseQuery(req.query);
+
+  if (error) {
+    const { status, ...body } = error;
+    return res.status(status).json(body);
+  }
+
+  try {
+    res.json({ success: true, ...generations.list(filters) });
+  } catch (listError) {
+    logger.error('Failed to list generations', listError);
+    res.status(500).json({
+      error: 'Failed to list generations',
+      message: listError.message
+    });
+  }
+});
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -442,6 +1040,21 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Refuse to start with a broken prompt template, brand file or market rule rather than failing on the first generation
+try {
+  const templates = Prompt.validateAll();
+  logger.success(`Prompt templates validated (${templates.length})`);
+  const brands = Brands.validateAll();
+  logger.success(`Brands loaded (${brands.join(', ')})`);
+  const markets = Locales.validateAll();
+  logger.success(`Markets loaded (${markets.length})`);
+} catch (error) {
+  logger.error('Prompt template, brand or market validation failed', error.message);
+  process.exit(1);
+}
+
+jobManager.start();
+
 // Start server
 app.listen(PORT, () => {
   logger.header('SEO Description Generator v2 Started');
@@ -462,7 +1075,7 @@ app.listen(PORT, () => {
     logger.info('   DATAFORSEO_LOGIN=your_actual_login');
     logger.info('   DATAFORSEO_PASSWORD=your_actual_password');
     logger.info('3. Restart the server');
-    logger.info('Note: At least one AI service (OpenAI or Gemini) is required');
+    logger.info('Note: At least one AI provider is required (OpenAI, Gemini, Anthropic, Azure OpenAI or a local endpoint)');
     logger.separator();
   }
 });
@@ -470,11 +1083,7 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  if (openAI) {
-    openAI.dispose();
-  }
-  if (gemini) {
-    gemini.dispose();
-  }
+  registry.dispose();
+  if (generations) generations.close();
   process.exit(0);
 }); 
\ No newline at end of file
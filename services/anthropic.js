@@ -0,0 +1,141 @@
+/**
+ * Anthropic Service
+ * Handles Claude content generation via the Messages API
+ */
+
+const axios = require('axios');
+const { API_CONFIG, SYSTEM_CONFIG } = require('../config/constants');
+const BaseAIService = require('./baseAIService');
+const EventStream = require('../utils/eventStream');
+
+class AnthropicService extends BaseAIService {
+  static id = 'anthropic';
+  static displayName = 'Anthropic';
+  static envKeys = ['ANTHROPIC_API_KEY'];
+  static models = API_CONFIG.anthropic.models;
+
+  static fromEnv(env) {
+    const apiKey = this.readEnv(env, 'ANTHROPIC_API_KEY');
+    return apiKey ? new this(apiKey) : null;
+  }
+
+  constructor(apiKey) {
+    super(API_CONFIG.anthropic.model);
+    this.apiKey = apiKey;
+    this.apiEndpoint = API_CONFIG.anthropic.apiEndpoint;
+  }
+
+  /**
+   * Run a Messages API request (streamed when a token callback is provided)
+   */
+  async complete({ model = this.model, systemPrompt, userPrompt, maxTokens, temperature, onToken = null, responseSchema = null }) {
+    // The Messages API has no JSON schema mode, so the schema is spelled out in the system prompt
+    const system = responseSchema
+      ? `${systemPrompt}\n\nRespond with a single JSON object matching this JSON schema, and nothing else:\n${JSON.stringify(responseSchema.schema)}`
+      : systemPrompt;
+
+    const requestBody = {
+      model,
+      system,
+      messages: [{ role: 'user', content: userPrompt }],
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    try {
+      if (onToken) {
+        return await this.streamMessage(requestBody, onToken);
+      }
+
+      const response = await axios.post(this.apiEndpoint, requestBody, {
+        headers: this.getHeaders(),
+        timeout: SYSTEM_CONFIG.providers.requestTimeoutMs
+      });
+      const text = response.data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      if (!text) {
+        throw new Error('No text content found in Anthropic API response');
+      }
+
+      return {
+        text,
+        promptTokens: response.data.usage.input_tokens,
+        completionTokens: response.data.usage.output_tokens
+      };
+    } catch (error) {
+      throw this.formatError(error);
+    }
+  }
+
+  /**
+   * Stream a Messages API request, forwarding each text delta to onToken
+   */
+  async streamMessage(requestBody, onToken) {
+    const response = await axios.post(
+      this.apiEndpoint,
+      { ...requestBody, stream: true },
+      { headers: this.getHeaders(), responseType: 'stream', timeout: SYSTEM_CONFIG.providers.requestTimeoutMs }
+    );
+
+    let text = '';
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    for await (const { event, data } of EventStream.parse(response.data)) {
+      if (event === 'message_start') {
+        promptTokens = data.message?.usage?.input_tokens || 0;
+      } else if (event === 'content_block_delta' && data.delta?.type === 'text_delta') {
+        text += data.delta.text;
+        onToken(data.delta.text);
+      } else if (event === 'message_delta') {
+        completionTokens = data.usage?.output_tokens || completionTokens;
+      } else if (event === 'error') {
+        // Errors sent mid-stream are server-side (e.g. overloaded_error), reported as 529 like the HTTP equivalent
+        throw Object.assign(new Error(`Anthropic API Error: ${data.error?.message || 'stream error'}`), {
+          status: data.error?.type === 'overloaded_error' ? 529 : 500
+        });
+      }
+    }
+
+    if (!text) {
+      throw new Error('No text content found in Anthropic API response');
+    }
+
+    return { text, promptTokens, completionTokens };
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': API_CONFIG.anthropic.apiVersion
+    };
+  }
+
+  /**
+   * Format API errors (status and code are kept so callers can tell provider failures apart)
+   */
+  formatError(error) {
+    if (error.response) {
+      const status = error.response.status;
+      const message = error.response.data?.error?.message || error.response.statusText;
+
+      if (status === 429) {
+        return Object.assign(new Error(`Anthropic API rate limit exceeded. ${message}`), { status });
+      } else if (status === 401) {
+        return Object.assign(new Error('Invalid Anthropic API key. Please check your credentials.'), { status });
+      }
+
+      return Object.assign(new Error(`Anthropic API Error: ${status} - ${message}`), { status });
+    } else if (error.request) {
+      return Object.assign(new Error('Anthropic API: No response received'), { code: error.code });
+    } else {
+      return error;
+    }
+  }
+}
+
+module.exports = AnthropicService;
@@ -0,0 +1,64 @@
+/**
+ * Azure OpenAI Service
+ * Runs the OpenAI chat completions flow against Azure OpenAI deployments
+ */
+
+const { AzureOpenAI } = require('openai');
+const { API_CONFIG, SYSTEM_CONFIG } = require('../config/constants');
+const OpenAIService = require('./openAI');
+
+// Models are exposed as "azure:<deployment>" so they never clash with OpenAI model names
+const MODEL_PREFIX = 'azure:';
+
+class AzureOpenAIService extends OpenAIService {
+  static id = 'azureOpenAI';
+  static displayName = 'Azure OpenAI';
+  static envKeys = ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENTS'];
+
+  static fromEnv(env) {
+    const apiKey = this.readEnv(env, 'AZURE_OPENAI_API_KEY');
+    const endpoint = this.readEnv(env, 'AZURE_OPENAI_ENDPOINT');
+    const models = this.getModels(env);
+
+    if (!apiKey || !endpoint || models.length === 0) {
+      return null;
+    }
+
+    const apiVersion = this.readEnv(env, 'AZURE_OPENAI_API_VERSION') || API_CONFIG.azureOpenAI.apiVersion;
+    return new this(apiKey, endpoint, apiVersion, models[0]);
+  }
+
+  /**
+   * Deployments are configured as a comma-separated list, e.g. "gpt-4o,gpt-4o-mini"
+   */
+  static getModels(env) {
+    const deployments = this.readEnv(env, 'AZURE_OPENAI_DEPLOYMENTS') || '';
+    return deployments.split(',')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => `${MODEL_PREFIX}${name}`);
+  }
+
+  /**
+   * Deployments are priced and tokenized as the model they are named after
+   */
+  static getCanonicalModel(model) {
+    return model.startsWith(MODEL_PREFIX) ? model.slice(MODEL_PREFIX.length) : model;
+  }
+
+  constructor(apiKey, endpoint, apiVersion, model) {
+    super(apiKey, {
+      model,
+      client: new AzureOpenAI({ apiKey, endpoint, apiVersion, timeout: SYSTEM_CONFIG.providers.requestTimeoutMs })
+    });
+  }
+
+  /**
+   * Azure expects the deployment name in place of the model
+   */
+  getRequestModel(model = this.model) {
+    return model.slice(MODEL_PREFIX.length);
+  }
+}
+
+module.exports = AzureOpenAIService;
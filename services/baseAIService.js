@@ -0,0 +1,833 @@
+/**
+ * Base AI Service
+ * Shared prompt building, retry logic and usage tracking for every AI provider
+ * Providers extend this class, describe themselves with static metadata and implement complete()
+ */
+
+const { BRAND_GUIDELINES, API_CONFIG, SYSTEM_CONFIG } = require('../config/constants');
+const { TokenCounter, TokenUsageTracker } = require('../utils/tokenCounter');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { lintDescription, describeViolations } = require('../utils/contentLinter');
+const { SEO_FIELD_NAMES, buildSeoSchema, parseJsonResponse, validateSeoFields, describeSeoIssues } = require('../utils/seoFields');
+const { logger } = require('../utils/logger');
+const Prompt = require('../utils/prompt');
+const { getProfile } = require('../utils/profiles');
+const { getBrand } = require('../utils/brands');
+const { getMarket } = require('../utils/locales');
+const { compareStructure, describeStructureIssues } = require('../utils/translation');
+const { restoreSections, describeProtectionIssues } = require('../utils/refresh');
+
+class BaseAIService {
+  // Registry id (also used as the API_CONFIG key for generation settings)
+  static id = null;
+  static displayName = null;
+  // Environment variables needed to enable the provider
+  static envKeys = [];
+  // Models offered by the provider
+  static models = [];
+
+  /**
+   * Whether an error means the provider itself is failing (rate limited, erroring or unreachable),
+   * as opposed to a problem with the request, so another provider may succeed
+   */
+  static isProviderFailure(error) {
+    if (error.circuitOpen) return true;
+    if (error.status) return error.status === 408 || error.status === 429 || error.status >= 500;
+    return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code) ||
+      /^APIConnection(Timeout)?Error$/.test(error.name);
+  }
+
+  /**
+   * Create an instance from environment variables, or return null when not configured
+   */
+  static fromEnv(env) {
+    throw new Error(`${this.name} must implement fromEnv()`);
+  }
+
+  /**
+   * Models offered for the given environment (override when configurable)
+   */
+  static getModels(env) {
+    return this.models;
+  }
+
+  /**
+   * Model name used for token encoding and pricing lookups (override when model ids are aliased)
+   */
+  static getCanonicalModel(model) {
+    return model;
+  }
+
+  /**
+   * Read an environment variable, treating setup.js placeholders as missing
+   */
+  static readEnv(env, key) {
+    const value = env[key];
+    return value && !/^your_.*_here$/.test(value) ? value : null;
+  }
+
+  constructor(model) {
+    this.model = model;
+    this.settings = {
+      maxTokens: 800,
+      temperature: 0.7,
+      ...API_CONFIG[this.constructor.id]
+    };
+    this.tokenCounters = new Map();
+    this.tokenCounter = this.getTokenCounter(model);
+    this.usageTracker = new TokenUsageTracker();
+    this.logger = logger.child(this.constructor.displayName);
+    this.circuitBreaker = new CircuitBreaker({
+      name: this.constructor.displayName,
+      ...SYSTEM_CONFIG.providers.circuitBreaker
+    });
+  }
+
+  /**
+   * Token counter for a model (encodings are cached per model)
+   */
+  getTokenCounter(model = this.model) {
+    if (!this.tokenCounters.has(model)) {
+      this.tokenCounters.set(model, new TokenCounter(this.constructor.getCanonicalModel(model)));
+    }
+    return this.tokenCounters.get(model);
+  }
+
+  /**
+   * Run a single completion against the provider
+   * @param {object} request – { model, systemPrompt, userPrompt, maxTokens, temperature, onToken, responseSchema }
+   *   responseSchema: { name, schema } – ask for JSON matching a JSON schema (native structured output where supported)
+   * @returns {Promise<{ text: string, promptTokens: number, completionTokens: number }>}
+   */
+  async complete(request) {
+    throw new Error(`${this.constructor.name} must implement complete()`);
+  }
+
+  /**
+   * Run complete() behind the provider's circuit breaker
+   */
+  async callProvider(request) {
+    this.circuitBreaker.acquire();
+
+    try {
+      const response = await this.complete(request);
+      this.circuitBreaker.recordSuccess();
+      return response;
+    } catch (error) {
+      if (this.constructor.isProviderFailure(error)) {
+        this.circuitBreaker.recordFailure();
+      } else {
+        // The provider answered, so it is healthy even though the request failed
+        this.circuitBreaker.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate SEO description for a single page
+   * @param {object} options – { model, profile, brand, locale, variant, contentTargets, onToken(text) }; model defaults to the provider's default model,
+   *   profile (a PROMPT_PROFILES id) to SYSTEM_CONFIG.profiles.default, brand (a config/brands id) to SYSTEM_CONFIG.brands.default,
+   *   locale (e.g. "en-GB") supplies the market's spelling and currency rules (none by default), variant to the templates in /prompts
+   * @returns {Promise<object>} prompt: { variant, version, templates } identifies the template files the prompts were rendered from
+   */
+  async generateDescription(pageName, language = 'English', competitorInsights = null, searchVolume = null, options = {}) {
+    const {
+      model = this.model, profile: profileId = null, brand: brandId = null, locale = null, variant = null, onToken = null,
+      contentTargets = null
+    } = options;
+    const tokenCounter = this.getTokenCounter(model);
+    const profile = getProfile(profileId);
+    const brand = getBrand(brandId);
+    const market = getMarket(locale);
+    const examples = brand.examples[profile.id] || null;
+    const { min: minWords, max: maxWords } = brand.wordLimits;
+
+    try {
+      const templateFiles = [profile.templates.system, profile.templates.user, examples].filter(Boolean);
+
+      this.logger.process(`Generating description for: ${pageName}`, { language, model });
+
+      const systemPrompt = Prompt.render(profile.templates.system, {
+        language,
+        market,
+        minWords,
+        maxWords,
+        profile,
+        brand,
+        examples: examples ? Prompt.render(examples, {}, { variant }) : null
+      }, { variant });
+
+      const userPrompt = Prompt.render(profile.templates.user, {
+        pageName,
+        profile,
+        brand,
+        minWords,
+        maxWords,
+        competitorInsights,
+        searchVolume: searchVolume?.searchVolume ? searchVolume.searchVolume.toLocaleString() : null,
+        competition: searchVolume?.competition,
+        cpc: searchVolume?.cpc?.toFixed ? searchVolume.cpc.toFixed(2) : null,
+        secondaryKeywords: contentTargets?.secondaryKeywords || [],
+        faqCandidates: contentTargets?.faqCandidates || [],
+        historyFacts: contentTargets?.historyFacts || [],
+        internalLinks: contentTargets?.internalLinks || brand.internalLinks
+      }, { variant });
+
+      // Estimate tokens before making the request
+      const estimation = tokenCounter.estimateRequestTokens([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ]);
+      this.logger.info('Token estimation', estimation);
+
+      const { text: description, promptTokens, completionTokens } = await this.callProvider({
+        model,
+        systemPrompt,
+        userPrompt,
+        maxTokens: this.settings.maxTokens,
+        temperature: this.settings.temperature,
+        onToken
+      });
+
+      // Calculate actual cost
+      const cost = tokenCounter.calculateCost(promptTokens, completionTokens);
+
+      // Track usage
+      this.usageTracker.addRequest(
+        promptTokens,
+        completionTokens,
+        cost,
+        { pageName, language, model }
+      );
+
+      // Validate word count
+      const wordCount = this.countWords(description);
+      const isValidLength = wordCount >= minWords && wordCount <= maxWords;
+
+      // Check the brand rules that can be verified in code
+      const lint = lintDescription(description, { keyword: pageName, brand, market });
+
+      this.logger.success(`Description generated`, {
+        pageName,
+        model,
+        wordCount,
+        isValidLength,
+        lintScore: lint.score,
+        tokens: promptTokens + completionTokens,
+        cost: cost.totalCost
+      });
+
+      return {
+        pageName,
+        description,
+        wordCount,
+        isValidLength,
+        lint,
+        model,
+        brand: brand.id,
+        prompts: { system: systemPrompt, user: userPrompt },
+        prompt: { variant: variant || Prompt.DEFAULT_VARIANT, ...Prompt.version(templateFiles, { variant }) },
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens,
+          cost: cost.totalCost
+        }
+      };
+    } catch (error) {
+      this.logger.error(`Failed to generate description for ${pageName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate structured SEO fields (meta title, meta description, H1, FAQ) for a page
+   * Each field is validated against its own rules and only the failing fields are requested again
+   * @param {object} options – { model, brand, locale, maxRetries, faqCandidates, onRetry({ attempt, reason: 'seo_fields', fields }) }
+   *   brand: config/brands id the metadata is written for; locale: its market, for the spelling rule;
+   *   faqCandidates: "people also ask" questions the FAQ should prefer
+   * @returns {Promise<{ fields, validation, isValid, usage }>} validation is { [field]: { valid, issues, attempts } }
+   */
+  async generateSeoFields(pageName, language, description, options = {}) {
+    const {
+      model = this.model, brand: brandId = null, locale = null, maxRetries = 3, faqCandidates = [], onRetry = null
+    } = options;
+    const limits = BRAND_GUIDELINES.seoFields;
+    const brand = getBrand(brandId);
+    const market = getMarket(locale);
+    const tokenCounter = this.getTokenCounter(model);
+    const fields = {};
+    const validation = {};
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    let pending = SEO_FIELD_NAMES;
+    let feedback = null;
+
+    this.logger.process(`Generating SEO fields for: ${pageName}`, { model });
+
+    for (let attempt = 1; attempt <= maxRetries && pending.length > 0; attempt++) {
+      const userPrompt = Prompt.render('seo_fields.txt', {
+        pageName,
+        brand,
+        language,
+        market,
+        description,
+        feedback,
+        faqCandidates,
+        fieldList: pending.join(', '),
+        metaTitleMaxChars: limits.metaTitle.maxChars,
+        metaDescriptionMaxChars: limits.metaDescription.maxChars,
+        h1MaxChars: limits.h1.maxChars,
+        faqMinItems: limits.faq.minItems,
+        faqMaxItems: limits.faq.maxItems,
+        faqMaxAnswerWords: limits.faq.maxAnswerWords
+      });
+
+      const { text, promptTokens, completionTokens } = await this.callProvider({
+        model,
+        systemPrompt: 'You are an SEO specialist writing page metadata. Always answer with valid JSON.',
+        userPrompt,
+        maxTokens: 1000,
+        temperature: 0.4,
+        responseSchema: { name: 'seo_fields', schema: buildSeoSchema(pending) }
+      });
+
+      const cost = tokenCounter.calculateCost(promptTokens, completionTokens);
+      this.usageTracker.addRequest(promptTokens, completionTokens, cost, { type: 'seo_fields', pageName, model, attempt });
+      usage.promptTokens += promptTokens;
+      usage.completionTokens += completionTokens;
+      usage.totalTokens += promptTokens + completionTokens;
+      usage.cost = Number((usage.cost + cost.totalCost).toFixed(6));
+
+      let parsed = {};
+      try {
+        parsed = parseJsonResponse(text);
+      } catch (error) {
+        this.logger.warn(`Could not parse SEO fields for ${pageName}`, error.message);
+      }
+
+      const attemptValidation = validateSeoFields(parsed, pending);
+      pending.forEach(name => {
+        if (parsed[name] !== undefined) {
+          fields[name] = typeof parsed[name] === 'string' ? parsed[name].trim() : parsed[name];
+        }
+        validation[name] = { ...attemptValidation[name], attempts: attempt };
+      });
+
+      pending = pending.filter(name => !attemptValidation[name].valid);
+      if (pending.length > 0 && attempt < maxRetries) {
+        feedback = describeSeoIssues(attemptValidation);
+        this.logger.warn(`SEO fields failed validation for ${pageName}, retrying`, { fields: pending });
+        if (onRetry) onRetry({ attempt: attempt + 1, reason: 'seo_fields', fields: pending });
+      }
+    }
+
+    const isValid = pending.length === 0;
+    if (isValid) {
+      this.logger.success('SEO fields generated', { pageName, cost: usage.cost });
+    } else {
+      this.logger.warn(`SEO fields still invalid after ${maxRetries} attempts`, { pageName, fields: pending });
+    }
+
+    return { fields, validation, isValid, usage };
+  }
+
+  /**
+   * Search phrases for a page keyword in another language, most likely first
+   * @param {object} options – { model, sourceLanguage, locale, count }; locale: the market the phrases are searched in
+   * @returns {Promise<{ keywords: string[], usage }>}
+   */
+  async localizeKeyword(pageName, language, options = {}) {
+    const {
+      model = this.model, sourceLanguage = 'English', locale = null, count = SYSTEM_CONFIG.translation.keywordCandidates
+    } = options;
+    const market = getMarket(locale);
+
+    const { text, promptTokens, completionTokens } = await this.callProvider({
+      model,
+      systemPrompt: 'You are an SEO specialist who knows how fans search in every market. Always answer with valid JSON.',
+      userPrompt: Prompt.render('keyword_localization.txt', { pageName, sourceLanguage, language, market, count }),
+      maxTokens: 300,
+      temperature: 0.2,
+      responseSchema: {
+        name: 'localized_keywords',
+        schema: {
+          type: 'object',
+          properties: { keywords: { type: 'array', items: { type: 'string' } } },
+          required: ['keywords'],
+          additionalProperties: false
+        }
+      }
+    });
+
+    const cost = this.getTokenCounter(model).calculateCost(promptTokens, completionTokens);
+    this.usageTracker.addRequest(promptTokens, completionTokens, cost, { type: 'keyword_localization', pageName, language, model });
+
+    let keywords = [];
+    try {
+      const parsed = parseJsonResponse(text);
+      keywords = (Array.isArray(parsed.keywords) ? parsed.keywords : [])
+        .filter(keyword => typeof keyword === 'string' && keyword.trim() !== '')
+        .map(keyword => keyword.trim());
+    } catch (error) {
+      this.logger.warn(`Could not parse localized keywords for ${pageName}`, error.message);
+    }
+
+    return {
+      keywords: keywords
+        .filter((keyword, index) => keywords.findIndex(other => other.toLowerCase() === keyword.toLowerCase()) === index)
+        .slice(0, count),
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, cost: cost.totalCost }
+    };
+  }
+
+  /**
+   * Translate an approved description into another language, keeping its headings, bold keyword and links
+   * Every attempt is checked like a generated description (the brand's word limits and the content linter, with
+   * the localized keyword and the target market) and against the structure of the original; the checks it fails
+   * are fed back into the next attempt. Only the linter rules the original passes are required of the translation
+   * @param {object} options – { model, brand, locale, keyword, sourceLanguage, maxRetries, failOver, onRetry({ attempt, reason, ... }) }
+   *   keyword: the localized keyword to bold (default: pageName); locale: the market translated for
+   * @returns {Promise<object>} { pageName, keyword, description, wordCount, isValidLength, structure, lint, attempts, ... }
+   */
+  async translateDescription(pageName, language, description, options = {}) {
+    const {
+      model = this.model, brand: brandId = null, locale = null, keyword = pageName, sourceLanguage = 'English',
+      maxRetries = SYSTEM_CONFIG.translation.maxRetries, failOver = false, onRetry = null
+    } = options;
+    const brand = getBrand(brandId);
+    const market = getMarket(locale);
+    const { min: minWords, max: maxWords } = brand.wordLimits;
+    const tokenCounter = this.getTokenCounter(model);
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    const sourceLint = lintDescription(description, { keyword: pageName, brand, market: getMarket() });
+    const requiredRules = new Set(sourceLint.rules.filter(rule => rule.passed).map(rule => rule.id));
+    const systemPrompt = `You are a native ${language} copywriter localizing ${brand.name} marketing copy. ` +
+      'You translate the meaning and the tone, never the structure.';
+    let feedback = null;
+    let bestResult = null;
+
+    this.logger.process(`Translating description for: ${pageName}`, { language, locale, model });
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      const userPrompt = Prompt.render('translation.txt', {
+        pageName, keyword, sourceLanguage, language, market, brand, minWords, maxWords, description, feedback
+      });
+
+      let response;
+      try {
+        response = await this.callProvider({
+          model,
+          systemPrompt,
+          userPrompt,
+          maxTokens: this.settings.maxTokens,
+          temperature: 0.3
+        });
+      } catch (error) {
+        if (attempt === maxRetries || error.circuitOpen || (failOver && this.constructor.isProviderFailure(error))) {
+          throw error;
+        }
+        this.logger.warn(`Translation attempt ${attempt} failed, retrying...`, error.message);
+        if (onRetry) onRetry({ attempt: attempt + 1, reason: 'error', message: error.message });
+        continue;
+      }
+
+      const { text, promptTokens, completionTokens } = response;
+      const cost = tokenCounter.calculateCost(promptTokens, completionTokens);
+      this.usageTracker.addRequest(promptTokens, completionTokens, cost, { type: 'translation', pageName, language, model, attempt });
+      usage.promptTokens += promptTokens;
+      usage.completionTokens += completionTokens;
+      usage.totalTokens += promptTokens + completionTokens;
+      usage.cost = Number((usage.cost + cost.totalCost).toFixed(6));
+
+      const wordCount = this.countWords(text);
+      const result = {
+        pageName,
+        keyword,
+        description: text,
+        wordCount,
+        isValidLength: wordCount >= minWords && wordCount <= maxWords,
+        structure: compareStructure(description, text),
+        lint: lintDescription(text, { keyword, brand, market }),
+        model,
+        brand: brand.id,
+        prompts: { system: systemPrompt, user: userPrompt }
+      };
+      const failedRules = result.lint.rules.filter(rule => !rule.passed && requiredRules.has(rule.id));
+
+      if (result.isValidLength && result.structure.passed && failedRules.length === 0) {
+        this.logger.success('Description translated', { pageName, language, wordCount, attempts: attempt, cost: usage.cost });
+        return { ...result, attempts: attempt, usage };
+      }
+
+      if (!bestResult || this.rankTranslation(result) > this.rankTranslation(bestResult)) {
+        bestResult = result;
+      }
+
+      if (attempt < maxRetries) {
+        const issues = [];
+        if (!result.isValidLength) {
+          issues.push(`- Length: the previous attempt had ${wordCount} words; write between ${minWords} and ${maxWords}`);
+        }
+        if (!result.structure.passed) issues.push(describeStructureIssues(result.structure));
+        if (failedRules.length > 0) issues.push(describeViolations({ rules: failedRules }));
+        feedback = issues.join('\n');
+
+        if (onRetry) {
+          onRetry({
+            attempt: attempt + 1,
+            reason: !result.isValidLength ? 'word_count' : !result.structure.passed ? 'structure' : 'lint',
+            wordCount,
+            wordLimits: brand.wordLimits,
+            violations: failedRules.map(rule => rule.id)
+          });
+        }
+      }
+    }
+
+    this.logger.warn(`Translation failed word count, structure or content checks after ${maxRetries} attempts`, { pageName, language });
+    return { ...bestResult, attempts: maxRetries, usage };
+  }
+
+  /**
+   * Rank translation attempts: a valid word count first, then the source structure, then the linter score
+   */
+  rankTranslation(result) {
+    return (result.isValidLength ? 2 : 0) + (result.structure.passed ? 1 : 0) + result.lint.score;
+  }
+
+  /**
+   * Improve an existing page instead of writing a new one, keeping its protected sections word for word
+   * The model sees each protected section as a placeholder and answers with the refreshed page and the changes it
+   * made; every attempt is checked for the word limits, the placeholders and the content linter, and the checks
+   * it fails are fed back into the next attempt
+   * @param {object} page – { text, sections, wordLimits }: the page with protectSections() placeholders, the
+   *   protected sections and the word limits of the refresh
+   * @param {object} options – { model, profile, brand, locale, ranking, lightTouch, maxRetries, failOver,
+   *   onRetry({ attempt, reason, ... }) }; ranking: where the page ranks ({ position }), lightTouch: edit it lightly
+   * @returns {Promise<object>} { pageName, description, changes, wordCount, isValidLength, protection, lint, attempts, ... }
+   */
+  async refreshDescription(pageName, language, page, options = {}) {
+    const {
+      model = this.model, profile: profileId = null, brand: brandId = null, locale = null, ranking = null,
+      lightTouch = false, maxRetries = SYSTEM_CONFIG.refresh.maxRetries, failOver = false, onRetry = null
+    } = options;
+    const profile = getProfile(profileId);
+    const brand = getBrand(brandId);
+    const market = getMarket(locale);
+    const { min: minWords, max: maxWords } = page.wordLimits;
+    const tokenCounter = this.getTokenCounter(model);
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+    const examples = brand.examples[profile.id] || null;
+    const systemPrompt = Prompt.render(profile.templates.system, {
+      language, market, minWords, maxWords, profile, brand, examples: examples ? Prompt.render(examples, {}) : null
+    });
+    let feedback = null;
+    let bestResult = null;
+
+    this.logger.process(`Refreshing page for: ${pageName}`, { language, locale, model, lightTouch });
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      const userPrompt = Prompt.render('refresh.txt', {
+        pageName,
+        brand,
+        minWords,
+        maxWords,
+        content: page.text,
+        protectedSections: page.sections.map(({ id, heading }) => ({ id, heading })),
+        ranking,
+        lightTouch,
+        feedback
+      });
+
+      let response;
+      try {
+        response = await this.callProvider({
+          model,
+          systemPrompt,
+          userPrompt,
+          maxTokens: this.settings.maxTokens,
+          temperature: lightTouch ? 0.3 : this.settings.temperature,
+          responseSchema: {
+            name: 'page_refresh',
+            schema: {
+              type: 'object',
+              properties: {
+                description: { type: 'string' },
+                changes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { section: { type: 'string' }, change: { type: 'string' }, reason: { type: 'string' } },
+                    required: ['section', 'change', 'reason'],
+                    additionalProperties: false
+                  }
+                }
+              },
+              required: ['description', 'changes'],
+              additionalProperties: false
+            }
+          }
+        });
+      } catch (error) {
+        if (attempt === maxRetries || error.circuitOpen || (failOver && this.constructor.isProviderFailure(error))) {
+          throw error;
+        }
+        this.logger.warn(`Refresh attempt ${attempt} failed, retrying...`, error.message);
+        if (onRetry) onRetry({ attempt: attempt + 1, reason: 'error', message: error.message });
+        continue;
+      }
+
+      const { text, promptTokens, completionTokens } = response;
+      const cost = tokenCounter.calculateCost(promptTokens, completionTokens);
+      this.usageTracker.addRequest(promptTokens, completionTokens, cost, { type: 'refresh', pageName, language, model, attempt });
+      usage.promptTokens += promptTokens;
+      usage.completionTokens += completionTokens;
+      usage.totalTokens += promptTokens + completionTokens;
+      usage.cost = Number((usage.cost + cost.totalCost).toFixed(6));
+
+      let parsed;
+      try {
+        parsed = parseJsonResponse(text);
+        if (typeof parsed.description !== 'string' || parsed.description.trim() === '') {
+          throw new Error('No description in the response');
+        }
+      } catch (error) {
+        if (attempt === maxRetries && !bestResult) throw new Error(`Could not parse the refreshed page: ${error.message}`);
+        this.logger.warn(`Could not parse refresh attempt ${attempt}`, error.message);
+        feedback = '- Format: respond with a JSON object with "description" and "changes" only';
+        if (onRetry && attempt < maxRetries) onRetry({ attempt: attempt + 1, reason: 'format', message: error.message });
+        continue;
+      }
+
+      const protection = restoreSections(parsed.description, page.sections);
+      const description = protection.text.trim();
+      const wordCount = this.countWords(description);
+      const result = {
+        pageName,
+        description,
+        changes: (Array.isArray(parsed.changes) ? parsed.changes : [])
+          .filter(change => change && typeof change.change === 'string')
+          .map(({ section = null, change, reason = null }) => ({ section, change, reason })),
+        wordCount,
+        isValidLength: wordCount >= minWords && wordCount <= maxWords,
+        protection: {
+          passed: protection.passed,
+          missing: protection.missing,
+          repeated: protection.repeated,
+          inOrder: protection.inOrder
+        },
+        lint: lintDescription(description, { keyword: pageName, brand, market }),
+        model,
+        brand: brand.id,
+        prompts: { system: systemPrompt, user: userPrompt }
+      };
+
+      if (result.isValidLength && result.protection.passed && result.lint.passed) {
+        this.logger.success('Page refreshed', { pageName, wordCount, changes: result.changes.length, attempts: attempt, cost: usage.cost });
+        return { ...result, attempts: attempt, usage };
+      }
+
+      if (!bestResult || this.rankRefresh(result) > this.rankRefresh(bestResult)) {
+        bestResult = result;
+      }
+
+      if (attempt < maxRetries) {
+        const issues = [];
+        if (!result.protection.passed) issues.push(describeProtectionIssues(result.protection));
+        if (!result.isValidLength) {
+          issues.push(`- Length: the previous attempt had ${wordCount} words; write between ${minWords} and ${maxWords}`);
+        }
+        if (!result.lint.passed) issues.push(describeViolations(result.lint));
+        feedback = issues.join('\n');
+
+        if (onRetry) {
+          onRetry({
+            attempt: attempt + 1,
+            reason: !result.protection.passed ? 'protected_sections' : !result.isValidLength ? 'word_count' : 'lint',
+            wordCount,
+            wordLimits: page.wordLimits,
+            violations: result.lint.rules.filter(rule => !rule.passed).map(rule => rule.id)
+          });
+        }
+      }
+    }
+
+    this.logger.warn(`Refresh failed word count, protected section or content checks after ${maxRetries} attempts`, { pageName });
+    return { ...bestResult, attempts: maxRetries, usage };
+  }
+
+  /**
+   * Rank refresh attempts: intact protected sections first, then a valid word count, then the linter score
+   */
+  rankRefresh(result) {
+    return (result.protection.passed ? 4 : 0) + (result.isValidLength ? 2 : 0) + result.lint.score;
+  }
+
+  /**
+   * Analyze competitor content for insights
+   */
+  async analyzeCompetitorContent(keyword, competitorContent, model = this.model) {
+    try {
+      this.logger.process(`Analyzing competitor content for: ${keyword}`);
+
+      if (!competitorContent || competitorContent.length === 0) {
+        return null;
+      }
+
+      const analysisPrompt = Prompt.render('competitor_analysis.txt', {
+        keyword,
+        competitors: competitorContent.map(c => ({
+          domain: c.domain,
+          title: c.title,
+          metaDescription: c.metaDescription,
+          outline: (c.outline || []).map(heading => ({ ...heading, indent: '  '.repeat(heading.level - 1) })),
+          excerpt: c.content.substring(0, SYSTEM_CONFIG.crawler.maxContentChars)
+        }))
+      });
+
+      const { text: insights, promptTokens, completionTokens } = await this.callProvider({
+        model,
+        systemPrompt: 'You are a content strategist analyzing competitor content for SEO insights. Provide concise, actionable insights.',
+        userPrompt: analysisPrompt,
+        maxTokens: 400,
+        temperature: 0.3
+      });
+
+      // Track usage
+      const cost = this.getTokenCounter(model).calculateCost(promptTokens, completionTokens);
+      this.usageTracker.addRequest(
+        promptTokens,
+        completionTokens,
+        cost,
+        { type: 'competitor_analysis', keyword, model }
+      );
+
+      this.logger.success('Competitor analysis completed', {
+        keyword,
+        competitorCount: competitorContent.length,
+        tokensUsed: promptTokens + completionTokens
+      });
+
+      return insights;
+    } catch (error) {
+      this.logger.error('Failed to analyze competitor content', error);
+      // Return null instead of throwing to allow description generation to continue
+      return null;
+    }
+  }
+
+  /**
+   * Generate descriptions with retry logic for word count and content linter compliance
+   * Each retry is told exactly which checks the previous attempt failed
+   * @param {object} options – { maxRetries, model, failOver, profile, brand, locale, variant, contentTargets, onToken(text), onRetry({ attempt, reason, ... }) }
+   *   profile: PROMPT_PROFILES id choosing the templates and heading schema
+   *   brand: config/brands id supplying the name, tone rules, examples, word limits and lint rules
+   *   locale: locale id (e.g. "en-GB") whose market spelling and currency rules apply
+   *   variant: prompt variant (prompts/variants/<name>/) to render the templates from
+   *   contentTargets: { secondaryKeywords, faqCandidates, historyFacts, internalLinks } must-cover terms, PAA questions,
+   *   knowledge graph facts and the existing pages to link to (default: the brand's internalLinks) for the prompt
+   *   failOver: throw provider failures (rate limits, 5xx, timeouts) straight away so the caller can switch provider
+   */
+  async generateWithRetry(pageName, language, competitorInsights, searchVolume = null, options = {}) {
+    const {
+      maxRetries = 3, model = this.model, failOver = false, profile = null, brand = null, locale = null, variant = null,
+      contentTargets = null, onToken = null, onRetry = null
+    } = options;
+    const { wordLimits } = getBrand(brand);
+    const baseInsights = competitorInsights;
+    let bestResult = null;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      this.logger.info(`Generation attempt ${attempt}/${maxRetries} for ${pageName}`);
+
+      try {
+        const result = await this.generateDescription(pageName, language, competitorInsights, searchVolume, {
+          model, profile, brand, locale, variant, onToken, contentTargets
+        });
+
+        if (result.isValidLength && result.lint.passed) {
+          return { ...result, attempts: attempt };
+        }
+
+        if (!bestResult || this.rankResult(result) > this.rankResult(bestResult)) {
+          bestResult = result;
+        }
+
+        // Add word count and linter feedback to competitor insights for next attempt
+        if (attempt < maxRetries) {
+          const feedback = [];
+
+          if (!result.isValidLength) {
+            feedback.push(result.wordCount < wordLimits.min
+              ? `IMPORTANT: The previous attempt had only ${result.wordCount} words. You MUST write at least ${wordLimits.min} words.`
+              : `IMPORTANT: The previous attempt had ${result.wordCount} words. You MUST keep it under ${wordLimits.max} words.`);
+          }
+
+          if (!result.lint.passed) {
+            feedback.push(`IMPORTANT: The previous attempt broke these rules. Fix every one of them:\n${describeViolations(result.lint)}`);
+          }
+
+          competitorInsights = [...feedback, baseInsights].filter(Boolean).join('\n\n');
+          if (onRetry) {
+            onRetry({
+              attempt: attempt + 1,
+              reason: result.isValidLength ? 'lint' : 'word_count',
+              wordCount: result.wordCount,
+              wordLimits,
+              violations: result.lint.rules.filter(rule => !rule.passed).map(rule => rule.id)
+            });
+          }
+        }
+      } catch (error) {
+        if (attempt === maxRetries || error.circuitOpen || (failOver && this.constructor.isProviderFailure(error))) {
+          throw error;
+        }
+        this.logger.warn(`Attempt ${attempt} failed, retrying...`, error.message);
+        if (onRetry) onRetry({ attempt: attempt + 1, reason: 'error', message: error.message });
+      }
+    }
+
+    // Return the best attempt even if it is still invalid
+    this.logger.warn(`Failed to pass word count and content checks after ${maxRetries} attempts`);
+    return { ...bestResult, attempts: maxRetries };
+  }
+
+  /**
+   * Rank attempts: a valid word count first, then the linter score
+   */
+  rankResult(result) {
+    return (result.isValidLength ? 2 : 0) + result.lint.score;
+  }
+
+  /**
+   * Count words in text
+   */
+  countWords(text) {
+    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  /**
+   * Get usage summary
+   */
+  getUsageSummary() {
+    return this.usageTracker.getSummary();
+  }
+
+  /**
+   * Reset usage tracking
+   */
+  resetUsageTracking() {
+    this.usageTracker.reset();
+  }
+
+  /**
+   * Cleanup resources
+   */
+  dispose() {
+    this.tokenCounters.forEach(counter => counter.dispose());
+    this.tokenCounters.clear();
+  }
+}
+
+module.exports = BaseAIService;
@@ -0,0 +1,85 @@
+/**
+ * Content Corpus
+ * Fingerprints of previously generated pages, persisted as JSON so new output can be
+ * checked for near-duplicate paragraphs and reused headings across runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+const { fingerprint, findDuplicates } = require('../utils/similarity');
+
+class ContentCorpus {
+  /**
+   * @param {string} storageFile – JSON file used to persist fingerprints
+   */
+  constructor(storageFile = path.join(__dirname, '..', SYSTEM_CONFIG.similarity.corpusFile)) {
+    this.storageFile = storageFile;
+    this.pages = new Map(); // lower-cased page name -> { fingerprint, createdAt }
+    this.logger = logger.child('Corpus');
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.storageFile)) return;
+      const entries = JSON.parse(fs.readFileSync(this.storageFile, 'utf8'));
+      entries.forEach(entry => this.pages.set(entry.fingerprint.pageName.toLowerCase(), entry));
+      this.logger.info('Corpus loaded', { pages: this.pages.size });
+    } catch (error) {
+      this.logger.warn('Could not load the content corpus, starting empty', error.message);
+    }
+  }
+
+  /**
+   * Compare a description with the batch so far and with stored pages
+   * The page's own earlier versions are ignored, so regenerating a page is not flagged
+   * @param {Array} batch – fingerprints of pages generated earlier in the same run
+   */
+  check(pageName, description, batch = []) {
+    const document = fingerprint(pageName, description);
+    const key = pageName.toLowerCase();
+    const batchKeys = new Set(batch.map(item => item.pageName.toLowerCase()));
+
+    const others = [
+      ...batch
+        .filter(item => item.pageName.toLowerCase() !== key)
+        .map(item => ({ fingerprint: item, source: 'batch' })),
+      ...Array.from(this.pages.entries())
+        .filter(([pageKey]) => pageKey !== key && !batchKeys.has(pageKey))
+        .map(([, entry]) => ({ fingerprint: entry.fingerprint, source: 'corpus' }))
+    ];
+
+    return { document, ...findDuplicates(document, others) };
+  }
+
+  /**
+   * Store (or replace) a page's fingerprint, evicting the oldest pages beyond the size limit
+   */
+  add(document) {
+    const key = document.pageName.toLowerCase();
+    this.pages.delete(key);
+    this.pages.set(key, { fingerprint: document, createdAt: new Date().toISOString() });
+
+    while (this.pages.size > SYSTEM_CONFIG.similarity.maxCorpusPages) {
+      this.pages.delete(this.pages.keys().next().value);
+    }
+
+    this.save();
+  }
+
+  save() {
+    const tmpPath = `${this.storageFile}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.storageFile), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.pages.values())));
+      fs.renameSync(tmpPath, this.storageFile);
+    } catch (error) {
+      this.logger.error('Failed to persist the content corpus', error);
+    }
+  }
+}
+
+module.exports = ContentCorpus;
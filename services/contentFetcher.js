@@ -0,0 +1,258 @@
+/**
+ * Content Fetcher
+ * Polite page fetching for competitor analysis: honors robots.txt for the configured user agent,
+ * spaces requests to the same domain, follows redirects and canonical links, and reports
+ * why a URL was left out instead of dropping it silently
+ */
+
+const axios = require('axios');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+const { parseRobotsTxt, isAllowed } = require('../utils/robotsTxt');
+const { extractContent } = require('../utils/contentExtractor');
+
+const EXCLUSION_REASONS = {
+  invalidUrl: 'invalid_url',
+  robots: 'robots_disallowed',
+  robotsUnreachable: 'robots_unreachable',
+  httpError: 'http_error',
+  fetchFailed: 'fetch_failed',
+  tooManyRedirects: 'too_many_redirects',
+  notHtml: 'not_html',
+  tooLittleContent: 'too_little_content',
+  duplicate: 'duplicate'
+};
+
+/**
+ * Error carrying the exclusion reason for a URL
+ */
+class FetchExclusion extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'FetchExclusion';
+    this.reason = reason;
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withoutHash(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  return parsed.toString();
+}
+
+class ContentFetcher {
+  /**
+   * @param {object} options – { userAgent, domainDelayMs, timeoutMs, maxRedirects }; defaults from SYSTEM_CONFIG.crawler
+   */
+  constructor(options = {}) {
+    const config = SYSTEM_CONFIG.crawler;
+    this.userAgent = options.userAgent || process.env.CRAWLER_USER_AGENT || config.userAgent;
+    this.domainDelayMs = options.domainDelayMs ?? config.domainDelayMs;
+    this.timeoutMs = options.timeoutMs ?? config.timeoutMs;
+    this.maxRedirects = options.maxRedirects ?? config.maxRedirects;
+    this.robots = new Map(); // origin -> { entry: Promise<{ groups, unreachable }>, expiresAt }
+    this.nextSlot = new Map(); // hostname -> earliest time of the next request
+    this.logger = logger.child('Fetcher');
+  }
+
+  /**
+   * Wait for this domain's turn so requests to one host are at least domainDelayMs apart
+   */
+  async throttle(hostname) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(hostname) || 0);
+    this.nextSlot.set(hostname, slot + this.domainDelayMs);
+    if (slot > now) await delay(slot - now);
+  }
+
+  async request(url) {
+    await this.throttle(new URL(url).hostname);
+    return axios.get(url, {
+      timeout: this.timeoutMs,
+      maxRedirects: 0,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': this.userAgent,
+        Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+      }
+    });
+  }
+
+  /**
+   * Parsed robots.txt for a URL's origin, cached for SYSTEM_CONFIG.crawler.robotsTtlMs
+   * Concurrent requests to one origin share a single robots.txt fetch
+   */
+  getRobots(origin) {
+    const cached = this.robots.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.entry;
+
+    const entry = this.fetchRobots(origin);
+    this.robots.set(origin, { entry, expiresAt: Date.now() + SYSTEM_CONFIG.crawler.robotsTtlMs });
+    return entry;
+  }
+
+  /**
+   * A 4xx means no restrictions; a 5xx or network error means the whole site is off limits (RFC 9309)
+   * @returns {Promise<{ groups, unreachable }>}
+   */
+  async fetchRobots(origin) {
+    try {
+      const response = await this.request(`${origin}/robots.txt`);
+      if (response.status >= 200 && response.status < 300) {
+        return { groups: parseRobotsTxt(response.data), unreachable: false };
+      }
+      return { groups: [], unreachable: response.status >= 500 };
+    } catch (error) {
+      this.logger.warn(`robots.txt unreachable for ${origin}`, error.message);
+      return { groups: [], unreachable: true };
+    }
+  }
+
+  async assertAllowed(url) {
+    const parsed = new URL(url);
+    const robots = await this.getRobots(parsed.origin);
+
+    if (robots.unreachable) {
+      throw new FetchExclusion(EXCLUSION_REASONS.robotsUnreachable, `robots.txt for ${parsed.origin} could not be fetched`);
+    }
+    if (!isAllowed(robots.groups, this.userAgent, `${parsed.pathname}${parsed.search}`)) {
+      throw new FetchExclusion(EXCLUSION_REASONS.robots, `robots.txt disallows ${parsed.pathname} for this user agent`);
+    }
+  }
+
+  /**
+   * Fetch an HTML page, checking robots.txt before every hop of a redirect chain
+   * @returns {Promise<{ url, finalUrl, redirects: string[], html }>}
+   * @throws {FetchExclusion}
+   */
+  async fetchHtml(url) {
+    let current;
+    try {
+      current = withoutHash(url);
+      if (!/^https?:$/.test(new URL(current).protocol)) throw new Error('unsupported protocol');
+    } catch (_) {
+      throw new FetchExclusion(EXCLUSION_REASONS.invalidUrl, `Not an http(s) URL: ${url}`);
+    }
+
+    const redirects = [];
+    for (let hop = 0; hop <= this.maxRedirects; hop++) {
+      await this.assertAllowed(current);
+
+      let response;
+      try {
+        response = await this.request(current);
+      } catch (error) {
+        throw new FetchExclusion(EXCLUSION_REASONS.fetchFailed, error.message);
+      }
+
+      if (response.status >= 300 && response.status < 400 && response.headers.location) {
+        current = withoutHash(new URL(response.headers.location, current).toString());
+        redirects.push(current);
+        continue;
+      }
+      if (response.status < 200 || response.status >= 300) {
+        throw new FetchExclusion(EXCLUSION_REASONS.httpError, `HTTP ${response.status}`);
+      }
+
+      const contentType = String(response.headers['content-type'] || '');
+      if (contentType && !/html/i.test(contentType)) {
+        throw new FetchExclusion(EXCLUSION_REASONS.notHtml, `Content type ${contentType.split(';')[0]}`);
+      }
+
+      return { url, finalUrl: current, redirects, html: String(response.data || '') };
+    }
+
+    throw new FetchExclusion(EXCLUSION_REASONS.tooManyRedirects, `More than ${this.maxRedirects} redirects`);
+  }
+
+  /**
+   * Fetch a page and extract its main content, moving to the canonical URL when it names another page
+   * @returns {Promise<object>} { url, finalUrl, canonicalUrl, redirects, domain, ...ExtractedContent }
+   * @throws {FetchExclusion}
+   */
+  async fetchPage(url) {
+    let page = await this.fetchHtml(url);
+    let extracted = extractContent(page.html, page.finalUrl);
+
+    if (extracted.canonical && /^https?:/.test(extracted.canonical) && withoutHash(extracted.canonical) !== page.finalUrl) {
+      try {
+        const canonicalPage = await this.fetchHtml(extracted.canonical);
+        page = { ...canonicalPage, url, redirects: [...page.redirects, ...canonicalPage.redirects] };
+        extracted = extractContent(canonicalPage.html, canonicalPage.finalUrl);
+      } catch (error) {
+        // The fetched page is still usable when its canonical is not
+        this.logger.warn(`Keeping ${page.finalUrl}, canonical ${extracted.canonical} unavailable`, error.message);
+      }
+    }
+
+    return {
+      url,
+      finalUrl: page.finalUrl,
+      canonicalUrl: extracted.canonical ? withoutHash(extracted.canonical) : page.finalUrl,
+      redirects: page.redirects,
+      domain: new URL(page.finalUrl).hostname,
+      ...extracted
+    };
+  }
+
+  /**
+   * Main content of up to `limit` pages, trying further URLs in order when earlier ones are excluded
+   * @returns {Promise<{ pages: object[], excluded: Array<{ url, reason, message }> }>}
+   */
+  async fetchContent(urls, limit = SYSTEM_CONFIG.parallel.competitorAnalysis) {
+    const pages = [];
+    const excluded = [];
+    const seen = new Set();
+    const queue = [...urls];
+
+    while (pages.length < limit && queue.length > 0) {
+      const wave = queue.splice(0, limit - pages.length);
+      const settled = await Promise.allSettled(wave.map(url => this.fetchPage(url)));
+
+      settled.forEach((outcome, index) => {
+        const url = wave[index];
+
+        if (outcome.status === 'rejected') {
+          const { reason: error } = outcome;
+          excluded.push({
+            url,
+            reason: error.reason || EXCLUSION_REASONS.fetchFailed,
+            message: error.message
+          });
+          return;
+        }
+
+        const page = outcome.value;
+        if (seen.has(page.canonicalUrl)) {
+          excluded.push({ url, reason: EXCLUSION_REASONS.duplicate, message: `Same page as ${page.canonicalUrl}` });
+          return;
+        }
+        if (page.content.length < SYSTEM_CONFIG.crawler.minContentChars) {
+          excluded.push({
+            url,
+            reason: EXCLUSION_REASONS.tooLittleContent,
+            message: `${page.content.length} characters of main content (minimum ${SYSTEM_CONFIG.crawler.minContentChars})`
+          });
+          return;
+        }
+
+        seen.add(page.canonicalUrl);
+        pages.push(page);
+      });
+    }
+
+    excluded.forEach(({ url, reason, message }) => this.logger.info(`Excluded ${url}: ${reason}`, message));
+    return { pages: pages.slice(0, limit), excluded };
+  }
+}
+
+module.exports = {
+  ContentFetcher,
+  FetchExclusion,
+  EXCLUSION_REASONS
+};
@@ -6,36 +6,32 @@
 const axios = require('axios');
 const { API_CONFIG, SYSTEM_CONFIG } = require('../config/constants');
 const { logger } = require('../utils/logger');
+const { createResponseCache } = require('./responseCache');
+const { parseSerpItems, listFeatures } = require('../utils/serpFeatures');
+const { findLanguage } = require('../utils/locales');
+const { ContentFetcher } = require('./contentFetcher');
 
 class DataForSEOService {
-  constructor(login, password) {
+  /**
+   * @param {object} options – { cache, fetcher } response cache for paid endpoints (null disables caching)
+   *                            and the page fetcher shared by every competitor request
+   */
+  constructor(login, password, { cache = createResponseCache(), fetcher = new ContentFetcher() } = {}) {
     this.auth = {
       username: login,
       password: password
     };
     this.baseURL = API_CONFIG.dataForSEO.baseURL;
+    this.cache = cache;
+    this.fetcher = fetcher;
     this.logger = logger.child('DataForSEO');
-    
-    // Language name to code mapping for DataForSEO API
-    this.languageMap = {
-      'English': 'en',
-      'Spanish': 'es', 
-      'French': 'fr',
-      'German': 'de',
-      'Italian': 'it',
-      'Portuguese': 'pt',
-      'Dutch': 'nl',
-      'Russian': 'ru',
-      'Japanese': 'ja',
-      'Chinese': 'zh'
-    };
   }
   
   /**
-   * Convert language name to DataForSEO language code
+   * Convert a language name or code to its DataForSEO language code (config/locations.json)
    */
   getLanguageCode(language) {
-    return this.languageMap[language] || language.toLowerCase();
+    return findLanguage(language)?.code || String(language).toLowerCase();
   }
 
   /**
@@ -88,13 +84,63 @@ class DataForSEOService {
   }
 
   /**
-   * Get search volume for multiple keywords using live endpoint
+   * Get search volume for multiple keywords, serving cached keywords without a paid request
+   * Uncached keywords are deduplicated and fetched in tasks of up to maxKeywordsPerTask keywords
+   * Every item reports whether it came from the cache
+   * @param {object} options – { forceRefresh } skip cached entries and refetch every keyword
    */
-  async getSearchVolume(keywords, location = API_CONFIG.dataForSEO.defaultLocation, language = API_CONFIG.dataForSEO.defaultLanguage) {
+  async getSearchVolume(keywords, location = API_CONFIG.dataForSEO.defaultLocation, language = API_CONFIG.dataForSEO.defaultLanguage, { forceRefresh = false } = {}) {
+    const languageCode = this.getLanguageCode(language);
+    const normalize = keyword => keyword.toLowerCase().trim();
+    const cached = new Map();
+
+    if (this.cache && !forceRefresh) {
+      keywords.forEach(keyword => {
+        const entry = this.cache.get('searchVolume', keyword, location, languageCode);
+        if (entry) {
+          cached.set(keyword, { ...entry.value, keyword, cached: true, cachedAt: entry.cachedAt });
+        }
+      });
+    }
+
+    // One lookup per distinct keyword, however often it appears in the list
+    const misses = [...new Map(
+      keywords.filter(keyword => !cached.has(keyword)).map(keyword => [normalize(keyword), keyword])
+    ).values()];
+    const { maxKeywordsPerTask } = API_CONFIG.dataForSEO;
+
+    this.logger.info('Search volume lookup', {
+      keywords: keywords.length,
+      cacheHits: cached.size,
+      toFetch: misses.length,
+      tasks: Math.ceil(misses.length / maxKeywordsPerTask)
+    });
+
+    const fetched = new Map();
+    for (let i = 0; i < misses.length; i += maxKeywordsPerTask) {
+      const chunk = misses.slice(i, i + maxKeywordsPerTask);
+      const results = await this.fetchSearchVolume(chunk, location, languageCode);
+
+      chunk.forEach((keyword, index) => {
+        if (results) {
+          if (this.cache) this.cache.set('searchVolume', keyword, location, languageCode, results[index]);
+          fetched.set(normalize(keyword), { ...results[index], cached: false });
+        } else {
+          // Not cached: an empty task result is more likely a transient API problem than real data
+          fetched.set(normalize(keyword), { keyword, searchVolume: 0, competition: 'Unknown', cpc: 0, monthlySearches: [], cached: false });
+        }
+      });
+    }
+
+    return keywords.map(keyword => cached.get(keyword) || { ...fetched.get(normalize(keyword)), keyword });
+  }
+
+  /**
+   * Fetch search volume from the live endpoint
+   * @returns {Array|null} one item per keyword, or null when the task returned no results
+   */
+  async fetchSearchVolume(keywords, location, languageCode) {
     try {
-      // Convert language name to language code
-      const languageCode = this.getLanguageCode(language);
-      
       this.logger.process('Getting search volume (live)', { keywords, location, language: languageCode });
 
       // Normalize keywords to lowercase for better results
@@ -102,6 +148,7 @@ class DataForSEOService {
       
       const requestData = [{
         location_code: location,
+        language_code: languageCode,
         keywords: normalizedKeywords,
         date_from: this.getDateMonthsAgo(6),
         search_partners: true
@@ -140,13 +187,7 @@ class DataForSEOService {
           taskStatusCode: task.status_code,
           taskStatusMessage: task.status_message
         });
-        return keywords.map(keyword => ({
-          keyword,
-          searchVolume: 0,
-          competition: 'Unknown',
-          cpc: 0,
-          monthlySearches: []
-        }));
+        return null;
       }
 
       // Log the raw results for debugging
@@ -260,12 +301,20 @@ class DataForSEOService {
   }
 
   /**
-   * Get SERP results for competitor analysis using live endpoint
+   * Get SERP results for competitor analysis using live endpoint (cached per keyword, location and language)
+   * Returns the organic results and every parsed SERP feature (see utils/serpFeatures.js)
+   * @param {object} options – { forceRefresh } ignore a cached SERP and fetch it again
    */
-  async getSERPResults(keyword, location = API_CONFIG.dataForSEO.defaultLocation, language = API_CONFIG.dataForSEO.defaultLanguage) {
+  async getSERPResults(keyword, location = API_CONFIG.dataForSEO.defaultLocation, language = API_CONFIG.dataForSEO.defaultLanguage, { forceRefresh = false } = {}) {
     try {
       // Convert language name to language code
       const languageCode = this.getLanguageCode(language);
+
+      const entry = this.cache && !forceRefresh && this.cache.get('serp', keyword, location, languageCode);
+      if (entry) {
+        this.logger.info('SERP cache hit', { keyword, cachedAt: entry.cachedAt });
+        return { ...entry.value, cached: true, cachedAt: entry.cachedAt };
+      }
       
       this.logger.process('Getting SERP results (live)', { keyword, location, language: languageCode });
 
@@ -276,7 +325,7 @@ class DataForSEOService {
         language_code: languageCode,
         device: 'desktop',
         os: 'windows',
-        depth: 10
+        depth: SYSTEM_CONFIG.serp.depth
       }];
 
       const response = await this.makeRequest(
@@ -290,24 +339,21 @@ class DataForSEOService {
       }
 
       const results = response.tasks[0].result[0];
-      const organicResults = results.items?.filter(item => item.type === 'organic') || [];
+      const { organicResults, features } = parseSerpItems(results.items || []);
 
-      this.logger.success(`SERP results retrieved: ${organicResults.length} organic results`);
+      this.logger.success(`SERP results retrieved: ${organicResults.length} organic results`, {
+        features: listFeatures(features)
+      });
 
-      return {
+      const serp = {
         keyword,
         totalResults: results.se_results_count || 0,
-        organicResults: organicResults.map(item => ({
-          position: item.rank_absolute,
-          title: item.title,
-          description: item.description,
-          url: item.url,
-          domain: item.domain,
-          breadcrumb: item.breadcrumb,
-          isTopStory: item.is_top_stories || false,
-          isFeatured: item.is_featured_snippet || false
-        }))
+        organicResults,
+        features
       };
+
+      if (this.cache) this.cache.set('serp', keyword, location, languageCode, serp);
+      return { ...serp, cached: false };
     } catch (error) {
       this.logger.error('Failed to get SERP results', error);
       throw error;
@@ -315,75 +361,104 @@ class DataForSEOService {
   }
 
   /**
-   * Get competitor content for analysis - simplified to get plain text for AI processing
+   * Keyword ideas for a seed keyword from DataForSEO Labs related_keywords and keyword_suggestions
+   * Each endpoint is cached separately; one failing endpoint still returns the other's ideas
+   * @returns {{ keywords: Array<{ keyword, searchVolume, source }>, cached: boolean }}
    */
-  async getCompetitorContent(urls, limit = 3) {
-    try {
-      this.logger.process('Fetching competitor content', { urlCount: urls.length, limit });
-
-      const contentPromises = urls.slice(0, limit).map(async (url, index) => {
-        try {
-          // Add delay to avoid rate limiting
-          await this.delay(index * 1000);
-          
-          const response = await axios.get(url, {
-            timeout: 10000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            }
-          });
+  async getKeywordIdeas(keyword, location = API_CONFIG.dataForSEO.defaultLocation, language = API_CONFIG.dataForSEO.defaultLanguage, { forceRefresh = false } = {}) {
+    const languageCode = this.getLanguageCode(language);
+    const { candidateLimit } = SYSTEM_CONFIG.keywords;
+
+    const sources = {
+      relatedKeywords: {
+        request: { keyword, location_code: location, language_code: languageCode, depth: 1, limit: candidateLimit },
+        toIdea: item => item.keyword_data
+      },
+      keywordSuggestions: {
+        request: { keyword, location_code: location, language_code: languageCode, limit: candidateLimit },
+        toIdea: item => item
+      }
+    };
 
-          // Simple HTML to text conversion - let AI do the intelligent parsing
-          const cheerio = require('cheerio');
-          const $ = cheerio.load(response.data);
-          
-          // Remove scripts, styles, and navigation elements
-          $('script, style, nav, header, footer, .nav, .menu, .sidebar').remove();
-          
-          // Get basic page info
-          const title = $('title').text().trim() || '';
-          const metaDescription = $('meta[name="description"]').attr('content') || '';
-          
-          // Get all text content - let AI filter what's relevant
-          const bodyText = $('body').text()
-            .replace(/\s+/g, ' ')          // Normalize whitespace
-            .replace(/\n+/g, ' ')          // Remove line breaks
-            .trim()
-            .substring(0, 3000);           // Limit to 3000 chars for AI processing
-
-          // Extract domain for reference
-          const domain = this.extractDomain(url);
-
-          return {
-            url,
-            domain,
-            title,
-            metaDescription,
-            content: bodyText,
-            contentLength: bodyText.length
-          };
-        } catch (error) {
-          this.logger.warn(`Failed to fetch content from ${url}`, error.message);
-          return {
-            url,
-            domain: this.extractDomain(url),
-            title: 'Content unavailable',
-            metaDescription: '',
-            content: 'Unable to fetch content from this source.',
-            contentLength: 0
-          };
-        }
-      });
+    const settled = await Promise.allSettled(Object.entries(sources).map(async ([endpoint, { request, toIdea }]) => {
+      const entry = this.cache && !forceRefresh && this.cache.get(endpoint, keyword, location, languageCode);
+      if (entry) {
+        return { ideas: entry.value, cached: true };
+      }
+
+      const response = await this.makeRequest(API_CONFIG.dataForSEO.endpoints[endpoint], 'POST', [request]);
+      const items = response.tasks?.[0]?.result?.[0]?.items || [];
+      const ideas = items
+        .map(toIdea)
+        .filter(idea => idea && idea.keyword)
+        .map(idea => ({
+          keyword: idea.keyword,
+          searchVolume: idea.keyword_info?.search_volume || 0,
+          source: endpoint
+        }));
 
-      const results = await Promise.all(contentPromises);
-      const validResults = results.filter(r => r.contentLength > 100); // Only include meaningful content
+      if (this.cache) this.cache.set(endpoint, keyword, location, languageCode, ideas);
+      return { ideas, cached: false };
+    }));
 
-      this.logger.success(`Competitor content fetched: ${validResults.length}/${urls.length} with meaningful content`);
-      
-      return validResults;
+    const fulfilled = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    if (fulfilled.length === 0) {
+      throw settled[0].reason;
+    }
+    settled
+      .filter(outcome => outcome.status === 'rejected')
+      .forEach(outcome => this.logger.warn('Keyword idea lookup failed', outcome.reason.message));
+
+    const keywords = fulfilled.flatMap(result => result.ideas);
+    this.logger.success(`Keyword ideas retrieved: ${keywords.length}`, { keyword });
+
+    return { keywords, cached: fulfilled.every(result => result.cached) };
+  }
+
+  /**
+   * Main content of the top competitor pages, fetched politely (see ContentFetcher)
+   * URLs past `limit` are only tried when earlier ones are excluded
+   * @returns {Promise<{ pages: object[], excluded: Array<{ url, reason, message }> }>}
+   *   pages carry { url, finalUrl, canonicalUrl, domain, title, metaDescription, outline, content, contentLength, wordCount }
+   */
+  async getCompetitorContent(urls, limit = SYSTEM_CONFIG.parallel.competitorAnalysis) {
+    this.logger.process('Fetching competitor content', { urlCount: urls.length, limit });
+
+    const { pages, excluded } = await this.fetcher.fetchContent(urls, limit);
+
+    this.logger.success(`Competitor content fetched: ${pages.length} pages, ${excluded.length} excluded`);
+
+    return {
+      pages: pages.map(page => ({
+        url: page.url,
+        finalUrl: page.finalUrl,
+        canonicalUrl: page.canonicalUrl,
+        domain: page.domain,
+        title: page.title,
+        metaDescription: page.metaDescription,
+        outline: page.outline,
+        content: page.content,
+        contentLength: page.content.length,
+        wordCount: page.wordCount
+      })),
+      excluded
+    };
+  }
+
+  /**
+   * Current <title> and meta description of a page (e.g. our own ranking page)
+   * @returns {Promise<{ title, metaDescription }|null>} null when the page cannot be fetched
+   */
+  async getPageMetadata(url) {
+    try {
+      const page = await this.fetcher.fetchPage(url);
+      return {
+        title: page.title || null,
+        metaDescription: page.metaDescription || null
+      };
     } catch (error) {
-      this.logger.error('Failed to get competitor content', error);
-      throw error;
+      this.logger.warn(`Failed to fetch metadata from ${url}`, error.message);
+      return null;
     }
   }
 
@@ -0,0 +1,896 @@
+/**
+ * Generation Pipeline
+ * Shared page processing used by the Express server, serverless functions and background jobs
+ */
+
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+const { generateJsonLd } = require('../utils/jsonLd');
+const { describeDuplicates } = require('../utils/similarity');
+const { selectSecondaryKeywords, measureCoverage } = require('../utils/keywords');
+const { buildSerpContext, listFeatures } = require('../utils/serpFeatures');
+const { getOwnDomains, isOwnDomain, findOwnRanking, recommendAction } = require('../utils/rankTracking');
+const { buildGapReport, findMissingTopics } = require('../utils/contentGap');
+const { resolveProfile } = require('../utils/profiles');
+const { getBrand } = require('../utils/brands');
+const { buildComparisonReport } = require('../utils/promptExperiment');
+const { normalizeUrl, checkLinks, stripLinks, LINK_STATUS } = require('../utils/internalLinks');
+const { resolveLocale } = require('../utils/locales');
+const { protectSections, refreshWordLimits, diffPages } = require('../utils/refresh');
+
+/**
+ * Process multiple pages concurrently with rate limiting
+ * @param {string[]} pages    – page names to generate
+ * @param {object} options    – { locale, location, language, model, profile, brand, promptVariant, linkPolicy,
+ *                              includeCompetitorAnalysis, includeSearchVolume, structuredOutput, diversify,
+ *                              includeKeywordExpansion, includeRankTracking, forceRefresh }
+ *                              locale: a locale id such as "en-GB", taking precedence over location and language
+ *                              (a DataForSEO location code and a language name or code)
+ *                              profile: a PROMPT_PROFILES id, or "auto" to classify each page by its name
+ *                              brand: a config/brands id (default SYSTEM_CONFIG.brands.default) driving the prompts,
+ *                              validation rules and own domains
+ *                              promptVariant: prompt variant the description templates are rendered from (default: /prompts)
+ *                              linkPolicy: "flag" or "strip" links to pages missing from the link index
+ *                              (default SYSTEM_CONFIG.internalLinks.policy)
+ * @param {object} services   – { dataForSEO, aiService, registry, corpus, generations, linkIndex } (registry provides provider
+ *                              fallback, corpus the stored fingerprints used for duplicate detection,
+ *                              generations the history store every page is recorded in, linkIndex the brand's
+ *                              existing pages to suggest and check links against)
+ * @param {function} onEvent  – optional (event, data) progress callback, see processSinglePage
+ */
+async function processPagesConcurrently(pages, options, services, onEvent = null) {
+  const results = [];
+  const batchSize = SYSTEM_CONFIG.parallel.maxConcurrent;
+  // Fingerprints of the pages finished so far in this run, compared against each new page
+  const runServices = { ...services, batch: [] };
+
+  // One chunked search volume lookup for the whole run instead of a billable call per page
+  if (options.includeSearchVolume && services.dataForSEO) {
+    runServices.searchVolumes = prefetchSearchVolumes(pages, options, services.dataForSEO);
+  }
+
+  for (let i = 0; i < pages.length; i += batchSize) {
+    const batch = pages.slice(i, i + batchSize);
+    logger.process(`Processing batch ${Math.floor(i / batchSize) + 1}`, { pages: batch });
+
+    const batchPromises = batch.map(async (pageName, batchIndex) => {
+      const index = i + batchIndex;
+      const emit = (event, data = {}) => onEvent && onEvent(event, { index, pageName, ...data });
+
+      let result;
+      try {
+        result = { ...(await processSinglePage(pageName, options, runServices, onEvent && emit)), success: true };
+      } catch (error) {
+        logger.error(`Failed to process ${pageName}`, error);
+        result = {
+          pageName,
+          success: false,
+          error: error.message
+        };
+      }
+
+      emit('page_done', { result });
+      return result;
+    });
+
+    const batchResults = await Promise.all(batchPromises);
+    results.push(...batchResults);
+  }
+
+  return results;
+}
+
+/**
+ * Generate the same pages once per market, one market after the other
+ * Results and events are numbered across the whole run, market by market: the page at position i of market m
+ * has index m * pages.length + i; every event and result carries the market's locale id
+ * @param {string[]} markets – locale ids, e.g. ["en-GB", "en-US"]; each replaces the request's location and language
+ * @returns {Promise<object[]>} results as returned by processPagesConcurrently, with market
+ */
+async function processMarkets(pages, markets, options, services, onEvent = null) {
+  const results = [];
+
+  for (const [position, requested] of markets.entries()) {
+    const market = resolveLocale({ locale: requested }).id;
+    const offset = position * pages.length;
+    const marketResults = await processPagesConcurrently(
+      pages,
+      { ...options, locale: market },
+      services,
+      onEvent && ((event, data) => onEvent(event, { ...data, index: data.index + offset, market }))
+    );
+    results.push(...marketResults.map(result => ({ ...result, market })));
+  }
+
+  return results;
+}
+
+/**
+ * Translate an approved description into each market's language, a few markets at a time
+ * @param {object} source    – { description, pageName, sourceLanguage, generationId }; pageName is the keyword the
+ *                             description was written for, generationId the stored generation it came from, if any
+ * @param {string[]} markets – locale ids to translate into, e.g. ["es-ES", "fr-FR", "de-DE"]
+ * @param {object} options   – { model, brand, forceRefresh }
+ * @param {object} services  – { dataForSEO, registry, generations }
+ * @param {function} onEvent – optional (event, data) progress callback; data carries index (the market's position)
+ *                             and market: translation_start, localized_keyword, retry, fallback, translation_done
+ * @returns {Promise<object[]>} one result per market, in the order requested
+ */
+async function translateToMarkets(source, markets, options, services, onEvent = null) {
+  const results = [];
+  const batchSize = SYSTEM_CONFIG.parallel.maxConcurrent;
+
+  for (let i = 0; i < markets.length; i += batchSize) {
+    const batchResults = await Promise.all(markets.slice(i, i + batchSize).map(async (requested, batchIndex) => {
+      const market = resolveLocale({ locale: requested }).id;
+      const emit = (event, data = {}) => onEvent && onEvent(event, { index: i + batchIndex, market, ...data });
+
+      emit('translation_start', { pageName: source.pageName });
+      let result;
+      try {
+        result = { ...(await translateForMarket(source, market, options, services, emit)), success: true };
+      } catch (error) {
+        logger.error(`Failed to translate ${source.pageName} for ${market}`, error);
+        result = { market, pageName: source.pageName, success: false, error: error.message };
+      }
+
+      emit('translation_done', { result });
+      return result;
+    }));
+    results.push(...batchResults);
+  }
+
+  return results;
+}
+
+/**
+ * Localize the keyword, translate the description for one market and record it in the history
+ * The keyword is the one of the model's proposals with the highest search volume in the market (the first
+ * proposal when DataForSEO is unavailable or knows none of them)
+ */
+async function translateForMarket(source, market, options, services, emit) {
+  const { model, forceRefresh = false } = options;
+  const { dataForSEO, registry, generations } = services;
+  const brand = getBrand(options.brand);
+  const locale = resolveLocale({ locale: market });
+  const sourceLanguage = source.sourceLanguage || 'English';
+  const recordOptions = { ...options, locale: locale.id, location: locale.location.code, language: locale.language.name };
+  const inputs = { mode: 'translation', sourceGenerationId: source.generationId || null, sourceLanguage };
+
+  try {
+    const { result: proposals } = await registry.runWithFallback(
+      model,
+      (service, candidateModel) => service.localizeKeyword(source.pageName, locale.language.name, {
+        model: candidateModel, sourceLanguage, locale: locale.id
+      }),
+      (details) => emit('fallback', { ...details, stage: 'keywords' })
+    );
+
+    let candidates = (proposals.keywords.length > 0 ? proposals.keywords : [source.pageName])
+      .map(keyword => ({ keyword, searchVolume: null }));
+    if (dataForSEO) {
+      try {
+        const volumes = await dataForSEO.getSearchVolume(
+          candidates.map(candidate => candidate.keyword), locale.location.code, locale.language.code, { forceRefresh }
+        );
+        candidates = candidates.map((candidate, index) => ({ ...candidate, searchVolume: volumes[index]?.searchVolume || 0 }));
+      } catch (error) {
+        logger.warn(`Search volume unavailable for the ${locale.id} keyword candidates`, error.message);
+      }
+    }
+    const best = candidates.reduce((top, candidate) => (candidate.searchVolume || 0) > (top.searchVolume || 0) ? candidate : top);
+    const keyword = {
+      keyword: best.keyword,
+      searchVolume: best.searchVolume,
+      source: best.searchVolume > 0 ? 'search_volume' : 'model',
+      candidates
+    };
+    inputs.keyword = keyword;
+    emit('localized_keyword', keyword);
+
+    const { result: translation, provider, model: translatedBy } = await registry.runWithFallback(
+      model,
+      (service, candidateModel, { failOver }) => service.translateDescription(
+        source.pageName, locale.language.name, source.description, {
+          model: candidateModel,
+          failOver,
+          brand: brand.id,
+          locale: locale.id,
+          keyword: keyword.keyword,
+          sourceLanguage,
+          onRetry: (details) => emit('retry', details)
+        }
+      ),
+      (details) => emit('fallback', details)
+    );
+
+    const result = {
+      market: locale.id,
+      pageName: source.pageName,
+      keyword,
+      description: translation.description,
+      wordCount: translation.wordCount,
+      isValidLength: translation.isValidLength,
+      structure: translation.structure,
+      lint: translation.lint,
+      attempts: translation.attempts,
+      model: translatedBy,
+      provider,
+      usedFallback: translatedBy !== model,
+      brand: { id: brand.id, name: brand.name, wordLimits: brand.wordLimits },
+      locale: { id: locale.id, location: locale.location, language: locale.language },
+      searchVolume: keyword.searchVolume,
+      usage: combineUsage(proposals.usage, translation.usage)
+    };
+
+    if (generations) {
+      generations.record({
+        pageName: source.pageName, status: 'completed', options: recordOptions, inputs, prompts: translation.prompts, result
+      });
+    }
+    return result;
+  } catch (error) {
+    if (generations) {
+      generations.record({ pageName: source.pageName, status: 'failed', error: error.message, options: recordOptions, inputs });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Refresh an existing page instead of generating a new one, and record it in the history
+ * When DataForSEO is available and includeRankTracking is set, the brand's ranking for pageName decides how far
+ * the refresh goes: the page is only lightly edited when it is itself the page ranking in the top
+ * SYSTEM_CONFIG.refresh.lightTouchPosition (a page sent as content is taken to be the ranking page)
+ * @param {object} page      – { url, finalUrl, title, content } from loadPage()
+ * @param {object} options   – { pageName, protectedSections, locale, location, language, model, profile, brand,
+ *                             includeRankTracking, forceRefresh }; protectedSections: headings kept word for word
+ * @param {object} services  – { dataForSEO, registry, generations }
+ * @param {function} onEvent – optional (event, data) progress callback: ranking, retry, fallback
+ * @returns {Promise<object>} { pageName, url, description, changes, diff, protectedSections, ranking, lightTouch, ... }
+ */
+async function refreshPage(page, options, services, onEvent = null) {
+  const { pageName, model, includeRankTracking = true, forceRefresh = false } = options;
+  const protectedSections = options.protectedSections || [];
+  const { dataForSEO, registry, generations } = services;
+  const emit = (event, data = {}) => onEvent && onEvent(event, data);
+  const profile = resolveProfile(options.profile, pageName);
+  const brand = getBrand(options.brand);
+  const locale = resolveLocale(options);
+  const recordOptions = { ...options, locale: locale.id, location: locale.location.code, language: locale.language.name };
+  const inputs = { mode: 'refresh', url: page.url, protectedSections };
+  const pageLogger = logger.child(`[${pageName}]`);
+
+  try {
+    let ranking = null;
+    if (dataForSEO && includeRankTracking) {
+      try {
+        const serp = await dataForSEO.getSERPResults(pageName, locale.location.code, locale.language.code, { forceRefresh });
+        ranking = await checkOwnRanking(serp, dataForSEO, getOwnDomains(brand));
+        pageLogger.info('Own ranking checked', { position: ranking.position, recommendation: ranking.recommendation });
+        emit('ranking', ranking);
+      } catch (error) {
+        pageLogger.warn('Ranking unavailable, refreshing without it', error.message);
+      }
+    }
+    const isRankingPage = !!ranking?.url &&
+      (!page.url || [page.url, page.finalUrl].some(url => url && normalizeUrl(url) === normalizeUrl(ranking.url)));
+    const lightTouch = isRankingPage && ranking.position <= SYSTEM_CONFIG.refresh.lightTouchPosition;
+
+    const { text, sections } = protectSections(page.content, protectedSections);
+    const originalWordCount = page.content.trim().split(/\s+/).filter(Boolean).length;
+    const wordLimits = refreshWordLimits(originalWordCount, brand.wordLimits);
+
+    const { result: refresh, provider, model: refreshedBy } = await registry.runWithFallback(
+      model,
+      (service, candidateModel, { failOver }) => service.refreshDescription(
+        pageName, locale.language.name, { text, sections, wordLimits }, {
+          model: candidateModel,
+          failOver,
+          profile: profile.id,
+          brand: brand.id,
+          locale: locale.id,
+          ranking: isRankingPage ? ranking : null,
+          lightTouch,
+          onRetry: (details) => emit('retry', details)
+        }
+      ),
+      (details) => emit('fallback', details)
+    );
+
+    const result = {
+      pageName,
+      url: page.url,
+      original: { url: page.url, finalUrl: page.finalUrl, title: page.title, wordCount: originalWordCount },
+      description: refresh.description,
+      changes: refresh.changes,
+      diff: diffPages(page.content, refresh.description),
+      wordCount: refresh.wordCount,
+      wordLimits,
+      isValidLength: refresh.isValidLength,
+      protectedSections: sections.map(({ id, heading }) => ({ id, heading })),
+      protection: refresh.protection,
+      lint: refresh.lint,
+      attempts: refresh.attempts,
+      lightTouch,
+      model: refreshedBy,
+      provider,
+      usedFallback: refreshedBy !== model,
+      profile,
+      brand: { id: brand.id, name: brand.name, wordLimits: brand.wordLimits },
+      locale: { id: locale.id, location: locale.location, language: locale.language },
+      usage: refresh.usage,
+      ...(ranking && { ranking })
+    };
+
+    if (generations) {
+      generations.record({ pageName, status: 'completed', options: recordOptions, inputs, prompts: refresh.prompts, result });
+    }
+    return result;
+  } catch (error) {
+    if (generations) {
+      generations.record({ pageName, status: 'failed', error: error.message, options: recordOptions, inputs });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generate the same pages once per prompt variant and compare the runs
+ * Experiment copy is kept out of the duplicate corpus, so the second variant is not flagged
+ * for repeating the first; usage is measured per run, so no other batch should share the registry
+ * @param {string[]} variants – [control, challenger] prompt variant names
+ * @param {function} onEvent  – optional (event, data) progress callback; data carries the variant
+ * @returns {Promise<{ runs: Array<{ variant, results, usage }>, report: object }>}
+ */
+async function runPromptExperiment(pages, variants, options, services, onEvent = null) {
+  const runs = [];
+
+  for (const variant of variants) {
+    services.registry.resetUsageTracking();
+    const results = await processPagesConcurrently(
+      pages,
+      { ...options, promptVariant: variant, diversify: false },
+      { ...services, corpus: null },
+      onEvent && ((event, data) => onEvent(event, { variant, ...data }))
+    );
+    runs.push({ variant, results, usage: services.registry.getUsageSummary() });
+  }
+
+  return { runs, report: buildComparisonReport(runs) };
+}
+
+/**
+ * Look up every page's search volume at once
+ * Resolves to { volumes } keyed by page name, or { error } so pages can report the failure themselves
+ */
+function prefetchSearchVolumes(pages, options, dataForSEO) {
+  const { location, language } = resolveLocale(options);
+  return dataForSEO.getSearchVolume(pages, location.code, language.code, { forceRefresh: !!options.forceRefresh })
+    .then(
+      data => ({ volumes: new Map(data.map(item => [item.keyword, item])) }),
+      error => ({ error })
+    );
+}
+
+/**
+ * Where our own domains rank in a SERP, with the ranking page's current title and meta description
+ * @returns {Promise<{ position, url, domain, title, metaDescription, serpTitle, serpSnippet, recommendation }>}
+ *   position and the page fields are null when none of our domains rank
+ */
+async function checkOwnRanking(serp, dataForSEO, ownDomains = getOwnDomains()) {
+  const ranking = findOwnRanking(serp.organicResults, ownDomains);
+  const metadata = ranking && await dataForSEO.getPageMetadata(ranking.url);
+
+  return {
+    position: ranking?.position ?? null,
+    url: ranking?.url ?? null,
+    domain: ranking?.domain ?? null,
+    title: metadata?.title ?? null,
+    metaDescription: metadata?.metaDescription ?? null,
+    serpTitle: ranking?.serpTitle ?? null,
+    serpSnippet: ranking?.serpSnippet ?? null,
+    recommendation: recommendAction(ranking)
+  };
+}
+
+/**
+ * Own-domain ranking for several keywords from the SERP alone, without any AI calls
+ * @returns {Promise<Array<{ keyword, success, cached, ...ranking }|{ keyword, success: false, error }>>}
+ */
+async function checkRankings(keywords, { locale = null, location, language, brand = null, forceRefresh = false }, dataForSEO) {
+  const results = [];
+  const batchSize = SYSTEM_CONFIG.parallel.maxConcurrent;
+  const ownDomains = getOwnDomains(getBrand(brand));
+  const market = resolveLocale({ locale, location, language });
+
+  for (let i = 0; i < keywords.length; i += batchSize) {
+    const batchResults = await Promise.all(keywords.slice(i, i + batchSize).map(async keyword => {
+      try {
+        const serp = await dataForSEO.getSERPResults(keyword, market.location.code, market.language.code, { forceRefresh });
+        return { keyword, success: true, cached: !!serp.cached, ...(await checkOwnRanking(serp, dataForSEO, ownDomains)) };
+      } catch (error) {
+        logger.warn(`Failed to check ranking for ${keyword}`, error.message);
+        return { keyword, success: false, error: error.message };
+      }
+    }));
+    results.push(...batchResults);
+  }
+
+  return results;
+}
+
+/**
+ * Process a single page with all features and record the outcome in the generation history
+ * Emits progress events as each stage finishes:
+ *   page_start, search_volume, serp, keywords, ranking, competitor_insights, token, retry, fallback, duplicates, links,
+ *   seo_fields
+ */
+async function processSinglePage(pageName, options, services, onEvent = null) {
+  const { generations } = services;
+  const trace = {};
+  // The history records the market the page was generated for, not the request's defaults
+  const locale = resolveLocale(options);
+  const recordOptions = { ...options, locale: locale.id, location: locale.location.code, language: locale.language.name };
+
+  try {
+    const result = await generatePage(pageName, options, services, onEvent, trace);
+    if (generations) {
+      generations.record({ pageName, status: 'completed', options: recordOptions, inputs: trace.inputs, prompts: trace.prompts, result });
+    }
+    return result;
+  } catch (error) {
+    if (generations) {
+      generations.record({ pageName, status: 'failed', error: error.message, options: recordOptions, inputs: trace.inputs });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Gather data and generate the page; trace collects the prompt inputs and rendered prompts for the history
+ */
+async function generatePage(pageName, options, services, onEvent, trace) {
+  const {
+    model, includeCompetitorAnalysis, includeSearchVolume, structuredOutput, diversify,
+    includeKeywordExpansion, includeRankTracking, forceRefresh = false, promptVariant = null,
+    linkPolicy = SYSTEM_CONFIG.internalLinks.policy
+  } = options;
+  // Vertical whose templates, examples and heading schema the page is written with
+  const profile = resolveProfile(options.profile, pageName);
+  // Brand whose name, tone, examples, word limits, lint rules and domains the page is written with
+  const brand = getBrand(options.brand);
+  // Market the page is written for: DataForSEO location and language, spelling and currency rules
+  const locale = resolveLocale(options);
+  const location = locale.location.code;
+  const language = locale.language.code;
+  const { dataForSEO, aiService, registry, corpus, linkIndex, batch = [], searchVolumes } = services;
+  const emit = (event, data = {}) => onEvent && onEvent(event, data);
+
+  const pageLogger = logger.child(`[${pageName}]`);
+  pageLogger.process('Starting page processing', {
+    brand: brand.id, locale: locale.id, profile: profile.id, profileSource: profile.source
+  });
+  emit('page_start', { profile, brand: brand.id, locale: locale.id });
+
+  let searchVolume = null;
+  let competitorInsights = null;
+  let competitorDomains = [];
+  let competitorPages = []; // Extracted competitor pages, for the content-gap report
+  let competitorExclusions = []; // [{ url, reason, message }] competitor pages left out of the analysis
+  let keywordTargets = null; // { secondary: [{ keyword, searchVolume }] }
+  const cacheHits = {}; // DataForSEO lookups served from the response cache
+
+  const ownDomains = getOwnDomains(brand);
+
+  // One SERP request shared by competitor analysis, keyword expansion, rank tracking and the SERP features
+  let serpPromise = null;
+  const getSerp = () => {
+    if (!serpPromise) {
+      serpPromise = dataForSEO.getSERPResults(pageName, location, language, { forceRefresh });
+      serpPromise.then(serp => { cacheHits.serp = serp.cached; }, () => {});
+    }
+    return serpPromise;
+  };
+
+  // Parallel data gathering
+  const dataPromises = [];
+
+  // Get search volume if requested
+  if (includeSearchVolume && dataForSEO) {
+    pageLogger.info('Starting search volume request', { pageName, location, language });
+    // Use the run's pre-fetched lookup when there is one; a page added to the run later (a retried job page)
+    // is looked up on its own
+    const fetchOwn = () => dataForSEO.getSearchVolume([pageName], location, language, { forceRefresh });
+    const lookup = searchVolumes
+      ? searchVolumes.then(({ volumes, error }) => {
+        if (error) throw error;
+        return volumes.has(pageName) ? [volumes.get(pageName)] : fetchOwn();
+      })
+      : fetchOwn();
+
+    dataPromises.push(
+      lookup
+        .then(data => {
+          pageLogger.info('Raw search volume response', { data, length: data?.length });
+          searchVolume = data[0];
+          cacheHits.searchVolume = !!searchVolume?.cached;
+          pageLogger.success('Search volume retrieved', searchVolume);
+          emit('search_volume', { searchVolume: searchVolume?.searchVolume ?? null, cached: cacheHits.searchVolume });
+        })
+        .catch(error => {
+          pageLogger.warn('Failed to get search volume', error.message);
+          emit('search_volume', { searchVolume: null, error: error.message });
+        })
+    );
+  } else if (includeSearchVolume && !dataForSEO) {
+    pageLogger.warn('Search volume requested but DataForSEO not configured');
+  }
+
+  // Get competitor analysis if requested
+  if (includeCompetitorAnalysis && dataForSEO && aiService) {
+    dataPromises.push(
+      (async () => {
+        try {
+          pageLogger.process('Starting competitor analysis');
+          const serpResults = await getSerp();
+          // Further results stand in for competitors whose pages are excluded
+          const candidateUrls = serpResults.organicResults
+            .filter(r => !isOwnDomain(r.domain, ownDomains))
+            .slice(0, SYSTEM_CONFIG.crawler.maxCandidates)
+            .map(r => r.url);
+
+          competitorDomains = candidateUrls.slice(0, SYSTEM_CONFIG.parallel.competitorAnalysis).map(toDomain).filter(Boolean);
+          emit('serp', {
+            totalResults: serpResults.totalResults,
+            competitorDomains,
+            features: listFeatures(serpResults.features),
+            cached: serpResults.cached
+          });
+
+          if (candidateUrls.length > 0) {
+            const { pages: competitorContent, excluded } = await dataForSEO.getCompetitorContent(candidateUrls);
+            competitorPages = competitorContent;
+            competitorExclusions = excluded;
+            competitorDomains = competitorContent.map(page => toDomain(page.finalUrl));
+            competitorInsights = await aiService.analyzeCompetitorContent(pageName, competitorContent, model);
+            pageLogger.success('Competitor analysis completed', {
+              competitorsAnalyzed: competitorContent.length,
+              excluded: excluded.length
+            });
+            emit('competitor_insights', {
+              competitorsAnalyzed: competitorContent.length,
+              competitorDomains,
+              excluded,
+              hasInsights: !!competitorInsights
+            });
+          } else {
+            pageLogger.warn('No competitor URLs found for analysis');
+          }
+        } catch (error) {
+          pageLogger.warn('Failed to analyze competitors', error.message);
+          emit('competitor_insights', { competitorsAnalyzed: 0, hasInsights: false, error: error.message });
+        }
+      })()
+    );
+  } else if (includeCompetitorAnalysis && (!dataForSEO || !aiService)) {
+    pageLogger.warn('Competitor analysis requested but required services not configured');
+  }
+
+  // Pick secondary keywords the copy must cover; the SERP is fetched too for its "people also ask" questions
+  if (includeKeywordExpansion && dataForSEO) {
+    dataPromises.push(
+      (async () => {
+        const [ideas, serp] = await Promise.allSettled([
+          dataForSEO.getKeywordIdeas(pageName, location, language, { forceRefresh }),
+          getSerp()
+        ]);
+
+        if (ideas.status === 'rejected') {
+          pageLogger.warn('Failed to get keyword ideas', ideas.reason.message);
+        } else {
+          cacheHits.keywordIdeas = ideas.value.cached;
+        }
+        if (serp.status === 'rejected') {
+          pageLogger.warn('Failed to get SERP features', serp.reason.message);
+        }
+
+        keywordTargets = {
+          secondary: ideas.status === 'fulfilled' ? selectSecondaryKeywords(pageName, ideas.value.keywords) : []
+        };
+        pageLogger.success('Keyword targets selected', keywordTargets);
+        emit('keywords', {
+          secondaryKeywords: keywordTargets.secondary,
+          ...(ideas.status === 'rejected' && { error: ideas.reason.message })
+        });
+      })()
+    );
+  } else if (includeKeywordExpansion && !dataForSEO) {
+    pageLogger.warn('Keyword expansion requested but DataForSEO not configured');
+  }
+
+  // Rank tracking only needs the SERP, so it works without the AI competitor analysis
+  if (includeRankTracking && dataForSEO) {
+    dataPromises.push(getSerp().catch(error => pageLogger.warn('Failed to get SERP for rank tracking', error.message)));
+  } else if (includeRankTracking && !dataForSEO) {
+    pageLogger.warn('Rank tracking requested but DataForSEO not configured');
+  }
+
+  // Wait for all data gathering to complete
+  await Promise.all(dataPromises);
+
+  // FAQ candidates and history facts from the SERP features, whenever a SERP was fetched
+  const serp = serpPromise && await serpPromise.catch(() => null);
+  const serpContext = serp && buildSerpContext(serp.features);
+
+  // Our own position, when asked for: a ranking page's title and meta description are fetched from our site
+  const ranking = includeRankTracking && serp ? await checkOwnRanking(serp, dataForSEO, ownDomains) : null;
+  if (ranking) {
+    pageLogger.info('Own ranking checked', { position: ranking.position, recommendation: ranking.recommendation });
+    emit('ranking', ranking);
+  }
+
+  const secondaryKeywords = keywordTargets ? keywordTargets.secondary.map(item => item.keyword) : [];
+  // The brand's fixed link targets plus the indexed pages most relevant to this one
+  const internalLinks = suggestLinks(brand, linkIndex, pageName, secondaryKeywords);
+  trace.inputs = { profile, searchVolume, competitorInsights, keywordTargets, serpContext, internalLinks };
+
+  const contentTargets = {
+    secondaryKeywords,
+    faqCandidates: serpContext?.faqCandidates || [],
+    historyFacts: serpContext?.historyFacts || [],
+    internalLinks
+  };
+
+  // Generate description with retry logic, failing over to the next provider when one is unavailable
+  const generate = (startModel, insights) => registry.runWithFallback(
+    startModel,
+    (service, candidateModel, { failOver }) => service.generateWithRetry(
+      pageName,
+      locale.language.name,
+      insights,
+      searchVolume,
+      {
+        model: candidateModel,
+        failOver,
+        profile: profile.id,
+        brand: brand.id,
+        locale: locale.id,
+        variant: promptVariant,
+        contentTargets,
+        ...(onEvent ? {
+          onToken: (text) => emit('token', { text }),
+          onRetry: (details) => emit('retry', details)
+        } : {})
+      }
+    ),
+    (details) => emit('fallback', details)
+  );
+
+  let { result: descriptionResult, provider, model: generatedBy } = await generate(model, competitorInsights);
+  let usage = descriptionResult.usage;
+
+  // Compare with earlier pages in the batch and the stored corpus, optionally rewriting a page that repeats them
+  let duplicates = null;
+  if (corpus && descriptionResult.description) {
+    duplicates = { ...corpus.check(pageName, descriptionResult.description, batch), diversified: false };
+
+    if (duplicates.flagged && diversify) {
+      pageLogger.process('Regenerating with a diversify instruction', {
+        repeatedHeadings: duplicates.repeatedHeadings.length,
+        duplicateParagraphs: duplicates.duplicateParagraphs.length
+      });
+      emit('retry', {
+        reason: 'diversify',
+        repeatedHeadings: duplicates.repeatedHeadings.length,
+        duplicateParagraphs: duplicates.duplicateParagraphs.length
+      });
+
+      try {
+        const instruction = describeDuplicates(duplicates);
+        const rewrite = await generate(generatedBy, competitorInsights ? `${instruction}\n\n${competitorInsights}` : instruction);
+        const recheck = corpus.check(pageName, rewrite.result.description, batch);
+        usage = combineUsage(usage, rewrite.result.usage);
+
+        // Keep the rewrite only when it repeats less and still meets the length and lint rules as well as the original
+        if (countDuplicates(recheck) < countDuplicates(duplicates) &&
+            rankDescription(rewrite.result) >= rankDescription(descriptionResult)) {
+          ({ result: descriptionResult, provider, model: generatedBy } = rewrite);
+          duplicates = { ...recheck, diversified: true };
+        }
+      } catch (error) {
+        pageLogger.warn('Diversified regeneration failed, keeping the original copy', error.message);
+      }
+    }
+
+    batch.push(duplicates.document);
+    corpus.add(duplicates.document);
+    emit('duplicates', summarizeDuplicates(duplicates));
+  }
+
+  // Every link must point at a page we know exists; the rest are flagged, and unlinked under the strip policy
+  let links = null;
+  if (descriptionResult.description) {
+    const known = new Set(internalLinks.map(link => normalizeUrl(link.url)));
+    const checked = checkLinks(descriptionResult.description, {
+      ownDomains,
+      isKnown: (url) => known.has(url) || !!linkIndex?.has(brand.id, url)
+    });
+    const invalid = checked.filter(link => link.status !== LINK_STATUS.valid);
+    const stripped = linkPolicy === 'strip' && invalid.length > 0;
+
+    if (stripped) {
+      descriptionResult = {
+        ...descriptionResult,
+        description: stripLinks(descriptionResult.description, invalid.map(link => link.url))
+      };
+    }
+    if (invalid.length > 0) {
+      pageLogger.warn('Links to unknown pages', { invalid: invalid.map(link => link.url), stripped });
+    }
+
+    links = {
+      suggested: internalLinks.length,
+      checked: checked.length,
+      invalid,
+      stripped,
+      indexed: linkIndex ? linkIndex.describe(brand.id).pages : 0
+    };
+    emit('links', links);
+  }
+
+  trace.prompts = descriptionResult.prompts;
+
+  // Which must-cover secondary keywords made it into the final copy
+  const keywordCoverage = keywordTargets && measureCoverage(descriptionResult.description, contentTargets.secondaryKeywords);
+
+  // Deterministic content-gap report: what most competitors cover and whether the copy does too
+  let contentGap = null;
+  if (competitorPages.length > 0) {
+    const report = buildGapReport(pageName, competitorPages);
+    contentGap = { ...report, coverage: findMissingTopics(report, descriptionResult.description) };
+  }
+
+  // Structured SEO fields are written from the finished copy, starting with the model that wrote it
+  let seo = null;
+  if (structuredOutput && descriptionResult.description) {
+    try {
+      const { result } = await registry.runWithFallback(
+        generatedBy,
+        (service, candidateModel) => service.generateSeoFields(pageName, locale.language.name, descriptionResult.description, {
+          model: candidateModel,
+          brand: brand.id,
+          locale: locale.id,
+          faqCandidates: contentTargets.faqCandidates,
+          onRetry: (details) => emit('retry', details)
+        }),
+        (details) => emit('fallback', { ...details, stage: 'seo_fields' })
+      );
+      seo = result;
+      emit('seo_fields', { fields: seo.fields, isValid: seo.isValid });
+    } catch (error) {
+      // Keep the body copy even when the metadata could not be generated
+      pageLogger.warn('Failed to generate SEO fields', error.message);
+      seo = { error: error.message };
+    }
+  }
+
+  // schema.org markup from the FAQ and an entity stub, validated before it is returned
+  const jsonLd = generateJsonLd({
+    pageName,
+    description: descriptionResult.description,
+    faq: seo?.fields?.faq,
+    metaDescription: seo?.fields?.metaDescription,
+    competitorInsights
+  });
+
+  return {
+    pageName,
+    description: descriptionResult.description,
+    wordCount: descriptionResult.wordCount,
+    isValidLength: descriptionResult.isValidLength,
+    lint: descriptionResult.lint,
+    attempts: descriptionResult.attempts,
+    prompt: descriptionResult.prompt,
+    model: generatedBy,
+    provider,
+    usedFallback: generatedBy !== model,
+    profile,
+    brand: { id: brand.id, name: brand.name, wordLimits: brand.wordLimits },
+    locale: { id: locale.id, location: locale.location, language: locale.language },
+    searchVolume: searchVolume?.searchVolume || null,
+    cacheHits,
+    usage: seo?.usage ? combineUsage(usage, seo.usage) : usage,
+    ...(seo && {
+      seo: seo.fields || null,
+      seoValidation: seo.validation || null,
+      seoError: seo.error || null
+    }),
+    jsonLd,
+    ...(duplicates && { duplicates: summarizeDuplicates(duplicates) }),
+    ...(keywordTargets && {
+      secondaryKeywords: keywordTargets.secondary.map(item => ({
+        ...item,
+        covered: keywordCoverage.covered.includes(item.keyword)
+      })),
+      keywordCoverage
+    }),
+    ...(serp && {
+      serpFeatures: listFeatures(serp.features),
+      faqCandidates: serpContext.faqCandidates,
+      historyFacts: serpContext.historyFacts
+    }),
+    hasCompetitorInsights: !!competitorInsights,
+    competitorDomains,
+    competitorExclusions,
+    ...(contentGap && { contentGap }),
+    ...(links && { links }),
+    ...(ranking && { ranking })
+  };
+}
+
+/**
+ * Pages offered to the generator as link targets: the brand's fixed internalLinks first, then the indexed pages
+ * most relevant to this one, without repeats
+ * @returns {Array<{ url, anchor }>}
+ */
+function suggestLinks(brand, linkIndex, pageName, keywords) {
+  const seen = new Set();
+  return [...brand.internalLinks, ...(linkIndex ? linkIndex.suggest(brand.id, pageName, keywords) : [])]
+    .filter(link => {
+      const key = normalizeUrl(link.url);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ url, anchor }) => ({ url, anchor }));
+}
+
+function toDomain(url) {
+  try {
+    return new URL(url).hostname.replace('www.', '');
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Add up the usage of several generation steps
+ */
+function combineUsage(...usages) {
+  return usages.reduce((total, usage) => ({
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    totalTokens: total.totalTokens + usage.totalTokens,
+    cost: Number((total.cost + usage.cost).toFixed(6))
+  }));
+}
+
+function countDuplicates(duplicates) {
+  return duplicates.repeatedHeadings.length + duplicates.duplicateParagraphs.length;
+}
+
+/**
+ * Same ordering generateWithRetry uses to pick its best attempt
+ */
+function rankDescription(result) {
+  return (result.isValidLength ? 2 : 0) + (result.lint?.score || 0);
+}
+
+/**
+ * Duplicate report without the fingerprint signatures
+ */
+function summarizeDuplicates({ flagged, repeatedHeadings, duplicateParagraphs, maxSimilarity, diversified }) {
+  return { flagged, repeatedHeadings, duplicateParagraphs, maxSimilarity, diversified };
+}
+
+module.exports = {
+  processPagesConcurrently,
+  processMarkets,
+  translateToMarkets,
+  refreshPage,
+  runPromptExperiment,
+  processSinglePage,
+  prefetchSearchVolumes,
+  checkRankings
+};
@@ -0,0 +1,307 @@
+/**
+ * Generation Store
+ * Every generated page (inputs, rendered prompts, output and cost) is recorded in SQLite
+ * so the history is shared by everyone using the server and survives a cleared browser
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+const GENERATION_STATUS = ['completed', 'failed'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS generations (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    page_name TEXT NOT NULL,
+    status TEXT NOT NULL,
+    error TEXT,
+    requested_model TEXT,
+    model TEXT,
+    provider TEXT,
+    location INTEGER,
+    language TEXT,
+    inputs TEXT,
+    system_prompt TEXT,
+    user_prompt TEXT,
+    description TEXT,
+    word_count INTEGER,
+    search_volume INTEGER,
+    competitor_domains TEXT,
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    cost REAL,
+    result TEXT,
+    prompt_version TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_generations_created_at ON generations (created_at);
+  CREATE INDEX IF NOT EXISTS idx_generations_page_name ON generations (page_name COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_generations_model ON generations (model);
+  CREATE INDEX IF NOT EXISTS idx_generations_status ON generations (status);
+`;
+
+class GenerationStore {
+  /**
+   * @param {string} databaseFile – SQLite file, created on first use
+   */
+  constructor(databaseFile) {
+    // Loaded here so a missing native module only disables history instead of the whole server
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(databaseFile), { recursive: true });
+    this.db = new Database(databaseFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+    this.migrate();
+    this.logger = logger.child('Generations');
+
+    this.insertStatement = this.db.prepare(`
+      INSERT INTO generations (
+        id, created_at, page_name, status, error, requested_model, model, provider, location, language,
+        inputs, system_prompt, user_prompt, description, word_count, search_volume, competitor_domains,
+        prompt_tokens, completion_tokens, cost, result, prompt_version
+      ) VALUES (
+        @id, @createdAt, @pageName, @status, @error, @requestedModel, @model, @provider, @location, @language,
+        @inputs, @systemPrompt, @userPrompt, @description, @wordCount, @searchVolume, @competitorDomains,
+        @promptTokens, @completionTokens, @cost, @result, @promptVersion
+      )
+    `);
+  }
+
+  /**
+   * Add columns introduced after a database was created
+   */
+  migrate() {
+    const columns = this.db.prepare('PRAGMA table_info(generations)').all().map(column => column.name);
+    if (!columns.includes('prompt_version')) {
+      this.db.exec('ALTER TABLE generations ADD COLUMN prompt_version TEXT');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_generations_prompt_version ON generations (prompt_version)');
+  }
+
+  /**
+   * Record one page generation
+   * @param {object} entry – { pageName, status, error, options, inputs, prompts, result }
+   */
+  record({ pageName, status, error = null, options = {}, inputs = {}, prompts = null, result = null }) {
+    const {
+      description = null,
+      wordCount = null,
+      searchVolume = null,
+      competitorDomains = [],
+      usage = null,
+      model = null,
+      provider = null,
+      ...details
+    } = result || {};
+
+    const row = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      pageName,
+      status,
+      error,
+      requestedModel: options.model || null,
+      model,
+      provider,
+      location: options.location ?? null,
+      language: options.language || null,
+      inputs: JSON.stringify({ ...options, ...inputs }),
+      systemPrompt: prompts?.system ?? null,
+      userPrompt: prompts?.user ?? null,
+      description,
+      wordCount,
+      searchVolume,
+      competitorDomains: JSON.stringify(competitorDomains),
+      promptTokens: usage?.promptTokens ?? null,
+      completionTokens: usage?.completionTokens ?? null,
+      cost: usage?.cost ?? null,
+      result: result ? JSON.stringify(details) : null,
+      promptVersion: result?.prompt?.version ?? null
+    };
+
+    try {
+      this.insertStatement.run(row);
+    } catch (dbError) {
+      // Losing a history row must never fail the generation itself
+      this.logger.error(`Failed to record generation for ${pageName}`, dbError);
+    }
+
+    return row.id;
+  }
+
+  /**
+   * Validate GET /api/generations query parameters
+   * @returns {{ filters: object }|{ error: { status, error, message } }}
+   */
+  static parseQuery(query = {}) {
+    const { pageName, model, status, promptVersion, from, to } = query;
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? SYSTEM_CONFIG.generations.pageSize : Number(query.pageSize);
+    const invalid = (message) => ({ error: { status: 400, error: 'Invalid query', message } });
+
+    // A repeated parameter (?pageName=a&pageName=b) arrives as an array, a bracketed one as an object
+    const repeated = ['pageName', 'model', 'status', 'promptVersion', 'from', 'to', 'page', 'pageSize']
+      .find(name => query[name] !== undefined && typeof query[name] !== 'string');
+    if (repeated) {
+      return invalid(`${repeated} must be a single value`);
+    }
+
+    if (!Number.isInteger(page) || page < 1) {
+      return invalid('page must be a positive integer');
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > SYSTEM_CONFIG.generations.maxPageSize) {
+      return invalid(`pageSize must be between 1 and ${SYSTEM_CONFIG.generations.maxPageSize}`);
+    }
+    if (status && !GENERATION_STATUS.includes(status)) {
+      return invalid(`status must be one of: ${GENERATION_STATUS.join(', ')}`);
+    }
+
+    const dates = {};
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return invalid(`${name} must be an ISO 8601 date`);
+      }
+      // A plain "to" date includes the whole day
+      if (name === 'to' && DATE_ONLY.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+      }
+      dates[name] = date.toISOString();
+    }
+
+    return { filters: { pageName, model, status, promptVersion, ...dates, page, pageSize } };
+  }
+
+  /**
+   * List generations, most recent first
+   * @param {object} filters – { pageName (substring), model, status, promptVersion, from, to, page, pageSize }
+   */
+  list({ pageName, model, status, promptVersion, from, to, page = 1, pageSize = SYSTEM_CONFIG.generations.pageSize } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (pageName) {
+      conditions.push("page_name LIKE @pageName ESCAPE '\\' COLLATE NOCASE");
+      params.pageName = `%${pageName.replace(/[\\%_]/g, '\\$&')}%`;
+    }
+    if (model) {
+      conditions.push('(model = @model OR requested_model = @model)');
+      params.model = model;
+    }
+    if (status) {
+      conditions.push('status = @status');
+      params.status = status;
+    }
+    if (promptVersion) {
+      conditions.push('prompt_version = @promptVersion');
+      params.promptVersion = promptVersion;
+    }
+    if (from) {
+      conditions.push('created_at >= @from');
+      params.from = from;
+    }
+    if (to) {
+      conditions.push('created_at < @to');
+      params.to = to;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM generations ${where}`).get(params);
+    const rows = this.db
+      .prepare(`SELECT * FROM generations ${where} ORDER BY created_at DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: pageSize, offset: (page - 1) * pageSize });
+
+    return {
+      generations: rows.map(toRecord),
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * One generation by id
+   * @returns {object|null}
+   */
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM generations WHERE id = ?').get(String(id));
+    return row ? toRecord(row) : null;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+function parseJson(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+function toRecord(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    pageName: row.page_name,
+    status: row.status,
+    error: row.error,
+    requestedModel: row.requested_model,
+    model: row.model,
+    provider: row.provider,
+    location: row.location,
+    language: row.language,
+    inputs: parseJson(row.inputs),
+    prompts: { system: row.system_prompt, user: row.user_prompt },
+    description: row.description,
+    wordCount: row.word_count,
+    promptVersion: row.prompt_version,
+    searchVolume: row.search_volume,
+    competitorDomains: parseJson(row.competitor_domains) || [],
+    usage: row.prompt_tokens === null ? null : {
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      totalTokens: row.prompt_tokens + row.completion_tokens,
+      cost: row.cost
+    },
+    result: parseJson(row.result)
+  };
+}
+
+/**
+ * Open the configured store, or return null when storage is disabled or SQLite is unavailable
+ */
+function createGenerationStore(env = process.env) {
+  const setting = env.GENERATIONS_DB;
+  if (setting === 'off') {
+    logger.info('Generation history disabled (GENERATIONS_DB=off)');
+    return null;
+  }
+
+  const databaseFile = setting
+    ? path.resolve(setting)
+    : path.join(__dirname, '..', SYSTEM_CONFIG.generations.databaseFile);
+
+  try {
+    const store = new GenerationStore(databaseFile);
+    logger.success('Generation history initialized', { databaseFile });
+    return store;
+  } catch (error) {
+    logger.warn('Generation history unavailable, results will not be stored', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  GenerationStore,
+  GENERATION_STATUS,
+  createGenerationStore
+};
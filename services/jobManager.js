@@ -0,0 +1,393 @@
+/**
+ * Job Manager
+ * Runs large generation batches in the background with per-page progress
+ * Jobs are persisted so they survive a server restart: a small JSON header per job (<id>.json), rewritten on job
+ * status changes, and an append-only page log (<id>.pages.jsonl) with one line per page state change, which
+ * carries the generated result once the page completes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+const JOB_STATUS = {
+  queued: 'queued',
+  running: 'running',
+  completed: 'completed',
+  completedWithErrors: 'completed_with_errors', // Some pages failed
+  failed: 'failed' // Every page failed
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.completed, JOB_STATUS.completedWithErrors, JOB_STATUS.failed];
+
+const PAGE_STATUS = {
+  pending: 'pending',
+  running: 'running',
+  completed: 'completed',
+  failed: 'failed'
+};
+
+class JobManager {
+  /**
+   * @param {function} processPage – async (pageName, options, context) => result, throws on failure
+   * @param {string} storageDir    – directory used to persist job files
+   * @param {object} hooks         – { prepareRun(pageNames, options) } builds the context shared by a run's pages
+   */
+  constructor(processPage, storageDir = path.join(__dirname, '..', SYSTEM_CONFIG.jobs.storageDir), { prepareRun = null } = {}) {
+    this.processPage = processPage;
+    this.prepareRun = prepareRun;
+    this.storageDir = storageDir;
+    this.jobs = new Map();
+    this.queue = [];
+    this.isRunning = false;
+    this.logger = logger.child('Jobs');
+
+    fs.mkdirSync(this.storageDir, { recursive: true });
+  }
+
+  /**
+   * Restore persisted jobs and resume the interrupted ones
+   * Called once the server is ready to run pages, so nothing billable starts before its startup checks pass
+   */
+  start() {
+    this.restore();
+    this.runNext();
+  }
+
+  /**
+   * Load persisted jobs and requeue anything that was interrupted
+   */
+  restore() {
+    const files = fs.readdirSync(this.storageDir).filter(f => f.endsWith('.json'));
+
+    files.forEach(file => {
+      try {
+        const job = this.load(path.join(this.storageDir, file));
+        this.jobs.set(job.id, job);
+
+        if (!this.isFinished(job)) {
+          // Pages that were mid-flight when the server stopped are run again
+          job.pages.forEach(page => {
+            if (page.status === PAGE_STATUS.running) {
+              page.status = PAGE_STATUS.pending;
+              this.savePage(job, page);
+            }
+          });
+          job.status = JOB_STATUS.queued;
+          this.save(job);
+          this.queue.push(job.id);
+        }
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable job file ${file}`, error.message);
+      }
+    });
+
+    if (files.length > 0) {
+      this.logger.info('Jobs restored', { total: this.jobs.size, requeued: this.queue.length });
+    }
+  }
+
+  /**
+   * Create a job and queue it for processing
+   */
+  createJob(pageNames, options) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: JOB_STATUS.queued,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      options,
+      pages: pageNames.map((pageName, index) => ({
+        index,
+        pageName,
+        status: PAGE_STATUS.pending,
+        attempts: 0,
+        error: null,
+        result: null
+      }))
+    };
+
+    this.jobs.set(job.id, job);
+    this.save(job);
+    this.enqueue(job.id);
+
+    this.logger.success('Job created', { id: job.id, pageCount: job.pages.length });
+    return job;
+  }
+
+  /**
+   * Reset failed pages (all, or the given indexes) and requeue the job
+   * A running job is left as it is: its workers pick up the pending pages before it completes
+   * @returns {number} number of pages queued for retry
+   */
+  retryFailed(jobId, pageIndexes = null) {
+    const job = this.jobs.get(jobId);
+    if (!job) return 0;
+
+    const retryable = job.pages.filter(page =>
+      page.status === PAGE_STATUS.failed &&
+      (!pageIndexes || pageIndexes.includes(page.index))
+    );
+
+    retryable.forEach(page => {
+      page.status = PAGE_STATUS.pending;
+      page.error = null;
+      this.savePage(job, page);
+    });
+
+    if (retryable.length > 0) {
+      const running = job.status === JOB_STATUS.running;
+      if (!running) {
+        job.status = JOB_STATUS.queued;
+        job.completedAt = null;
+        this.save(job);
+        this.enqueue(job.id);
+      }
+      this.logger.info('Retrying failed pages', { id: job.id, pageCount: retryable.length });
+    }
+
+    return retryable.length;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  listJobs() {
+    return Array.from(this.jobs.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  enqueue(jobId) {
+    if (!this.queue.includes(jobId)) {
+      this.queue.push(jobId);
+    }
+    this.runNext();
+  }
+
+  /**
+   * Process queued jobs one at a time
+   */
+  async runNext() {
+    if (this.isRunning || this.queue.length === 0) return;
+
+    this.isRunning = true;
+    const job = this.jobs.get(this.queue.shift());
+
+    try {
+      await this.runJob(job);
+    } catch (error) {
+      this.logger.error(`Job ${job.id} stopped unexpectedly`, error);
+    } finally {
+      this.isRunning = false;
+      this.runNext();
+    }
+  }
+
+  /**
+   * Work through a job's pending pages with the configured concurrency
+   */
+  async runJob(job) {
+    job.status = JOB_STATUS.running;
+    this.save(job);
+    this.logger.process(`Running job ${job.id}`, this.getProgress(job));
+
+    // Work shared by every pending page, such as a single search volume lookup
+    const pendingNames = job.pages.filter(p => p.status === PAGE_STATUS.pending).map(p => p.pageName);
+    const context = this.prepareRun ? this.prepareRun(pendingNames, job.options) : {};
+
+    const workerCount = Math.max(1, SYSTEM_CONFIG.parallel.maxConcurrent);
+    const workers = Array.from({ length: workerCount }, async () => {
+      let page;
+      while ((page = job.pages.find(p => p.status === PAGE_STATUS.pending))) {
+        await this.runPage(job, page, context);
+      }
+    });
+
+    await Promise.all(workers);
+
+    const progress = this.getProgress(job);
+    if (progress.failed === 0) {
+      job.status = JOB_STATUS.completed;
+    } else {
+      job.status = progress.failed === progress.total ? JOB_STATUS.failed : JOB_STATUS.completedWithErrors;
+    }
+    job.completedAt = new Date().toISOString();
+    this.save(job);
+
+    if (job.status === JOB_STATUS.completed) {
+      this.logger.success(`Job ${job.id} completed`, progress);
+    } else {
+      this.logger.warn(`Job ${job.id} finished with ${progress.failed} failed pages`, progress);
+    }
+  }
+
+  async runPage(job, page, context = {}) {
+    page.status = PAGE_STATUS.running;
+    page.attempts += 1;
+    page.startedAt = new Date().toISOString();
+    this.savePage(job, page);
+
+    try {
+      page.result = await this.processPage(page.pageName, job.options, context);
+      page.status = PAGE_STATUS.completed;
+    } catch (error) {
+      this.logger.error(`Job ${job.id}: failed to process ${page.pageName}`, error);
+      page.status = PAGE_STATUS.failed;
+      page.error = error.message;
+    }
+
+    page.finishedAt = new Date().toISOString();
+    this.savePage(job, page);
+  }
+
+  /**
+   * Whether a job has run all its pages (completed, completed_with_errors or failed)
+   */
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Count pages per status
+   */
+  getProgress(job) {
+    const counts = { total: job.pages.length };
+    Object.values(PAGE_STATUS).forEach(status => {
+      counts[status] = job.pages.filter(p => p.status === status).length;
+    });
+    counts.percent = Math.round(((counts.completed + counts.failed) / counts.total) * 100);
+    return counts;
+  }
+
+  /**
+   * Aggregate token usage across completed pages
+   */
+  getUsage(job) {
+    return job.pages.reduce((usage, page) => {
+      const pageUsage = page.result?.usage;
+      if (pageUsage) {
+        usage.totalInputTokens += pageUsage.promptTokens || 0;
+        usage.totalOutputTokens += pageUsage.completionTokens || 0;
+        usage.totalTokens += pageUsage.totalTokens || 0;
+        usage.totalCost = Number((usage.totalCost + (pageUsage.cost || 0)).toFixed(6));
+      }
+      return usage;
+    }, { totalInputTokens: 0, totalOutputTokens: 0, totalTokens: 0, totalCost: 0 });
+  }
+
+  /**
+   * Public view of a job without the generated content
+   */
+  toSummary(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      options: job.options,
+      progress: this.getProgress(job),
+      usage: this.getUsage(job),
+      pages: job.pages.map(page => ({
+        index: page.index,
+        pageName: page.pageName,
+        status: page.status,
+        attempts: page.attempts,
+        error: page.error,
+        wordCount: page.result?.wordCount || null
+      }))
+    };
+  }
+
+  pageLogPath(jobId) {
+    return path.join(this.storageDir, `${jobId}.pages.jsonl`);
+  }
+
+  /**
+   * Read a job from its header and replay its page log
+   * Headers written before the page log existed hold the pages themselves; they are moved to a page log
+   */
+  load(filePath) {
+    const { pageNames, pages, ...job } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    job.pages = pages || pageNames.map((pageName, index) => ({
+      index,
+      pageName,
+      status: PAGE_STATUS.pending,
+      attempts: 0,
+      error: null,
+      result: null
+    }));
+
+    const logPath = this.pageLogPath(job.id);
+    if (pages) {
+      this.writePages(job);
+      this.save(job);
+    } else if (fs.existsSync(logPath)) {
+      fs.readFileSync(logPath, 'utf8').split('\n').forEach(line => {
+        if (!line) return;
+        try {
+          const page = JSON.parse(line);
+          job.pages[page.index] = page;
+        } catch {
+          // A line cut short by a crash mid-write; the page runs again from its previous state
+        }
+      });
+      job.updatedAt = fs.statSync(logPath).mtime.toISOString();
+    }
+
+    return job;
+  }
+
+  /**
+   * Persist a job header atomically (write to temp file, then rename)
+   * The header lists the page names only; page states live in the page log
+   */
+  save(job) {
+    job.updatedAt = new Date().toISOString();
+    const filePath = path.join(this.storageDir, `${job.id}.json`);
+    const tmpPath = `${filePath}.tmp`;
+    const { pages, ...header } = job;
+
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify({ ...header, pageNames: pages.map(page => page.pageName) }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      this.logger.error(`Failed to persist job ${job.id}`, error);
+    }
+  }
+
+  /**
+   * Append a page's current state to the job's page log
+   */
+  savePage(job, page) {
+    job.updatedAt = new Date().toISOString();
+
+    try {
+      fs.appendFileSync(this.pageLogPath(job.id), `${JSON.stringify(page)}\n`);
+    } catch (error) {
+      this.logger.error(`Failed to persist page ${page.index} of job ${job.id}`, error);
+    }
+  }
+
+  /**
+   * Replace a job's page log with one line per page
+   */
+  writePages(job) {
+    const logPath = this.pageLogPath(job.id);
+    const tmpPath = `${logPath}.tmp`;
+
+    try {
+      fs.writeFileSync(tmpPath, job.pages.map(page => `${JSON.stringify(page)}\n`).join(''));
+      fs.renameSync(tmpPath, logPath);
+    } catch (error) {
+      this.logger.error(`Failed to persist pages of job ${job.id}`, error);
+    }
+  }
+}
+
+module.exports = { JobManager, JOB_STATUS, PAGE_STATUS };
@@ -0,0 +1,219 @@
+/**
+ * Link Index
+ * The existing pages of each brand's site, loaded from its sitemap.xml or a CSV of URL/anchor pairs and
+ * persisted as one JSON file per brand, so the generator links only to pages that exist
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const axios = require('axios');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+const { getBrand } = require('../utils/brands');
+const { getOwnDomains, isOwnDomain } = require('../utils/rankTracking');
+const { normalizeUrl, anchorFromUrl, parseSitemap, parseLinkCsv, rankLinks } = require('../utils/internalLinks');
+
+// Whether a URL is on one of the brand's domains or a subdomain of one
+function isOnDomains(url, ownDomains) {
+  const normalized = normalizeUrl(url);
+  return !!normalized && isOwnDomain(normalized.split('/')[0], ownDomains);
+}
+
+class LinkIndex {
+  /**
+   * @param {string} storageDir – directory holding one <brand id>.json index per brand
+   */
+  constructor(storageDir = path.join(__dirname, '..', SYSTEM_CONFIG.internalLinks.indexDir)) {
+    this.storageDir = storageDir;
+    this.indexes = new Map(); // brand id -> { source, updatedAt, pages: Map<normalized url, { url, anchor }> }
+    this.logger = logger.child('LinkIndex');
+  }
+
+  fileFor(brandId) {
+    return path.join(this.storageDir, `${brandId}.json`);
+  }
+
+  /**
+   * A brand's index, read from disk on first use; null when none has been imported
+   */
+  get(brandId) {
+    if (!this.indexes.has(brandId)) {
+      this.indexes.set(brandId, this.load(brandId));
+    }
+    return this.indexes.get(brandId);
+  }
+
+  load(brandId) {
+    try {
+      const file = this.fileFor(brandId);
+      if (!fs.existsSync(file)) return null;
+      const { source, updatedAt, pages } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.logger.info('Link index loaded', { brand: brandId, pages: pages.length });
+      return { source, updatedAt, pages: new Map(pages.map(page => [normalizeUrl(page.url), page])) };
+    } catch (error) {
+      this.logger.warn(`Could not load the link index for ${brandId}, starting empty`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replace a brand's index with the given pages
+   * @param {Array<{ url, anchor }>} entries – entries without a valid URL are dropped
+   * @param {string} source – where the pages came from, e.g. the sitemap URL or "csv"
+   * @returns {{ brand, pages, source, updatedAt }}
+   */
+  replace(brandId, entries, source) {
+    const pages = new Map();
+    entries.forEach(entry => {
+      const key = normalizeUrl(entry.url);
+      if (key && !pages.has(key)) pages.set(key, { url: entry.url, anchor: entry.anchor || anchorFromUrl(entry.url) });
+    });
+
+    const index = { source, updatedAt: new Date().toISOString(), pages };
+    this.indexes.set(brandId, index);
+    this.save(brandId, index);
+    this.logger.success('Link index updated', { brand: brandId, pages: pages.size, source });
+    return this.describe(brandId);
+  }
+
+  save(brandId, { source, updatedAt, pages }) {
+    const file = this.fileFor(brandId);
+    const tmpPath = `${file}.tmp`;
+
+    try {
+      fs.mkdirSync(this.storageDir, { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify({ source, updatedAt, pages: Array.from(pages.values()) }));
+      fs.renameSync(tmpPath, file);
+    } catch (error) {
+      this.logger.error('Failed to persist the link index', error);
+    }
+  }
+
+  /**
+   * Check the sitemap URL of an import: an absolute http(s) URL on one of the brand's domains
+   * @returns {{ error?: { status, error, message } }}
+   */
+  validateSitemapUrl(brandId, sitemapUrl) {
+    const ownDomains = getOwnDomains(getBrand(brandId));
+    if (typeof sitemapUrl !== 'string' || !/^https?:\/\//.test(sitemapUrl)) {
+      return { error: { status: 400, error: 'Invalid sitemap URL', message: 'sitemapUrl must be an absolute http(s) URL' } };
+    }
+    if (!isOnDomains(sitemapUrl, ownDomains)) {
+      return {
+        error: {
+          status: 400,
+          error: 'Invalid sitemap URL',
+          message: `sitemapUrl must be on one of the "${brandId}" brand's domains (${ownDomains.join(', ')})`
+        }
+      };
+    }
+    return {};
+  }
+
+  /**
+   * Import a brand's pages from CSV text ("url,anchor" rows); rows on other sites are skipped
+   * @returns {{ brand, pages, source, updatedAt, skipped }}
+   */
+  importCsv(brandId, text) {
+    const ownDomains = getOwnDomains(getBrand(brandId));
+    const parsed = parseLinkCsv(text);
+    const entries = parsed.entries.filter(entry => isOnDomains(entry.url, ownDomains));
+    const skipped = parsed.skipped + parsed.entries.length - entries.length;
+    return { ...this.replace(brandId, entries, 'csv'), skipped };
+  }
+
+  /**
+   * Import a brand's pages from its sitemap, following a sitemap index up to SYSTEM_CONFIG.internalLinks.maxSitemaps files
+   * Only sitemaps and pages on the brand's domains are read and indexed
+   * @returns {Promise<{ brand, pages, source, updatedAt, sitemaps, skipped }>}
+   *   sitemaps counts the files read, skipped the page URLs on other sites
+   */
+  async importSitemap(brandId, sitemapUrl) {
+    const ownDomains = getOwnDomains(getBrand(brandId));
+    const queue = [sitemapUrl];
+    const seen = new Set();
+    const urls = [];
+
+    while (queue.length > 0 && seen.size < SYSTEM_CONFIG.internalLinks.maxSitemaps) {
+      const url = queue.shift();
+      if (seen.has(url)) continue;
+      if (!isOnDomains(url, ownDomains)) {
+        this.logger.warn(`Skipping sitemap ${url}: not on the brand's domains`, { brand: brandId });
+        continue;
+      }
+      seen.add(url);
+
+      const parsed = parseSitemap(await this.fetchSitemap(url));
+      urls.push(...parsed.urls);
+      queue.push(...parsed.sitemaps);
+    }
+
+    if (queue.length > 0) {
+      this.logger.warn(`Stopped after ${seen.size} sitemaps`, { brand: brandId, remaining: queue.length });
+    }
+
+    const entries = urls
+      .filter(url => isOnDomains(url, ownDomains))
+      .map(url => ({ url, anchor: anchorFromUrl(url) }));
+    return { ...this.replace(brandId, entries, sitemapUrl), sitemaps: seen.size, skipped: urls.length - entries.length };
+  }
+
+  /**
+   * Sitemap XML, unzipped when served as a .gz file
+   * Files over SYSTEM_CONFIG.internalLinks.maxSitemapBytes, downloaded or unzipped, are refused
+   */
+  async fetchSitemap(url) {
+    const { maxSitemapBytes } = SYSTEM_CONFIG.internalLinks;
+    const response = await axios.get(url, {
+      timeout: SYSTEM_CONFIG.crawler.timeoutMs,
+      responseType: 'arraybuffer',
+      maxContentLength: maxSitemapBytes,
+      headers: { 'User-Agent': process.env.CRAWLER_USER_AGENT || SYSTEM_CONFIG.crawler.userAgent }
+    });
+    const body = Buffer.from(response.data);
+    // gzip magic number
+    if (body[0] !== 0x1f || body[1] !== 0x8b) return body.toString('utf8');
+
+    try {
+      return zlib.gunzipSync(body, { maxOutputLength: maxSitemapBytes }).toString('utf8');
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new Error(`Sitemap ${url} unzips to more than ${maxSitemapBytes} bytes`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Summary of a brand's index
+   * @returns {{ brand, pages, source, updatedAt }}
+   */
+  describe(brandId) {
+    const index = this.get(brandId);
+    return {
+      brand: brandId,
+      pages: index ? index.pages.size : 0,
+      source: index?.source || null,
+      updatedAt: index?.updatedAt || null
+    };
+  }
+
+  /**
+   * Whether a page (as returned by normalizeUrl) is in a brand's index
+   */
+  has(brandId, normalizedUrl) {
+    return !!this.get(brandId)?.pages.has(normalizedUrl);
+  }
+
+  /**
+   * The indexed pages most relevant to a description
+   * @returns {Array<{ url, anchor }>}
+   */
+  suggest(brandId, pageName, keywords = []) {
+    const index = this.get(brandId);
+    return index ? rankLinks(Array.from(index.pages.values()), pageName, keywords) : [];
+  }
+}
+
+module.exports = LinkIndex;
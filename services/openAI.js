@@ -4,225 +4,103 @@
  */
 
 const OpenAI = require('openai');
-const { BRAND_GUIDELINES, API_CONFIG } = require('../config/constants');
-const { TokenCounter, TokenUsageTracker } = require('../utils/tokenCounter');
-const { logger } = require('../utils/logger');
-const Prompt = require('../utils/prompt');
-
-class OpenAIService {
-  constructor(apiKey) {
-    this.client = new OpenAI({ apiKey });
-    this.model = API_CONFIG.openAI.model;
-    this.tokenCounter = new TokenCounter(this.model);
-    this.usageTracker = new TokenUsageTracker();
-    this.logger = logger.child('OpenAI');
+const { API_CONFIG, SYSTEM_CONFIG } = require('../config/constants');
+const BaseAIService = require('./baseAIService');
+
+class OpenAIService extends BaseAIService {
+  static id = 'openAI';
+  static displayName = 'OpenAI';
+  static envKeys = ['OPENAI_API_KEY'];
+  static models = API_CONFIG.openAI.models;
+
+  static fromEnv(env) {
+    const apiKey = this.readEnv(env, 'OPENAI_API_KEY');
+    return apiKey ? new this(apiKey) : null;
   }
 
   /**
-   * Generate SEO description for a single page
+   * @param {string} apiKey
+   * @param {object} options – { model, client } (client lets subclasses reuse the chat completions logic)
    */
-  async generateDescription(pageName, language = 'English', competitorInsights = null, searchVolume = null) {
-    try {
-      this.logger.process(`Generating description for: ${pageName}`, { language });
-
-      const systemPrompt = Prompt.render('system.txt', {
-        language,
-        minWords: BRAND_GUIDELINES.structure.length.min,
-        maxWords: BRAND_GUIDELINES.structure.length.max
-      });
-
-      const userPrompt = Prompt.render('description_user.txt', {
-        pageName,
-        minWords: BRAND_GUIDELINES.structure.length.min,
-        maxWords: BRAND_GUIDELINES.structure.length.max,
-        competitorInsights,
-        searchVolume: searchVolume?.searchVolume ? searchVolume.searchVolume.toLocaleString() : null,
-        competition: searchVolume?.competition,
-        cpc: searchVolume?.cpc?.toFixed ? searchVolume.cpc.toFixed(2) : null
-      });
-
-      // Estimate tokens before making the request
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ];
-
-      const estimation = this.tokenCounter.estimateRequestTokens(messages);
-      this.logger.info('Token estimation', estimation);
-
-      // Make the API call
-      const completion = await this.client.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        max_tokens: API_CONFIG.openAI.maxTokens,
-        temperature: API_CONFIG.openAI.temperature,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
-      });
-
-      const description = completion.choices[0].message.content;
-      const usage = completion.usage;
-
-      // Calculate actual cost
-      const cost = this.tokenCounter.calculateCost(usage.prompt_tokens, usage.completion_tokens);
-      
-      // Track usage
-      this.usageTracker.addRequest(
-        usage.prompt_tokens,
-        usage.completion_tokens,
-        cost,
-        { pageName, language }
-      );
-
-      // Validate word count
-      const wordCount = this.countWords(description);
-      const isValidLength = wordCount >= BRAND_GUIDELINES.structure.length.min && 
-                           wordCount <= BRAND_GUIDELINES.structure.length.max;
-
-      this.logger.success(`Description generated`, {
-        pageName,
-        wordCount,
-        isValidLength,
-        tokens: usage.total_tokens,
-        cost: cost.totalCost
-      });
-
-      return {
-        pageName,
-        description,
-        wordCount,
-        isValidLength,
-        usage: {
-          promptTokens: usage.prompt_tokens,
-          completionTokens: usage.completion_tokens,
-          totalTokens: usage.total_tokens,
-          cost: cost.totalCost
-        }
-      };
-    } catch (error) {
-      this.logger.error(`Failed to generate description for ${pageName}`, error);
-      throw error;
-    }
+  constructor(apiKey, { model = API_CONFIG.openAI.model, client = null } = {}) {
+    super(model);
+    this.client = client || new OpenAI({ apiKey, timeout: SYSTEM_CONFIG.providers.requestTimeoutMs });
   }
 
   /**
-   * Analyze competitor content for insights
+   * Model name sent to the API (deployment-based providers override this)
    */
-  async analyzeCompetitorContent(keyword, competitorContent) {
-    try {
-      this.logger.process(`Analyzing competitor content for: ${keyword}`);
-
-      if (!competitorContent || competitorContent.length === 0) {
-        return null;
-      }
-
-      const competitorBlocks = competitorContent.map((c, i) => `=== Competitor ${i + 1}: ${c.domain} ===\nPage Title: ${c.title}\nMeta Description: ${c.metaDescription}\nContent (plain text): ${c.content}`).join('\n\n');
-
-      const analysisPrompt = Prompt.render('competitor_analysis.txt', {
-        keyword,
-        competitorBlocks
-      });
-
-      const completion = await this.client.chat.completions.create({
-        model: this.model,
-        messages: [
-          { role: 'system', content: 'You are a content strategist analyzing competitor content for SEO insights. Provide concise, actionable insights.' },
-          { role: 'user', content: analysisPrompt }
-        ],
-        max_tokens: 400,
-        temperature: 0.3
-      });
-
-      const insights = completion.choices[0].message.content;
-      const usage = completion.usage;
-
-      // Track usage
-      const cost = this.tokenCounter.calculateCost(usage.prompt_tokens, usage.completion_tokens);
-      this.usageTracker.addRequest(
-        usage.prompt_tokens,
-        usage.completion_tokens,
-        cost,
-        { type: 'competitor_analysis', keyword }
-      );
-
-      this.logger.success('Competitor analysis completed', {
-        keyword,
-        competitorCount: competitorContent.length,
-        tokensUsed: usage.total_tokens
-      });
-
-      return insights;
-    } catch (error) {
-      this.logger.error('Failed to analyze competitor content', error);
-      // Return null instead of throwing to allow description generation to continue
-      return null;
-    }
+  getRequestModel(model = this.model) {
+    return model;
   }
 
   /**
-   * Generate descriptions with retry logic for word count compliance
+   * Run a chat completion (streamed when a token callback is provided)
    */
-  async generateWithRetry(pageName, language, competitorInsights, searchVolume = null, maxRetries = 3) {
-    let lastResult = null;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      this.logger.info(`Generation attempt ${attempt}/${maxRetries} for ${pageName}`);
-      
-      try {
-        const result = await this.generateDescription(pageName, language, competitorInsights, searchVolume);
-        
-        if (result.isValidLength) {
-          return result;
-        }
-        
-        lastResult = result;
-        
-        // Add word count feedback to competitor insights for next attempt
-        if (attempt < maxRetries) {
-          const wordCountFeedback = result.wordCount < BRAND_GUIDELINES.structure.length.min
-            ? `IMPORTANT: The previous attempt had only ${result.wordCount} words. You MUST write at least ${BRAND_GUIDELINES.structure.length.min} words.`
-            : `IMPORTANT: The previous attempt had ${result.wordCount} words. You MUST keep it under ${BRAND_GUIDELINES.structure.length.max} words.`;
-          
-          competitorInsights = `${wordCountFeedback}\n\n${competitorInsights || ''}`;
-        }
-      } catch (error) {
-        if (attempt === maxRetries) throw error;
-        this.logger.warn(`Attempt ${attempt} failed, retrying...`, error.message);
-      }
+  async complete({ model = this.model, systemPrompt, userPrompt, maxTokens, temperature, onToken = null, responseSchema = null }) {
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
+
+    const requestParams = {
+      model: this.getRequestModel(model),
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      presence_penalty: 0.1,
+      frequency_penalty: 0.1
+    };
+
+    if (responseSchema) {
+      requestParams.response_format = {
+        type: 'json_schema',
+        json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true }
+      };
     }
-    
-    // Return last result even if word count is invalid
-    this.logger.warn(`Failed to achieve valid word count after ${maxRetries} attempts`);
-    return lastResult;
-  }
 
-  /**
-   * Count words in text
-   */
-  countWords(text) {
-    return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+    const { text, usage } = onToken
+      ? await this.streamCompletion(requestParams, onToken)
+      : await this.client.chat.completions.create(requestParams).then(completion => ({
+        text: completion.choices[0].message.content,
+        usage: completion.usage
+      }));
+
+    // Some OpenAI-compatible servers omit usage; fall back to local token counts
+    const tokenCounter = this.getTokenCounter(model);
+    return {
+      text,
+      promptTokens: usage?.prompt_tokens ?? tokenCounter.countChatTokens(messages),
+      completionTokens: usage?.completion_tokens ?? tokenCounter.countTokens(text)
+    };
   }
 
   /**
-   * Get usage summary
+   * Stream a chat completion, forwarding each content delta to onToken
    */
-  getUsageSummary() {
-    return this.usageTracker.getSummary();
-  }
-
-  /**
-   * Reset usage tracking
-   */
-  resetUsageTracking() {
-    this.usageTracker.reset();
-  }
+  async streamCompletion(requestParams, onToken) {
+    const stream = await this.client.chat.completions.create({
+      ...requestParams,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let text = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
 
-  /**
-   * Cleanup resources
-   */
-  dispose() {
-    this.tokenCounter.dispose();
+    return { text, usage };
   }
 }
 
-module.exports = OpenAIService; 
\ No newline at end of file
+module.exports = OpenAIService;
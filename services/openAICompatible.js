@@ -0,0 +1,44 @@
+/**
+ * OpenAI-Compatible Service
+ * Runs the OpenAI chat completions flow against a self-hosted endpoint (Ollama, vLLM, LM Studio, ...)
+ */
+
+const OpenAI = require('openai');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const OpenAIService = require('./openAI');
+
+class OpenAICompatibleService extends OpenAIService {
+  static id = 'openAICompatible';
+  static displayName = 'OpenAI-Compatible (local)';
+  static envKeys = ['LOCAL_LLM_BASE_URL', 'LOCAL_LLM_MODELS'];
+
+  static fromEnv(env) {
+    const baseURL = this.readEnv(env, 'LOCAL_LLM_BASE_URL');
+    const models = this.getModels(env);
+
+    if (!baseURL || models.length === 0) {
+      return null;
+    }
+
+    // Most local servers ignore the key, but the client requires one
+    const apiKey = this.readEnv(env, 'LOCAL_LLM_API_KEY') || 'not-needed';
+    return new this(baseURL, apiKey, models[0]);
+  }
+
+  /**
+   * Served models are configured as a comma-separated list, e.g. "llama3.1:8b,qwen2.5:14b"
+   */
+  static getModels(env) {
+    const models = this.readEnv(env, 'LOCAL_LLM_MODELS') || '';
+    return models.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  constructor(baseURL, apiKey, model) {
+    super(apiKey, {
+      model,
+      client: new OpenAI({ apiKey, baseURL, timeout: SYSTEM_CONFIG.providers.requestTimeoutMs })
+    });
+  }
+}
+
+module.exports = OpenAICompatibleService;
@@ -0,0 +1,259 @@
+/**
+ * AI Provider Registry
+ * Keeps track of available AI providers and resolves a requested model to the service that offers it
+ *
+ * Adding a backend: extend BaseAIService, implement fromEnv() and complete(),
+ * then call registry.register(MyService)
+ */
+
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+const BaseAIService = require('./baseAIService');
+const OpenAIService = require('./openAI');
+const GeminiService = require('./gemini');
+const AnthropicService = require('./anthropic');
+const AzureOpenAIService = require('./azureOpenAI');
+const OpenAICompatibleService = require('./openAICompatible');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.fallbackModels = [];
+    this.env = process.env;
+    this.initialized = false;
+    this.logger = logger.child('Providers');
+  }
+
+  /**
+   * Register a provider class (see BaseAIService for the required static members)
+   */
+  register(Provider) {
+    if (!Provider.id) {
+      throw new Error(`${Provider.name} must define a static id`);
+    }
+    this.providers.set(Provider.id, { Provider, service: null });
+    return this;
+  }
+
+  /**
+   * Create service instances for every provider configured in the environment
+   */
+  initialize(env = process.env) {
+    if (this.initialized) return this;
+
+    this.env = env;
+    this.providers.forEach((entry) => {
+      const { Provider } = entry;
+      try {
+        entry.service = Provider.fromEnv(env);
+        if (entry.service) {
+          this.logger.success(`${Provider.displayName} service initialized`);
+        } else {
+          this.logger.warn(`${Provider.displayName} not configured. Add ${Provider.envKeys.join(', ')} to your .env file to enable it`);
+        }
+      } catch (error) {
+        this.logger.error(`Failed to initialize ${Provider.displayName}`, error);
+      }
+    });
+
+    this.fallbackModels = this.parseFallbackModels(env);
+    if (this.fallbackModels.length > 0) {
+      this.logger.info(`Provider fallback order: ${this.fallbackModels.join(' → ')}`);
+    }
+
+    this.initialized = true;
+    return this;
+  }
+
+  /**
+   * Fallback models come from AI_FALLBACK_MODELS (comma-separated) or SYSTEM_CONFIG.providers.fallbackModels
+   */
+  parseFallbackModels(env) {
+    const configured = BaseAIService.readEnv(env, 'AI_FALLBACK_MODELS');
+    const models = configured
+      ? configured.split(',').map(name => name.trim()).filter(Boolean)
+      : SYSTEM_CONFIG.providers.fallbackModels;
+
+    return models.filter(model => {
+      const entry = this.resolve(model);
+      if (!entry) {
+        this.logger.warn(`Ignoring unsupported fallback model: ${model}`);
+      } else if (!entry.service) {
+        this.logger.warn(`Ignoring fallback model ${model}: ${entry.Provider.displayName} is not configured`);
+      }
+      return entry?.service;
+    });
+  }
+
+  /**
+   * Find the provider entry offering a model
+   * @returns {{ Provider, service }|null} service is null when the provider is not configured
+   */
+  resolve(model) {
+    for (const entry of this.providers.values()) {
+      if (entry.Provider.getModels(this.env).includes(model)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the configured service for a model, or describe why it is unavailable
+   * @returns {{ service, Provider }|{ error: { status, error, message, supportedModels? } }}
+   */
+  resolveService(model) {
+    const entry = this.resolve(model);
+
+    if (!entry) {
+      const supportedModels = this.listModels();
+      return {
+        error: {
+          status: 400,
+          error: `Unsupported model: ${model}`,
+          message: `Supported models: ${supportedModels.join(', ')}`,
+          supportedModels
+        }
+      };
+    }
+
+    if (!entry.service) {
+      return {
+        Provider: entry.Provider,
+        error: {
+          status: 503,
+          error: `${entry.Provider.displayName} service not configured`,
+          message: `Please add ${entry.Provider.envKeys.join(', ')} to your environment and restart the server`
+        }
+      };
+    }
+
+    return { service: entry.service, Provider: entry.Provider };
+  }
+
+  /**
+   * Every model offered by a registered provider
+   */
+  listModels() {
+    return Array.from(this.providers.values()).flatMap(({ Provider }) => Provider.getModels(this.env));
+  }
+
+  /**
+   * Requested model followed by the configured fallback models, skipping unconfigured providers
+   * @returns {Array<{ Provider, service, model }>}
+   */
+  getFallbackChain(model) {
+    const chain = [];
+    [model, ...this.fallbackModels].forEach(candidate => {
+      const entry = this.resolve(candidate);
+      if (entry?.service && !chain.some(link => link.model === candidate)) {
+        chain.push({ Provider: entry.Provider, service: entry.service, model: candidate });
+      }
+    });
+    return chain;
+  }
+
+  /**
+   * Run a task against the requested model, failing over along the fallback chain when a provider
+   * is rate limited, erroring, timing out or has an open circuit breaker
+   * Errors caused by the request itself are thrown without trying other providers
+   * @param {function} task       – async (service, model, { failOver }) => result
+   * @param {function} onFallback – optional ({ from, to, provider, reason }) callback
+   * @returns {Promise<{ result, provider, model }>} provider is the id of the provider that produced the result
+   */
+  async runWithFallback(model, task, onFallback = null) {
+    const chain = this.getFallbackChain(model);
+    let lastError = new Error(`No configured provider offers model ${model}`);
+
+    for (let i = 0; i < chain.length; i++) {
+      const { Provider, service, model: candidate } = chain[i];
+      const next = chain[i + 1];
+
+      try {
+        if (!service.circuitBreaker.isAvailable()) {
+          throw service.circuitBreaker.createOpenError();
+        }
+        const result = await task(service, candidate, { failOver: !!next });
+        return { result, provider: Provider.id, model: candidate };
+      } catch (error) {
+        if (!next || !BaseAIService.isProviderFailure(error)) {
+          throw error;
+        }
+
+        lastError = error;
+        this.logger.warn(`${Provider.displayName} failed for ${candidate}, falling back to ${next.model}`, error.message);
+        if (onFallback) {
+          onFallback({ from: candidate, to: next.model, provider: next.Provider.id, reason: error.message });
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  getService(id) {
+    return this.providers.get(id)?.service || null;
+  }
+
+  hasAvailableService() {
+    return Array.from(this.providers.values()).some(entry => entry.service);
+  }
+
+  /**
+   * Every registered provider with its configuration state and models
+   */
+  describe() {
+    return Array.from(this.providers.values()).map(({ Provider, service }) => ({
+      id: Provider.id,
+      name: Provider.displayName,
+      configured: !!service,
+      circuit: service ? service.circuitBreaker.getStatus() : null,
+      models: Provider.getModels(this.env),
+      envKeys: Provider.envKeys
+    }));
+  }
+
+  /**
+   * Reset usage tracking on every configured service
+   */
+  resetUsageTracking() {
+    this.providers.forEach(({ service }) => service && service.resetUsageTracking());
+  }
+
+  /**
+   * Usage summed across every configured service, so fallback generations are counted too
+   */
+  getUsageSummary() {
+    const totals = { totalInputTokens: 0, totalOutputTokens: 0, totalTokens: 0, totalCost: 0, requestCount: 0 };
+
+    this.providers.forEach(({ service }) => {
+      if (!service) return;
+      const summary = service.getUsageSummary();
+      Object.keys(totals).forEach(key => { totals[key] += summary[key]; });
+    });
+
+    return {
+      ...totals,
+      totalCost: Number(totals.totalCost.toFixed(4)),
+      averageTokensPerRequest: totals.requestCount > 0 ? Math.round(totals.totalTokens / totals.requestCount) : 0
+    };
+  }
+
+  dispose() {
+    this.providers.forEach(entry => {
+      if (entry.service) {
+        entry.service.dispose();
+      }
+    });
+  }
+}
+
+// Shared registry with the built-in providers
+const registry = new ProviderRegistry()
+  .register(OpenAIService)
+  .register(GeminiService)
+  .register(AnthropicService)
+  .register(AzureOpenAIService)
+  .register(OpenAICompatibleService);
+
+module.exports = { ProviderRegistry, registry };
@@ -0,0 +1,156 @@
+/**
+ * Response Cache
+ * Caches paid DataForSEO responses keyed on (endpoint, keyword, location, language)
+ * with a TTL per endpoint, in memory or in SQLite so entries survive a restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+/**
+ * In-process cache, lost on restart
+ */
+class MemoryCacheBackend {
+  constructor(maxEntries = SYSTEM_CONFIG.cache.maxMemoryEntries) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  get(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * SQLite cache shared by every process using the same file
+ */
+class SqliteCacheBackend {
+  constructor(databaseFile) {
+    // Loaded here so a missing native module only falls back to the memory backend
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(databaseFile), { recursive: true });
+    this.db = new Database(databaseFile);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS responses (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        cached_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_responses_expires_at ON responses (expires_at);
+    `);
+    this.db.prepare('DELETE FROM responses WHERE expires_at <= ?').run(Date.now());
+
+    this.getStatement = this.db.prepare('SELECT value, cached_at, expires_at FROM responses WHERE key = ? AND expires_at > ?');
+    this.setStatement = this.db.prepare(`
+      INSERT OR REPLACE INTO responses (key, value, cached_at, expires_at) VALUES (?, ?, ?, ?)
+    `);
+  }
+
+  get(key, now) {
+    const row = this.getStatement.get(key, now);
+    return row ? { value: JSON.parse(row.value), cachedAt: row.cached_at, expiresAt: row.expires_at } : null;
+  }
+
+  set(key, entry) {
+    this.setStatement.run(key, JSON.stringify(entry.value), entry.cachedAt, entry.expiresAt);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+class ResponseCache {
+  /**
+   * @param {object} backend – MemoryCacheBackend or SqliteCacheBackend
+   * @param {object} ttlMs   – TTL per endpoint, e.g. { searchVolume, serp }
+   */
+  constructor(backend, ttlMs = SYSTEM_CONFIG.cache.ttlMs) {
+    this.backend = backend;
+    this.ttlMs = ttlMs;
+    this.logger = logger.child('Cache');
+  }
+
+  static key(endpoint, keyword, location, language) {
+    return [endpoint, keyword.toLowerCase().trim(), location, language].join('|');
+  }
+
+  /**
+   * @returns {{ value, cachedAt }|null} the live entry, or null on a miss
+   */
+  get(endpoint, keyword, location, language) {
+    try {
+      const entry = this.backend.get(ResponseCache.key(endpoint, keyword, location, language), Date.now());
+      return entry ? { value: entry.value, cachedAt: new Date(entry.cachedAt).toISOString() } : null;
+    } catch (error) {
+      this.logger.warn(`Cache read failed for ${endpoint} "${keyword}"`, error.message);
+      return null;
+    }
+  }
+
+  set(endpoint, keyword, location, language, value) {
+    const ttl = this.ttlMs[endpoint];
+    if (!ttl) return;
+
+    const now = Date.now();
+    try {
+      this.backend.set(ResponseCache.key(endpoint, keyword, location, language), {
+        value,
+        cachedAt: now,
+        expiresAt: now + ttl
+      });
+    } catch (error) {
+      // A failed write only costs a future cache hit
+      this.logger.warn(`Cache write failed for ${endpoint} "${keyword}"`, error.message);
+    }
+  }
+}
+
+/**
+ * Build the configured cache, falling back to memory when SQLite cannot be opened
+ * @returns {ResponseCache|null} null when caching is turned off
+ */
+function createResponseCache(env = process.env) {
+  const backend = env.DATAFORSEO_CACHE || SYSTEM_CONFIG.cache.backend;
+
+  if (backend === 'off') {
+    return null;
+  }
+
+  if (backend === 'sqlite') {
+    try {
+      return new ResponseCache(new SqliteCacheBackend(path.join(__dirname, '..', SYSTEM_CONFIG.cache.databaseFile)));
+    } catch (error) {
+      logger.warn('SQLite cache unavailable, caching DataForSEO responses in memory', error.message);
+    }
+  }
+
+  return new ResponseCache(new MemoryCacheBackend());
+}
+
+module.exports = {
+  ResponseCache,
+  MemoryCacheBackend,
+  SqliteCacheBackend,
+  createResponseCache
+};
@@ -47,6 +47,34 @@ OPENAI_API_KEY=your_openai_api_key_here
 # Get your API key at https://makersuite.google.com/app/apikey
 GEMINI_API_KEY=your_gemini_api_key_here
 
+# Anthropic API Credentials (optional)
+# Get your API key at https://console.anthropic.com/
+ANTHROPIC_API_KEY=your_anthropic_api_key_here
+
+# Azure OpenAI (optional) - deployments are comma-separated, e.g. gpt-4o,gpt-4o-mini
+AZURE_OPENAI_API_KEY=your_azure_openai_api_key_here
+AZURE_OPENAI_ENDPOINT=your_azure_openai_endpoint_here
+AZURE_OPENAI_DEPLOYMENTS=
+
+# OpenAI-compatible local endpoint (optional), e.g. Ollama or vLLM
+# LOCAL_LLM_BASE_URL=http://localhost:11434/v1
+# LOCAL_LLM_MODELS=llama3.1:8b
+
+# Provider fallback (optional) - models tried in order when the requested provider fails
+# AI_FALLBACK_MODELS=gpt-4o,gemini-2.0-flash
+
+# Generation history (optional) - SQLite file path, or "off" to disable
+# GENERATIONS_DB=data/generations.db
+
+# DataForSEO response cache (optional) - sqlite (default), memory or off
+# DATAFORSEO_CACHE=sqlite
+
+# User agent for competitor page and robots.txt requests (optional)
+# CRAWLER_USER_AGENT=SeatPickContentBot/1.0 (+https://www.seatpick.com)
+
+# Own domains for rank tracking (optional) - comma-separated, overrides the default brand's domains (config/brands/)
+# OWN_DOMAINS=seatpick.com
+
 # Server Configuration
 PORT=3000
 NODE_ENV=development
@@ -63,7 +91,7 @@ NODE_ENV=development
     console.log('   - DATAFORSEO_LOGIN & PASSWORD: Get from https://dataforseo.com/');
     console.log('3. Save the file');
     console.log('4. Run: npm run dev\n');
-    console.log('Note: You need at least one AI service (OpenAI or Gemini) configured');
+    console.log('Note: You need at least one AI provider (OpenAI, Gemini, Anthropic, Azure OpenAI or a local endpoint) configured');
   } catch (error) {
     console.error('❌ Error creating .env file:', error.message);
   }
@@ -0,0 +1,200 @@
+/**
+ * Brand registry
+ * Loads the brands in config/brands/ (one JSON or YAML file per brand, named by its id): the name, domains,
+ * tone rules, banned phrases, example descriptions, word limits, internal-link targets and sitemap a page is written with
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { PROMPT_PROFILES, SYSTEM_CONFIG } = require('../config/constants');
+const Prompt = require('./prompt');
+
+const BRANDS_DIR = path.join(__dirname, '..', SYSTEM_CONFIG.brands.directory);
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Fields a brand file may leave out
+const DEFAULTS = {
+  businessModel: [],
+  tone: [],
+  pillars: [],
+  copyPrinciples: [],
+  persona: null,
+  howWeTalk: null,
+  toneShorthand: null,
+  grammar: [],
+  dosAndDonts: null,
+  bannedPhrases: [],
+  maxExclamations: 2,
+  examples: {},
+  internalLinks: [],
+  sitemap: null
+};
+
+/**
+ * @typedef {object} Brand
+ * @property {string} id – file name without the extension
+ * @property {string} name
+ * @property {string[]} domains – own domains for rank tracking and competitor filtering
+ * @property {{ min: number, max: number }} wordLimits
+ * @property {string[]} bannedPhrases
+ * @property {number} maxExclamations
+ * @property {object} examples – { [profile id]: example file under /prompts }
+ * @property {Array<{ anchor: string, url: string }>} internalLinks – pages offered as link targets on every description
+ * @property {string|null} sitemap – sitemap.xml the link index is loaded from by default
+ */
+
+let brands = null; // id -> Brand, loaded on first use
+
+function parseFile(fileName) {
+  const source = fs.readFileSync(path.join(BRANDS_DIR, fileName), 'utf8');
+  return path.extname(fileName) === '.json' ? JSON.parse(source) : yaml.load(source);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Problems with one brand's data
+ * @returns {string[]}
+ */
+function checkBrand(id, brand) {
+  const problems = [];
+  const problem = (message) => problems.push(`Brand "${id}": ${message}`);
+
+  if (!brand || typeof brand !== 'object' || Array.isArray(brand)) {
+    return [`Brand "${id}": the file must contain an object`];
+  }
+  if (typeof brand.name !== 'string' || brand.name.trim() === '') problem('name is required');
+  if (!isStringList(brand.domains) || brand.domains.length === 0) problem('domains must list at least one domain');
+
+  const { min, max } = brand.wordLimits || {};
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min <= 0 || min >= max) {
+    problem('wordLimits needs whole numbers min and max, with min below max');
+  }
+  if (brand.maxExclamations !== undefined && !(Number.isInteger(brand.maxExclamations) && brand.maxExclamations >= 0)) {
+    problem('maxExclamations must be a whole number');
+  }
+
+  ['businessModel', 'tone', 'copyPrinciples', 'grammar', 'bannedPhrases'].forEach(field => {
+    if (brand[field] !== undefined && !isStringList(brand[field])) problem(`${field} must be a list of strings`);
+  });
+  if (brand.pillars !== undefined &&
+      !(Array.isArray(brand.pillars) && brand.pillars.every(pillar => pillar?.title && pillar?.text))) {
+    problem('pillars must be a list of { title, text }');
+  }
+  if (brand.internalLinks !== undefined &&
+      !(Array.isArray(brand.internalLinks) && brand.internalLinks.every(link => link?.anchor && /^https?:\/\//.test(link?.url)))) {
+    problem('internalLinks must be a list of { anchor, url } with absolute http(s) URLs');
+  }
+  if (brand.sitemap !== undefined && !(typeof brand.sitemap === 'string' && /^https?:\/\//.test(brand.sitemap))) {
+    problem('sitemap must be an absolute http(s) URL');
+  }
+
+  Object.entries(brand.examples || {}).forEach(([profileId, fileName]) => {
+    if (!PROMPT_PROFILES[profileId]) problem(`examples names unknown profile "${profileId}"`);
+    else if (!Prompt.exists(fileName)) problem(`examples for "${profileId}" names missing template ${fileName}`);
+  });
+
+  return problems;
+}
+
+/**
+ * Read every brand file
+ * @throws {Error} listing every problem found
+ */
+function loadBrands() {
+  const files = fs.existsSync(BRANDS_DIR)
+    ? fs.readdirSync(BRANDS_DIR).filter(fileName => EXTENSIONS.includes(path.extname(fileName))).sort()
+    : [];
+  const loaded = {};
+  const problems = [];
+
+  files.forEach(fileName => {
+    const id = path.basename(fileName, path.extname(fileName));
+    if (loaded[id]) {
+      problems.push(`Brand "${id}" is defined by more than one file`);
+      return;
+    }
+
+    let data;
+    try {
+      data = parseFile(fileName);
+    } catch (error) {
+      problems.push(`${fileName}: ${error.message.split('\n')[0]}`);
+      return;
+    }
+
+    const brandProblems = checkBrand(id, data);
+    if (brandProblems.length > 0) {
+      problems.push(...brandProblems);
+      return;
+    }
+    loaded[id] = { ...DEFAULTS, ...data, id };
+  });
+
+  if (!loaded[SYSTEM_CONFIG.brands.default] && problems.length === 0) {
+    problems.push(`Default brand "${SYSTEM_CONFIG.brands.default}" has no file in ${SYSTEM_CONFIG.brands.directory}`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid brand configuration:\n  ${problems.join('\n  ')}`);
+  }
+  return loaded;
+}
+
+function getBrands() {
+  if (!brands) brands = loadBrands();
+  return brands;
+}
+
+/**
+ * Brand by id, or the default brand
+ * @returns {Brand}
+ */
+function getBrand(id) {
+  const registry = getBrands();
+  return registry[id] || registry[SYSTEM_CONFIG.brands.default];
+}
+
+/**
+ * Brands for the UI and the health check
+ * @returns {Array<{ id, name, domains }>}
+ */
+function listBrands() {
+  return Object.values(getBrands()).map(({ id, name, domains }) => ({ id, name, domains }));
+}
+
+/**
+ * Check a requested brand before any work starts
+ * @returns {{ error?: { status, error, message } }}
+ */
+function validateBrand(requested) {
+  if (requested === undefined || requested === null || getBrands()[requested]) {
+    return {};
+  }
+  return {
+    error: {
+      status: 400,
+      error: 'Unknown brand',
+      message: `brand must be one of: ${Object.keys(getBrands()).join(', ')}`
+    }
+  };
+}
+
+/**
+ * Load and check every brand file at startup
+ * @returns {string[]} the brand ids
+ * @throws {Error} listing every problem found
+ */
+function validateAll() {
+  brands = loadBrands();
+  return Object.keys(brands);
+}
+
+module.exports = {
+  getBrand,
+  listBrands,
+  validateBrand,
+  validateAll
+};
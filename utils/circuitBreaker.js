@@ -0,0 +1,81 @@
+/**
+ * Circuit breaker for upstream APIs
+ * Stops sending traffic to a provider after repeated failures and lets a single
+ * probe request through once the cooldown has passed
+ */
+
+const STATE = {
+  closed: 'closed',       // Requests flow normally
+  open: 'open',           // Requests are rejected until the cooldown passes
+  halfOpen: 'half_open'   // One probe request is in flight
+};
+
+class CircuitBreaker {
+  /**
+   * @param {object} options – { name, failureThreshold, cooldownMs }
+   */
+  constructor({ name = 'service', failureThreshold = 3, cooldownMs = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = STATE.closed;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a request would currently be let through (does not claim the probe)
+   */
+  isAvailable() {
+    if (this.state === STATE.closed) return true;
+    if (this.state === STATE.halfOpen) return false;
+    return Date.now() - this.openedAt >= this.cooldownMs;
+  }
+
+  /**
+   * Claim permission for a request, throwing when the circuit is open
+   */
+  acquire() {
+    if (this.state === STATE.closed) return;
+
+    if (this.state === STATE.open && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = STATE.halfOpen;
+      return;
+    }
+
+    throw this.createOpenError();
+  }
+
+  createOpenError() {
+    const error = new Error(`${this.name} is temporarily unavailable after repeated failures`);
+    error.circuitOpen = true;
+    error.retryAt = this.openedAt ? new Date(this.openedAt + this.cooldownMs).toISOString() : null;
+    return error;
+  }
+
+  recordSuccess() {
+    this.state = STATE.closed;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === STATE.halfOpen || this.failures >= this.failureThreshold) {
+      this.state = STATE.open;
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.state === STATE.open
+        ? new Date(this.openedAt + this.cooldownMs).toISOString()
+        : null
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, CIRCUIT_STATE: STATE };
@@ -0,0 +1,199 @@
+/**
+ * Main-content extraction in the style of Mozilla Readability
+ * Strips boilerplate (menus, cookie banners, footers), scores the remaining containers by the
+ * paragraph text they hold and keeps the best one with its heading structure
+ */
+
+const cheerio = require('cheerio');
+
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="dialog"]', '[role="complementary"]',
+  '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// class/id hints, as in Readability's unlikelyCandidates / positive / negative patterns
+const UNLIKELY = /cookie|consent|gdpr|banner|popup|modal|newsletter|subscribe|sidebar|menu|navbar|breadcrumb|footer|masthead|share|social|comment|related|promo|advert|sponsor|widget|skip-link/i;
+const LIKELY = /article|content|main|post|entry|story|body|text|blog/i;
+
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, td';
+const SCORED_SELECTOR = 'p, li, blockquote, pre, td';
+const MIN_PARAGRAPH_CHARS = 25;
+
+/**
+ * @typedef {object} ExtractedContent
+ * @property {string} title
+ * @property {string} metaDescription
+ * @property {string|null} canonical – absolute canonical URL from <link rel="canonical">
+ * @property {Array<{ level: number, text: string }>} outline – H1-H3 headings of the main content
+ * @property {string} content – main content as text, headings marked with "#"
+ * @property {number} wordCount
+ */
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function hints(element) {
+  return `${element.attribs?.class || ''} ${element.attribs?.id || ''}`;
+}
+
+function classWeight(element) {
+  const value = hints(element);
+  let weight = 0;
+  if (LIKELY.test(value)) weight += 25;
+  if (UNLIKELY.test(value)) weight -= 25;
+  return weight;
+}
+
+function tagWeight(element) {
+  switch (element.tagName) {
+    case 'article':
+    case 'main':
+      return 10;
+    case 'section':
+    case 'div':
+      return 5;
+    default:
+      return 0;
+  }
+}
+
+function linkDensity($, element) {
+  const textLength = normalizeText($(element).text()).length;
+  if (textLength === 0) return 1;
+  const linkLength = $(element).find('a').toArray()
+    .reduce((total, link) => total + normalizeText($(link).text()).length, 0);
+  return linkLength / textLength;
+}
+
+/**
+ * Remove markup that is never main content, and containers whose class or id marks them as boilerplate
+ */
+function removeBoilerplate($) {
+  $(BOILERPLATE_SELECTORS).remove();
+  $('*').toArray().forEach(element => {
+    if (['html', 'body', 'article', 'main'].includes(element.tagName)) return;
+    const value = hints(element);
+    if (UNLIKELY.test(value) && !LIKELY.test(value)) {
+      $(element).remove();
+    }
+  });
+}
+
+/**
+ * Container holding most of the paragraph text, scored like Readability: each paragraph adds
+ * points for its length and commas to its parent (and half to its grandparent), then every
+ * candidate's score is reduced by its link density
+ */
+function findMainElement($) {
+  const scores = new Map();
+  const addScore = (element, points) => {
+    if (!element || element.type !== 'tag' || element.tagName === 'html') return;
+    if (!scores.has(element)) {
+      scores.set(element, classWeight(element) + tagWeight(element));
+    }
+    scores.set(element, scores.get(element) + points);
+  };
+
+  $(SCORED_SELECTOR).toArray().forEach(paragraph => {
+    const text = normalizeText($(paragraph).text());
+    if (text.length < MIN_PARAGRAPH_CHARS) return;
+
+    const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parent, points);
+    addScore(paragraph.parent?.parent, points / 2);
+  });
+
+  let best = null;
+  let bestScore = -Infinity;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - linkDensity($, element));
+    if (adjusted > bestScore) {
+      best = element;
+      bestScore = adjusted;
+    }
+  });
+
+  return best || $('body').get(0) || $.root().get(0);
+}
+
+/**
+ * Text of the main element, one block per line, headings prefixed with "#" by level
+ */
+function serialize($, main) {
+  const lines = [];
+
+  $(main).find(BLOCK_SELECTOR).toArray().forEach(block => {
+    // Containers are skipped when their nested blocks are emitted on their own
+    if ($(block).find(BLOCK_SELECTOR).length > 0) return;
+
+    const text = normalizeText($(block).text());
+    if (!text) return;
+
+    const heading = /^h([1-6])$/.exec(block.tagName);
+    const line = heading
+      ? `${'#'.repeat(Number(heading[1]))} ${text}`
+      : block.tagName === 'li' ? `- ${text}` : text;
+
+    if (lines[lines.length - 1] !== line) lines.push(line);
+  });
+
+  // Fall back to the raw text for pages without block markup
+  return lines.length > 0 ? lines.join('\n') : normalizeText($(main).text());
+}
+
+function outlineOf($, main, pageH1) {
+  const outline = $(main).find('h1, h2, h3').toArray()
+    .map(heading => ({ level: Number(heading.tagName[1]), text: normalizeText($(heading).text()) }))
+    .filter(heading => heading.text);
+
+  // The page H1 often sits above the article container, sometimes inside the removed <header>
+  if (!outline.some(heading => heading.level === 1) && pageH1) {
+    outline.unshift({ level: 1, text: pageH1 });
+  }
+
+  return outline;
+}
+
+function resolveUrl(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Extract the main content of an HTML page
+ * @param {string} html
+ * @param {string} baseUrl – URL the page was fetched from, used to resolve the canonical link
+ * @returns {ExtractedContent}
+ */
+function extractContent(html, baseUrl) {
+  const $ = cheerio.load(html);
+
+  const title = normalizeText($('title').first().text());
+  const metaDescription = normalizeText($('meta[name="description"]').attr('content'));
+  const canonicalHref = $('link[rel~="canonical"]').attr('href');
+  const canonical = canonicalHref ? resolveUrl(canonicalHref.trim(), baseUrl) : null;
+  const pageH1 = normalizeText($('h1').first().text());
+
+  removeBoilerplate($);
+  const main = findMainElement($);
+  const content = serialize($, main);
+
+  return {
+    title,
+    metaDescription,
+    canonical,
+    outline: outlineOf($, main, pageH1),
+    content,
+    wordCount: content.replace(/^#+\s|^- /gm, '').split(/\s+/).filter(Boolean).length
+  };
+}
+
+module.exports = {
+  extractContent
+};
@@ -0,0 +1,155 @@
+/**
+ * Content-gap analysis
+ * Deterministic comparison of the top competitor pages: their H2/H3 outlines, average length,
+ * the topics most of them cover, and which of those topics our copy leaves out
+ */
+
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { measureCoverage } = require('./keywords');
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'before', 'best', 'between',
+  'but', 'by', 'can', 'do', 'does', 'for', 'from', 'get', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it',
+  'its', 'more', 'most', 'much', 'my', 'new', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over', 'so', 'than',
+  'that', 'the', 'their', 'them', 'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us', 'was', 'we',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your', 'buy', 'ticket', 'tickets',
+  'cheap', 'guide', 'faq', 'faqs', 'information', 'info', 'page', 'read', 'click', 'here', 'see', 'find'
+]);
+
+// Runs of capitalized words, e.g. "Emirates Stadium" or "North London Derby"
+const ENTITY_PATTERN = /\b\p{Lu}[\p{L}'’-]+(?:\s+(?:of|the|de|&|\p{Lu}[\p{L}'’-]+)){0,3}/gu;
+
+/**
+ * @typedef {object} CompetitorOutline
+ * @property {string} url
+ * @property {string} domain
+ * @property {number} wordCount
+ * @property {Array<{ level: number, text: string }>} outline – H2 and H3 headings
+ *
+ * @typedef {object} GapTopic
+ * @property {string} topic
+ * @property {'heading'|'entity'} source – found in competitor headings, or as a named entity in their copy
+ * @property {number} coveredBy – how many competitors cover it
+ *
+ * @typedef {object} GapReport
+ * @property {CompetitorOutline[]} competitors
+ * @property {number|null} averageWordCount
+ * @property {GapTopic[]} commonTopics
+ */
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}'’]+/gu) || []).map(word => word.replace(/['’]s$/, ''));
+}
+
+function isContentWord(word) {
+  return word.length >= 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word);
+}
+
+/**
+ * Unigrams and bigrams of the content words in a heading
+ */
+function headingTopics(heading) {
+  const words = tokenize(heading).filter(isContentWord);
+  const topics = new Set(words);
+  for (let i = 0; i < words.length - 1; i++) {
+    topics.add(`${words[i]} ${words[i + 1]}`);
+  }
+  return topics;
+}
+
+/**
+ * Named entities in running text, skipping the capitalized first word of each sentence
+ * (heading lines are left to headingTopics)
+ */
+function entityTopics(text) {
+  const topics = new Set();
+  const body = (text || '').split('\n').filter(line => !line.startsWith('#')).map(line => line.replace(/^- /, '')).join('\n');
+  body.split(/(?<=[.!?])\s+|\n/).forEach(sentence => {
+    for (const match of sentence.matchAll(ENTITY_PATTERN)) {
+      let words = match[0].split(/\s+/);
+      if (match.index === sentence.search(/\S/)) {
+        words = words.slice(1);
+      }
+      while (words.length > 0 && /^(of|the|de|&)$/i.test(words[words.length - 1])) words.pop();
+
+      const topic = tokenize(words.join(' ')).join(' ');
+      if (topic && tokenize(topic).some(isContentWord)) {
+        topics.add(topic);
+      }
+    }
+  });
+  return topics;
+}
+
+/**
+ * Build the gap report from the analyzed competitor pages
+ * @param {string} keyword – page keyword; topics made only of its words are left out
+ * @param {Array<{ url, domain, wordCount, outline, content }>} pages – see DataForSEOService.getCompetitorContent
+ * @returns {GapReport}
+ */
+function buildGapReport(keyword, pages) {
+  const { minShare, maxTopics } = SYSTEM_CONFIG.contentGap;
+  const keywordWords = new Set(tokenize(keyword));
+  const stats = new Map(); // topic -> { source, coveredBy }
+
+  pages.forEach(page => {
+    const fromHeadings = new Set();
+    (page.outline || []).filter(heading => heading.level > 1).forEach(heading => {
+      headingTopics(heading.text).forEach(topic => fromHeadings.add(topic));
+    });
+    const fromEntities = entityTopics(page.content);
+
+    new Set([...fromHeadings, ...fromEntities]).forEach(topic => {
+      if (tokenize(topic).every(word => keywordWords.has(word) || !isContentWord(word))) return;
+      const entry = stats.get(topic) || { source: 'entity', coveredBy: 0 };
+      if (fromHeadings.has(topic)) entry.source = 'heading';
+      entry.coveredBy += 1;
+      stats.set(topic, entry);
+    });
+  });
+
+  const threshold = Math.max(pages.length > 1 ? 2 : 1, Math.ceil(pages.length * minShare));
+  const common = Array.from(stats.entries())
+    .filter(([, entry]) => entry.coveredBy >= threshold)
+    .map(([topic, entry]) => ({ topic, ...entry }));
+
+  // A single word is dropped when a phrase containing it is covered by as many competitors
+  const commonTopics = common
+    .filter(item => !common.some(other => other !== item &&
+      other.coveredBy >= item.coveredBy &&
+      other.topic.split(' ').length > item.topic.split(' ').length &&
+      other.topic.split(' ').includes(item.topic)))
+    .sort((a, b) => b.coveredBy - a.coveredBy ||
+      (a.source === b.source ? 0 : a.source === 'heading' ? -1 : 1) ||
+      b.topic.split(' ').length - a.topic.split(' ').length ||
+      a.topic.localeCompare(b.topic))
+    .slice(0, maxTopics);
+
+  const wordCounts = pages.map(page => page.wordCount).filter(count => Number.isFinite(count) && count > 0);
+
+  return {
+    competitors: pages.map(page => ({
+      url: page.url,
+      domain: page.domain,
+      wordCount: page.wordCount ?? null,
+      outline: (page.outline || []).filter(heading => heading.level === 2 || heading.level === 3)
+    })),
+    averageWordCount: wordCounts.length > 0
+      ? Math.round(wordCounts.reduce((total, count) => total + count, 0) / wordCounts.length)
+      : null,
+    commonTopics
+  };
+}
+
+/**
+ * Which common competitor topics the copy covers and which it misses
+ * @returns {{ covered: string[], missing: string[], ratio: number }}
+ */
+function findMissingTopics(report, text) {
+  return measureCoverage(text, report.commonTopics.map(item => item.topic));
+}
+
+module.exports = {
+  buildGapReport,
+  findMissingTopics
+};
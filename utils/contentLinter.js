@@ -0,0 +1,218 @@
+/**
+ * Content linter
+ * Checks generated descriptions against the rules in prompts/system.txt that can be verified in code,
+ * with the brand name, banned phrases and exclamation limit taken from the page's brand and the spelling
+ * and currency rules from its market
+ */
+
+const { getBrand } = require('./brands');
+const { getMarket } = require('./locales');
+
+const MONTHS = 'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec';
+
+const PRICE_PATTERNS = [
+  /[£$€]\s?\d[\d,.]*/g,
+  /\b\d[\d,.]*\s?(?:pounds|dollars|euros|usd|gbp|eur)\b/gi
+];
+
+const DATE_PATTERNS = [
+  new RegExp(`\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:${MONTHS})\\b\\.?(?:\\s+\\d{4})?`, 'gi'),
+  new RegExp(`\\b(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?\\b(?:,?\\s+\\d{4})?`, 'gi'),
+  /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}\b/g,
+  /\b(?:19|20)\d{2}\s?[/-]\s?\d{2}\b/g, // Seasons such as 2025/26
+  /\b(?:this|next|upcoming|the coming) (?:season|year|month|week|weekend)\b/gi
+];
+
+/**
+ * Split Markdown into blocks (headings and paragraphs)
+ */
+function toBlocks(text) {
+  return text
+    .split(/\n\s*\n|\n(?=#)|(?<=^#.*)\n/m)
+    .map(block => block.trim())
+    .filter(Boolean);
+}
+
+function isHeading(block) {
+  return /^#{1,6}\s/.test(block);
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word occurrences of any of the terms, as written in the text; symbols such as "$" match anywhere
+ */
+function findTerms(text, terms) {
+  return unique(terms.flatMap(term => {
+    const pattern = /^[\p{L}\p{N}'’]+$/u.test(term)
+      ? new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'giu')
+      : new RegExp(escapeRegExp(term), 'g');
+    return text.match(pattern) || [];
+  }));
+}
+
+/**
+ * Keyword variants to look for, longest first ("Arsenal tickets" also matches "Arsenal")
+ */
+function keywordVariants(keyword) {
+  const core = keyword.replace(/\btickets?\b/gi, '').replace(/\s+/g, ' ').trim();
+  return unique([keyword.trim(), core].filter(Boolean));
+}
+
+const RULES = [
+  {
+    id: 'bold_keyword',
+    description: 'The first mention of the main keyword is bold',
+    check(text, { keyword }) {
+      const lower = text.toLowerCase();
+      const positions = keywordVariants(keyword)
+        .map(variant => lower.indexOf(variant.toLowerCase()))
+        .filter(index => index !== -1);
+
+      if (positions.length === 0) {
+        return [`"${keyword}" is never mentioned`];
+      }
+
+      const first = Math.min(...positions);
+      const markersBefore = (text.slice(0, first).match(/\*\*/g) || []).length;
+      return markersBefore % 2 === 1 ? [] : [`The first mention of "${keyword}" is not bold`];
+    }
+  },
+  {
+    id: 'evergreen',
+    description: 'No dates, prices, season references or current/future years',
+    check(text) {
+      const currentYear = new Date().getFullYear();
+      const matches = [...PRICE_PATTERNS, ...DATE_PATTERNS].flatMap(pattern => text.match(pattern) || []);
+      const years = (text.match(/\b(?:19|20)\d{2}\b/g) || [])
+        .filter(year => Number(year) >= currentYear && !matches.some(match => match.includes(year)));
+
+      return unique([...matches, ...years].map(match => match.trim()))
+        .map(match => `Time-sensitive detail: "${match}"`);
+    }
+  },
+  {
+    id: 'promotional_opening',
+    description: 'Opens with two promotional paragraphs that mention the brand',
+    check(text, { brand }) {
+      const blocks = toBlocks(text);
+      const start = blocks.length > 0 && isHeading(blocks[0]) ? 1 : 0;
+      const opening = [];
+      for (const block of blocks.slice(start)) {
+        if (isHeading(block)) break;
+        opening.push(block);
+      }
+
+      const violations = [];
+      if (opening.length < 2) {
+        violations.push(`The opening has ${opening.length} paragraph(s) before the next heading, expected two`);
+      }
+      if (!opening.slice(0, 2).some(paragraph => paragraph.toLowerCase().includes(brand.name.toLowerCase()))) {
+        violations.push(`The opening paragraphs do not mention ${brand.name}`);
+      }
+      return violations;
+    }
+  },
+  {
+    id: 'heading_structure',
+    description: 'Uses ## headings with ### subheadings and no other heading levels',
+    check(text) {
+      const headings = text.split('\n').filter(line => /^#{1,6}\s/.test(line.trim())).map(line => line.trim());
+      const h2 = headings.filter(line => /^##\s/.test(line));
+      const h3 = headings.filter(line => /^###\s/.test(line));
+      const other = headings.filter(line => !/^#{2,3}\s/.test(line));
+      const violations = [];
+
+      if (h2.length < 2) violations.push(`Found ${h2.length} "##" heading(s), expected at least two`);
+      if (h3.length === 0) violations.push('No "###" subheadings');
+      if (other.length > 0) violations.push(`Use only "##" and "###" headings, found: ${other.join(' | ')}`);
+      if (headings.length > 0 && /^###\s/.test(headings[0])) violations.push('A "###" subheading appears before the first "##" heading');
+
+      return violations;
+    }
+  },
+  {
+    id: 'no_cliches',
+    description: 'No banned slogans or generic marketing clichés',
+    check(text, { brand }) {
+      const normalized = text.toLowerCase().replace(/\*\*/g, '');
+      const found = brand.bannedPhrases.filter(phrase => normalized.includes(phrase.toLowerCase()));
+      // Report "built by fans, for fans" once rather than also as "by fans, for fans"
+      return found
+        .filter(phrase => !found.some(other => other !== phrase && other.toLowerCase().includes(phrase.toLowerCase())))
+        .map(phrase => `Banned phrase: "${phrase}"`);
+    }
+  },
+  {
+    id: 'market_spelling',
+    description: "Uses the market's spelling variant",
+    check(text, { market }) {
+      return findTerms(text, market.avoidedSpellings)
+        .map(word => `Spelling "${word}" is not ${market.spelling} English`);
+    }
+  },
+  {
+    id: 'market_currency',
+    description: "Refers to no currency but the market's own",
+    check(text, { market }) {
+      return findTerms(text, market.foreignCurrency)
+        .map(term => `"${term}" is not the currency of ${market.country} (${market.currency.code})`);
+    }
+  },
+  {
+    id: 'exclamations',
+    description: 'No more exclamation points than the brand allows',
+    check(text, { brand }) {
+      const count = (text.match(/!/g) || []).length;
+      return count > brand.maxExclamations
+        ? [`${count} exclamation points, the limit is ${brand.maxExclamations}`]
+        : [];
+    }
+  }
+];
+
+/**
+ * Lint a description against every rule
+ * @param {object} context – { keyword, brand, market } the page name the description was written for, its brand
+ *   (a brand object; the default brand when left out) and its market rules (from getMarket; none when left out)
+ * @returns {{ passed: boolean, score: number, rules: Array<{ id, description, passed, violations }> }}
+ */
+function lintDescription(text, context) {
+  const rules = RULES.map(rule => {
+    const violations = rule.check(text || '', {
+      ...context,
+      brand: context.brand || getBrand(),
+      market: context.market || getMarket()
+    });
+    return { id: rule.id, description: rule.description, passed: violations.length === 0, violations };
+  });
+  const passedCount = rules.filter(rule => rule.passed).length;
+
+  return {
+    passed: passedCount === rules.length,
+    score: Number((passedCount / rules.length).toFixed(2)),
+    rules
+  };
+}
+
+/**
+ * Retry feedback listing the violations of every failed rule
+ */
+function describeViolations(lint) {
+  return lint.rules
+    .filter(rule => !rule.passed)
+    .flatMap(rule => rule.violations.map(violation => `- ${rule.description}: ${violation}`))
+    .join('\n');
+}
+
+module.exports = {
+  LINT_RULES: RULES.map(({ id, description }) => ({ id, description })),
+  lintDescription,
+  describeViolations
+};
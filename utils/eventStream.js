@@ -0,0 +1,100 @@
+/**
+ * Server-Sent Events helper
+ * Wraps an HTTP response so generation progress can be streamed to the client,
+ * and parses event streams returned by upstream AI APIs
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+class EventStream {
+  constructor(res) {
+    this.res = res;
+    this.closed = false;
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+    if (res.flushHeaders) {
+      res.flushHeaders();
+    }
+
+    // Comment lines keep idle connections open during slow stages (e.g. competitor analysis)
+    this.heartbeat = setInterval(() => this.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    res.on('close', () => {
+      this.closed = true;
+      clearInterval(this.heartbeat);
+    });
+  }
+
+  /**
+   * Check whether the client asked for an event stream
+   */
+  static isRequested(req) {
+    return (req.headers.accept || '').includes('text/event-stream');
+  }
+
+  /**
+   * Parse an incoming event stream (e.g. an axios response stream) into { event, data } messages
+   * Payloads are JSON-decoded; non-JSON payloads such as "[DONE]" are returned as strings
+   */
+  static async *parse(readable) {
+    let buffer = '';
+
+    readable.setEncoding('utf8');
+    for await (const chunk of readable) {
+      buffer += chunk.replace(/\r\n/g, '\n');
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+
+      for (const message of messages) {
+        let event = 'message';
+        const dataLines = [];
+
+        message.split('\n').forEach(line => {
+          if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trim());
+          }
+        });
+
+        if (dataLines.length === 0) continue;
+
+        const payload = dataLines.join('\n');
+        let data;
+        try {
+          data = JSON.parse(payload);
+        } catch (_) {
+          data = payload;
+        }
+        yield { event, data };
+      }
+    }
+  }
+
+  /**
+   * Send a named event with a JSON payload
+   */
+  send(event, data = {}) {
+    this.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  write(chunk) {
+    if (!this.closed) {
+      this.res.write(chunk);
+    }
+  }
+
+  end() {
+    clearInterval(this.heartbeat);
+    if (!this.closed) {
+      this.closed = true;
+      this.res.end();
+    }
+  }
+}
+
+module.exports = EventStream;
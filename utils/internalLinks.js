@@ -0,0 +1,213 @@
+/**
+ * Internal links
+ * Parses sitemaps and URL/anchor CSVs into link index entries, picks the indexed pages most relevant
+ * to a description, and checks the Markdown links in generated copy against the index
+ */
+
+const cheerio = require('cheerio');
+const { SYSTEM_CONFIG } = require('../config/constants');
+
+const POLICIES = ['flag', 'strip'];
+
+const LINK_STATUS = {
+  valid: 'valid',
+  notInIndex: 'not_in_index', // On one of the brand's domains, but no such page is indexed
+  external: 'external' // Not on one of the brand's domains
+};
+
+// Words that say nothing about which page a link is for
+const STOPWORDS = new Set(['a', 'an', 'and', 'at', 'de', 'for', 'in', 'of', 'on', 'the', 'to', 'ticket', 'tickets', 'vs', 'v', 'www', 'html', 'htm', 'php']);
+
+const MARKDOWN_LINK = /\[([^\]\n]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+
+/**
+ * Comparable form of a URL: host without "www." and path without a trailing slash; query and hash dropped
+ * @returns {string|null} null for anything that is not an absolute http(s) URL
+ */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(String(url).trim());
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = decodeURI(parsed.pathname).replace(/\/+$/, '').toLowerCase();
+    return `${host}${pathname}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => !STOPWORDS.has(word));
+}
+
+/**
+ * Readable anchor from a URL's last path segment, e.g. /nfl/buffalo-bills-tickets → "buffalo bills tickets"
+ */
+function anchorFromUrl(url) {
+  try {
+    const segments = decodeURI(new URL(url).pathname).split('/').filter(Boolean);
+    const last = segments.length > 0 ? segments[segments.length - 1] : '';
+    return last.replace(/\.[a-z]{2,5}$/i, '').replace(/[-_+]+/g, ' ').trim() || new URL(url).hostname;
+  } catch (_) {
+    return String(url);
+  }
+}
+
+/**
+ * Page URLs and nested sitemaps listed in a sitemap or sitemap index
+ * @returns {{ urls: string[], sitemaps: string[] }}
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locs = (selector) => $(selector).map((i, el) => $(el).text().trim()).get().filter(Boolean);
+  return {
+    urls: locs('urlset > url > loc'),
+    sitemaps: locs('sitemapindex > sitemap > loc')
+  };
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * URL/anchor pairs from CSV text: one "url,anchor" row per page, with an optional header row;
+ * a row without an anchor gets one from its URL
+ * @returns {{ entries: Array<{ url, anchor }>, skipped: number }} skipped counts rows without a valid URL
+ */
+function parseLinkCsv(text) {
+  const entries = [];
+  let skipped = 0;
+
+  String(text || '').split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    const [url, anchor] = parseCsvLine(line);
+    if (index === 0 && /^url$/i.test(url)) return;
+    if (!normalizeUrl(url)) {
+      skipped++;
+      return;
+    }
+    entries.push({ url, anchor: anchor || anchorFromUrl(url) });
+  });
+
+  return { entries, skipped };
+}
+
+/**
+ * Indexed pages most relevant to a description, by the words they share with the page name
+ * (and, weighted lower, its secondary keywords); the page's own URL is left out
+ * @param {Array<{ url, anchor }>} entries
+ * @returns {Array<{ url, anchor }>}
+ */
+function rankLinks(entries, pageName, keywords = [], limit = SYSTEM_CONFIG.internalLinks.maxSuggestions) {
+  const pageWords = new Set(tokenize(pageName));
+  const keywordWords = new Set(keywords.flatMap(tokenize).filter(word => !pageWords.has(word)));
+  if (pageWords.size === 0 && keywordWords.size === 0) return [];
+
+  return entries
+    .map(entry => {
+      const words = new Set([...tokenize(entry.anchor), ...tokenize(anchorFromUrl(entry.url))]);
+      const isSelf = words.size === pageWords.size && [...pageWords].every(word => words.has(word));
+      const score = [...words].reduce((total, word) => total + (pageWords.has(word) ? 2 : keywordWords.has(word) ? 1 : 0), 0);
+      return { entry, score: isSelf ? 0 : score, length: words.size };
+    })
+    .filter(item => item.score > 0)
+    // Ties go to the broader page (fewer words), e.g. a team page over one of its fixtures
+    .sort((a, b) => b.score - a.score || a.length - b.length || a.entry.url.localeCompare(b.entry.url))
+    .slice(0, limit)
+    .map(({ entry }) => ({ url: entry.url, anchor: entry.anchor }));
+}
+
+/**
+ * Markdown links in the copy
+ * @returns {Array<{ anchor, url, markdown }>}
+ */
+function findLinks(markdown) {
+  return [...String(markdown || '').matchAll(MARKDOWN_LINK)].map(match => ({
+    anchor: match[1],
+    url: match[2],
+    markdown: match[0]
+  }));
+}
+
+/**
+ * Check every link in the copy: links to one of the brand's domains must point at a known page
+ * @param {object} options – { ownDomains: string[], isKnown(normalizedUrl) → boolean }
+ * @returns {Array<{ anchor, url, status }>} status is one of LINK_STATUS
+ */
+function checkLinks(markdown, { ownDomains, isKnown }) {
+  return findLinks(markdown).map(({ anchor, url }) => {
+    const normalized = normalizeUrl(url);
+    const host = normalized ? normalized.split('/')[0] : null;
+    const own = host && ownDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+    let status = LINK_STATUS.valid;
+    if (!own) status = LINK_STATUS.external;
+    else if (!isKnown(normalized)) status = LINK_STATUS.notInIndex;
+    return { anchor, url, status };
+  });
+}
+
+/**
+ * Replace the given links with their anchor text
+ * @param {string[]} urls – link targets to remove, as written in the copy
+ */
+function stripLinks(markdown, urls) {
+  const targets = new Set(urls);
+  return String(markdown || '').replace(MARKDOWN_LINK, (link, anchor, url) => (targets.has(url) ? anchor : link));
+}
+
+/**
+ * Check a requested link policy before any work starts
+ * @returns {{ error?: { status, error, message } }}
+ */
+function validateLinkPolicy(policy) {
+  if (policy === undefined || policy === null || POLICIES.includes(policy)) {
+    return {};
+  }
+  return {
+    error: {
+      status: 400,
+      error: 'Invalid link policy',
+      message: `linkPolicy must be one of: ${POLICIES.join(', ')}`
+    }
+  };
+}
+
+module.exports = {
+  LINK_STATUS,
+  normalizeUrl,
+  anchorFromUrl,
+  parseSitemap,
+  parseLinkCsv,
+  rankLinks,
+  findLinks,
+  checkLinks,
+  stripLinks,
+  validateLinkPolicy
+};
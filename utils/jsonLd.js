@@ -0,0 +1,195 @@
+/**
+ * schema.org JSON-LD generation
+ * Builds FAQPage markup from the FAQ and an event/organization stub for the page entity,
+ * and validates every node against the required properties below before it is returned
+ */
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+// Properties each type must carry (schema.org plus Google rich result requirements)
+const REQUIRED_PROPERTIES = {
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text'],
+  SportsEvent: ['name', 'startDate', 'location'],
+  MusicEvent: ['name', 'startDate', 'location'],
+  Organization: ['name'],
+  SportsTeam: ['name'],
+  MusicGroup: ['name']
+};
+
+// Listing-specific properties an event stub leaves for the CMS to fill in per event
+const STUB_PROPERTIES = {
+  SportsEvent: ['startDate', 'location'],
+  MusicEvent: ['startDate', 'location']
+};
+
+const SPORTS_PATTERN = /\b(fc|afc|united|city|rovers|football|soccer|rugby|cricket|tennis|golf|boxing|ufc|darts|snooker|nba|nfl|nhl|mlb|f1|formula 1|grand prix|motogp|premier league|champions league|match(es)?|fixtures?|derby|vs?\.?)\b/i;
+// No theatre words ("musical", "opera"): a show is not a MusicEvent, so theatre pages get no event stub
+const MUSIC_PATTERN = /\b(tour|concerts?|gigs?|live|band|festival|orchestra|symphony|album|singer|rapper|dj|setlist)\b/i;
+
+/**
+ * Guess which schema.org type describes the page, preferring signals in the page name
+ */
+function inferEntityType(pageName, competitorInsights = null) {
+  for (const text of [pageName, competitorInsights || '']) {
+    const sports = SPORTS_PATTERN.test(text);
+    const music = MUSIC_PATTERN.test(text);
+    if (sports && !music) return 'SportsEvent';
+    if (music && !sports) return 'MusicEvent';
+  }
+  return 'Organization';
+}
+
+/**
+ * "Arsenal tickets" -> "Arsenal"
+ */
+function entityNameFromPage(pageName) {
+  return pageName.replace(/\btickets?\b/gi, '').replace(/\s+/g, ' ').trim() || pageName.trim();
+}
+
+/**
+ * First paragraph of Markdown copy as plain text, cut to a sentence boundary
+ */
+function summarize(markdown, maxChars = 300) {
+  const paragraph = markdown
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .find(block => block && !block.startsWith('#')) || '';
+  const plain = paragraph.replace(/\*\*|__|[*_`]/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1').replace(/\s+/g, ' ');
+
+  if (plain.length <= maxChars) return plain;
+  const cut = plain.slice(0, maxChars);
+  const sentenceEnd = cut.lastIndexOf('. ');
+  return sentenceEnd > maxChars / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.slice(0, cut.lastIndexOf(' '))}…`;
+}
+
+/**
+ * Pull question/answer pairs from a Markdown FAQ section ("## FAQ" followed by "### Question" headings)
+ */
+function extractFaqFromMarkdown(markdown) {
+  const section = markdown.match(/^#{2,3}\s*(?:FAQs?|Frequently Asked Questions)\b.*$([\s\S]*?)(?=^#{1,2}\s|(?![\s\S]))/im);
+  if (!section) return [];
+
+  return section[1]
+    .split(/^#{3,4}\s+/m)
+    .slice(1)
+    .map(block => {
+      const [question, ...answer] = block.trim().split('\n');
+      return { question: question.replace(/\*\*/g, '').trim(), answer: answer.join(' ').replace(/\*\*/g, '').trim() };
+    })
+    .filter(item => item.question && item.answer);
+}
+
+function buildFaqPage(faq) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'FAQPage',
+    mainEntity: faq.map(item => ({
+      '@type': 'Question',
+      name: item.question,
+      acceptedAnswer: {
+        '@type': 'Answer',
+        text: item.answer
+      }
+    }))
+  };
+}
+
+function buildEntityStub(type, name, description) {
+  const stub = { '@context': SCHEMA_CONTEXT, '@type': type, name };
+  if (description) stub.description = description;
+
+  if (type === 'SportsEvent') {
+    stub.competitor = [{ '@type': 'SportsTeam', name }];
+  } else if (type === 'MusicEvent') {
+    stub.performer = { '@type': 'MusicGroup', name };
+  }
+
+  return stub;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Validate a JSON-LD node and its typed children against REQUIRED_PROPERTIES
+ * @param {object} options – { allowMissing } properties that may be absent (reported as toComplete)
+ * @returns {{ valid: boolean, errors: string[], toComplete: string[] }}
+ */
+function validateJsonLd(node, { allowMissing = [] } = {}) {
+  const errors = [];
+  const toComplete = [];
+
+  if (node['@context'] !== SCHEMA_CONTEXT) {
+    errors.push(`@context must be ${SCHEMA_CONTEXT}`);
+  }
+
+  const visit = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => visit(item, `${path}[${i}]`));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    const type = value['@type'];
+    if (type && !REQUIRED_PROPERTIES[type]) {
+      errors.push(`${path} has unsupported @type ${type}`);
+    }
+
+    (REQUIRED_PROPERTIES[type] || []).forEach(property => {
+      if (!isEmpty(value[property])) return;
+      if (path === node['@type'] && allowMissing.includes(property)) {
+        toComplete.push(property);
+      } else {
+        errors.push(`${path}.${property} is required`);
+      }
+    });
+
+    Object.entries(value)
+      .filter(([key]) => !key.startsWith('@'))
+      .forEach(([key, child]) => visit(child, `${path}.${key}`));
+  };
+
+  visit(node, node['@type'] || 'root');
+  return { valid: errors.length === 0, errors, toComplete };
+}
+
+/**
+ * Build and validate the JSON-LD for a generated page
+ * Only nodes that pass validation are returned in items; event stubs list the properties the CMS must add
+ * @returns {{ items: object[], validation: object }} validation is keyed by @type
+ */
+function generateJsonLd({ pageName, description, faq = null, metaDescription = null, competitorInsights = null }) {
+  const items = [];
+  const validation = {};
+
+  // FAQ items the model got wrong even after its retries are left out
+  const structuredFaq = Array.isArray(faq)
+    ? faq.filter(item => typeof item?.question === 'string' && typeof item?.answer === 'string')
+    : [];
+  const faqItems = structuredFaq.length > 0 ? structuredFaq : extractFaqFromMarkdown(description || '');
+  if (faqItems.length > 0) {
+    const faqPage = buildFaqPage(faqItems);
+    validation.FAQPage = validateJsonLd(faqPage);
+    if (validation.FAQPage.valid) items.push(faqPage);
+  }
+
+  const type = inferEntityType(pageName, competitorInsights);
+  const entity = buildEntityStub(type, entityNameFromPage(pageName), metaDescription || summarize(description || ''));
+  validation[type] = validateJsonLd(entity, { allowMissing: STUB_PROPERTIES[type] || [] });
+  if (validation[type].valid) items.push(entity);
+
+  return { items, validation };
+}
+
+module.exports = {
+  REQUIRED_PROPERTIES,
+  inferEntityType,
+  extractFaqFromMarkdown,
+  validateJsonLd,
+  generateJsonLd
+};
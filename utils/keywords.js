@@ -0,0 +1,68 @@
+/**
+ * Secondary keyword selection and coverage
+ * Picks the highest-volume keyword ideas for a page and checks which of them the copy actually uses
+ */
+
+const { SYSTEM_CONFIG } = require('../config/constants');
+
+function normalizeKeyword(keyword) {
+  return keyword.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Top keyword ideas by search volume, without the page keyword itself or duplicates
+ * @param {Array<{ keyword, searchVolume }>} ideas
+ * @returns {Array<{ keyword, searchVolume }>}
+ */
+function selectSecondaryKeywords(pageName, ideas, limit = SYSTEM_CONFIG.keywords.maxSecondary) {
+  const page = normalizeKeyword(pageName);
+  const core = page.replace(/\btickets?\b/g, '').replace(/\s+/g, ' ').trim();
+  const excluded = new Set([page, core, `${core} ticket`, `${core} tickets`]);
+  const best = new Map();
+
+  ideas.forEach(idea => {
+    const key = normalizeKeyword(idea.keyword);
+    if (!key || excluded.has(key)) return;
+    if (!best.has(key) || idea.searchVolume > best.get(key).searchVolume) {
+      best.set(key, { keyword: key, searchVolume: idea.searchVolume || 0 });
+    }
+  });
+
+  return Array.from(best.values())
+    .sort((a, b) => b.searchVolume - a.searchVolume)
+    .slice(0, limit);
+}
+
+/**
+ * Which keywords appear in the copy (case-insensitive, ignoring Markdown, punctuation between words and plural "s")
+ * @returns {{ covered: string[], missing: string[], ratio: number }}
+ */
+function measureCoverage(text, keywords) {
+  const plain = (text || '').replace(/\*\*|__|[*_`#]/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+  const covered = [];
+  const missing = [];
+
+  keywords.forEach(keyword => {
+    const words = normalizeKeyword(keyword).split(' ').map(word => {
+      const singular = word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word;
+      return `${escapeRegExp(singular)}s?`;
+    });
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[^\\p{L}\\p{N}]+')}(?![\\p{L}\\p{N}])`, 'iu');
+    (pattern.test(plain) ? covered : missing).push(keyword);
+  });
+
+  return {
+    covered,
+    missing,
+    ratio: keywords.length > 0 ? Number((covered.length / keywords.length).toFixed(2)) : 1
+  };
+}
+
+module.exports = {
+  selectSecondaryKeywords,
+  measureCoverage
+};
@@ -0,0 +1,225 @@
+/**
+ * Locales
+ * A locale pairs a DataForSEO location with one of the languages it offers (config/locations.json) and carries
+ * the market's copy rules from MARKETS: the spelling variant and the currency the copy refers to
+ */
+
+const { MARKETS, SPELLING_VARIANTS, SYSTEM_CONFIG } = require('../config/constants');
+const { languages, locations } = require('../config/locations.json');
+
+// Language names accepted before the list followed DataForSEO's codes
+const LANGUAGE_ALIASES = { chinese: 'zh-CN', norwegian: 'nb' };
+
+const SPELLING_LABELS = { american: 'American', british: 'British' };
+
+/**
+ * @typedef {object} Locale
+ * @property {string} id – language code and country, e.g. "en-GB"
+ * @property {{ code: number, name: string, countryIso: string }} location – DataForSEO location
+ * @property {{ code: string, name: string }} language – DataForSEO language
+ * @property {object} market – { spelling, spellingExamples, avoidedSpellings, currency, foreignCurrency }; spelling
+ *   and currency are null for locales without MARKETS rules
+ */
+
+/**
+ * Language by DataForSEO code ("en", "zh-CN") or name ("English"), case-insensitive
+ * @returns {{ code, name }|null}
+ */
+function findLanguage(value) {
+  if (value === undefined || value === null) return null;
+  const wanted = String(value).trim().toLowerCase();
+  const alias = LANGUAGE_ALIASES[wanted]?.toLowerCase();
+  return languages.find(language =>
+    [language.code.toLowerCase(), language.name.toLowerCase()].some(key => key === wanted || key === alias)
+  ) || null;
+}
+
+/**
+ * Location by DataForSEO code (2826 or "2826"), ISO country code ("GB") or name, case-insensitive
+ * @returns {{ code, name, countryIso, languages }|null}
+ */
+function findLocation(value) {
+  if (value === undefined || value === null) return null;
+  const wanted = String(value).trim().toLowerCase();
+  return locations.find(location =>
+    String(location.code) === wanted || location.countryIso.toLowerCase() === wanted || location.name.toLowerCase() === wanted
+  ) || null;
+}
+
+function localeId(language, location) {
+  return `${language.code}-${location.countryIso}`;
+}
+
+function currencyTokens(currency) {
+  return currency ? [currency.symbol, ...currency.words] : [];
+}
+
+/**
+ * Copy rules for a locale; currencies of the other markets in the same language are the ones to avoid
+ */
+function describeMarket(id, languageCode) {
+  const rules = MARKETS[id] || {};
+  const spelling = rules.spelling || null;
+  const own = new Set(currencyTokens(rules.currency).map(token => token.toLowerCase()));
+  const foreignCurrency = Object.entries(MARKETS)
+    .filter(([otherId]) => otherId !== id && otherId.startsWith(`${languageCode}-`))
+    .flatMap(([, other]) => currencyTokens(other.currency))
+    .filter((token, index, all) => !own.has(token.toLowerCase()) && all.indexOf(token) === index);
+
+  return {
+    spelling: spelling && SPELLING_LABELS[spelling],
+    spellingExamples: spelling ? SPELLING_VARIANTS.slice(0, 5).map(pair => pair[spelling === 'american' ? 0 : 1]) : [],
+    avoidedSpellings: spelling ? SPELLING_VARIANTS.map(pair => pair[spelling === 'american' ? 1 : 0]) : [],
+    currency: rules.currency || null,
+    foreignCurrency: rules.currency ? foreignCurrency : []
+  };
+}
+
+function buildLocale(location, language) {
+  const id = localeId(language, location);
+  return {
+    id,
+    location: { code: location.code, name: location.name, countryIso: location.countryIso },
+    language: { code: language.code, name: language.name },
+    market: describeMarket(id, language.code)
+  };
+}
+
+function invalid(error, message) {
+  return { error: { status: 400, error, message } };
+}
+
+/**
+ * The locale of a request: a locale id ("en-GB"), or a location and language (default
+ * SYSTEM_CONFIG.defaultLocation and defaultLanguage)
+ * @returns {{ locale?: Locale, error?: { status, error, message } }}
+ */
+function lookupLocale({ locale = null, location = null, language = null } = {}) {
+  if (locale !== null && locale !== undefined) {
+    const match = /^(.+)-([a-z]{2})$/i.exec(String(locale).trim());
+    const requestedLanguage = match && findLanguage(match[1]);
+    const requestedLocation = match && findLocation(match[2]);
+    if (!requestedLanguage || !requestedLocation) {
+      return invalid('Invalid locale', `Unknown locale "${locale}"; use a language code and country, e.g. en-GB or es-US`);
+    }
+    location = requestedLocation.code;
+    language = requestedLanguage.code;
+  }
+
+  const resolvedLocation = findLocation(location ?? SYSTEM_CONFIG.defaultLocation);
+  if (!resolvedLocation) {
+    return invalid('Invalid location', `Unknown location "${location}"; GET /api/locales lists the DataForSEO locations`);
+  }
+  const resolvedLanguage = findLanguage(language ?? SYSTEM_CONFIG.defaultLanguage);
+  if (!resolvedLanguage) {
+    return invalid('Invalid language', `Unknown language "${language}"; GET /api/locales lists the DataForSEO languages`);
+  }
+  if (!resolvedLocation.languages.includes(resolvedLanguage.code)) {
+    const available = resolvedLocation.languages.map(code => findLanguage(code).name);
+    return invalid(
+      'Unsupported locale',
+      `${resolvedLanguage.name} is not available for ${resolvedLocation.name}; available: ${available.join(', ')}`
+    );
+  }
+
+  return { locale: buildLocale(resolvedLocation, resolvedLanguage) };
+}
+
+/**
+ * Check a requested locale, or location and language pair, before any work starts
+ * @returns {{ error?: { status, error, message } }}
+ */
+function validateLocale(params) {
+  const { error } = lookupLocale(params);
+  return error ? { error } : {};
+}
+
+/**
+ * Locale of a validated request
+ * @returns {Locale}
+ * @throws {Error} when the locale is invalid
+ */
+function resolveLocale(params) {
+  const { locale, error } = lookupLocale(params);
+  if (error) throw new Error(error.message);
+  return locale;
+}
+
+/**
+ * Market copy rules of a locale, for the prompts and the linter; a locale id of null has no rules
+ * @returns {{ id, country, spelling, spellingExamples, avoidedSpellings, currency, foreignCurrency }}
+ */
+function getMarket(localeId = null) {
+  if (!localeId) {
+    return { id: null, country: null, ...describeMarket(null, null) };
+  }
+  const { id, location, market } = resolveLocale({ locale: localeId });
+  return { id, country: location.name, ...market };
+}
+
+/**
+ * Check the markets requested for a multi-market run: distinct, valid locale ids, at most
+ * SYSTEM_CONFIG.locales.maxMarkets
+ * @returns {{ error?: { status, error, message } }}
+ */
+function validateMarkets(markets) {
+  const fail = (message) => invalid('Invalid markets', message);
+
+  if (!Array.isArray(markets) || markets.length === 0) {
+    return fail('markets must be a list of locales, e.g. ["en-GB", "en-US"]');
+  }
+  if (markets.length > SYSTEM_CONFIG.locales.maxMarkets) {
+    return fail(`Maximum ${SYSTEM_CONFIG.locales.maxMarkets} markets per request`);
+  }
+
+  const ids = [];
+  for (const market of markets) {
+    const { locale, error } = lookupLocale({ locale: market });
+    if (error) return fail(error.message);
+    if (ids.includes(locale.id)) return fail(`Market ${locale.id} is listed more than once`);
+    ids.push(locale.id);
+  }
+  return {};
+}
+
+/**
+ * Languages, locations and the markets with copy rules, for the UI
+ */
+function listLocales() {
+  return {
+    languages,
+    locations: locations.map(({ code, name, countryIso, languages: codes }) => ({ code, name, countryIso, languages: codes })),
+    markets: Object.keys(MARKETS).map(id => {
+      const { location, language, market } = resolveLocale({ locale: id });
+      return { id, location: location.code, language: language.code, name: `${location.name} (${language.name})`, ...market };
+    })
+  };
+}
+
+/**
+ * Check that every MARKETS locale is a language its location offers, at startup
+ * @returns {string[]} the market locale ids
+ * @throws {Error} listing every invalid market
+ */
+function validateAll() {
+  const problems = Object.keys(MARKETS)
+    .map(id => ({ id, error: lookupLocale({ locale: id }).error }))
+    .filter(({ error }) => error)
+    .map(({ id, error }) => `MARKETS "${id}": ${error.message}`);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid market configuration:\n  ${problems.join('\n  ')}`);
+  }
+  return Object.keys(MARKETS);
+}
+
+module.exports = {
+  findLanguage,
+  findLocation,
+  resolveLocale,
+  getMarket,
+  validateLocale,
+  validateMarkets,
+  listLocales,
+  validateAll
+};
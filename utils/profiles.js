@@ -0,0 +1,85 @@
+/**
+ * Prompt profiles
+ * Picks the vertical (sports, concerts, theatre, festivals) a page is written for, either as
+ * requested or by matching the page name against each profile's signals
+ */
+
+const { PROMPT_PROFILES, SYSTEM_CONFIG } = require('../config/constants');
+
+const AUTO = 'auto';
+
+/**
+ * @typedef {object} ProfileChoice
+ * @property {string} id
+ * @property {string} label
+ * @property {'requested'|'classifier'|'default'} source
+ * @property {string[]} matched – signals found in the page name (classifier only)
+ */
+
+function normalize(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+}
+
+/**
+ * Profile by id (with the id included), or the default profile
+ */
+function getProfile(id) {
+  const profileId = PROMPT_PROFILES[id] ? id : SYSTEM_CONFIG.profiles.default;
+  return { id: profileId, ...PROMPT_PROFILES[profileId] };
+}
+
+/**
+ * Score each profile by the signals in the page name; a phrase of several words counts once per word
+ * @returns {{ id: string|null, matched: string[] }} id is null when no signal matches
+ */
+function classifyPage(pageName) {
+  const name = normalize(pageName);
+  let best = { id: null, matched: [], score: 0 };
+
+  Object.entries(PROMPT_PROFILES).forEach(([id, profile]) => {
+    const matched = profile.signals.filter(signal => name.includes(normalize(signal)));
+    const score = matched.reduce((total, signal) => total + signal.split(' ').length, 0);
+    if (score > best.score) best = { id, matched, score };
+  });
+
+  return { id: best.id, matched: best.matched };
+}
+
+/**
+ * Profile for a page: the requested one, or the classifier's pick with "auto" (or nothing) requested
+ * @returns {ProfileChoice}
+ */
+function resolveProfile(requested, pageName) {
+  if (requested && requested !== AUTO && PROMPT_PROFILES[requested]) {
+    return { id: requested, label: PROMPT_PROFILES[requested].label, source: 'requested', matched: [] };
+  }
+
+  const { id, matched } = classifyPage(pageName);
+  const chosen = id || SYSTEM_CONFIG.profiles.default;
+  return { id: chosen, label: PROMPT_PROFILES[chosen].label, source: id ? 'classifier' : 'default', matched };
+}
+
+/**
+ * Check a requested profile before any work starts
+ * @returns {{ error?: { status, error, message } }}
+ */
+function validateProfile(requested) {
+  if (requested === undefined || requested === null || requested === AUTO || PROMPT_PROFILES[requested]) {
+    return {};
+  }
+  return {
+    error: {
+      status: 400,
+      error: 'Unknown profile',
+      message: `profile must be "${AUTO}" or one of: ${Object.keys(PROMPT_PROFILES).join(', ')}`
+    }
+  };
+}
+
+module.exports = {
+  AUTO,
+  getProfile,
+  classifyPage,
+  resolveProfile,
+  validateProfile
+};
@@ -1,47 +1,454 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { SYSTEM_CONFIG, PROMPT_VARIABLES, PROMPT_PROFILES } = require('../config/constants');
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+const PARTIALS_DIR = 'partials';
+const VARIANTS_DIR = 'variants';
+const DEFAULT_VARIANT = 'default';
+const MAX_PARTIAL_DEPTH = 10;
+
+// \{{ is a literal "{{"; otherwise {{var}}, {{#section}}, {{^inverted}}, {{/close}} or {{> partial}}
+const TAG_PATTERN = /\\\{\{|\{\{\s*([#^/>]?)\s*([^{}]*?)\s*\}\}/g;
+const NAME_PATTERN = /^(?:this|\.|@?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)$/;
+const LOOP_META = ['@index', '@number', '@first', '@last'];
+
+/**
+ * Template syntax error or undefined variable, with the file and line it came from
+ */
+class TemplateError extends Error {
+  constructor(message, fileName, line) {
+    super(`${fileName}${line ? `:${line}` : ''}: ${message}`);
+    this.name = 'TemplateError';
+    this.fileName = fileName;
+    this.line = line;
+  }
+}
+
+/**
+ * Template files under a directory of /prompts, as paths relative to /prompts; partials are
+ * left out since they are checked where they are included
+ */
+function listTemplates(dir = '') {
+  return fs.readdirSync(path.join(PROMPTS_DIR, dir), { withFileTypes: true }).flatMap(entry => {
+    const relative = dir ? `${dir}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return entry.name === PARTIALS_DIR ? [] : listTemplates(relative);
+    return entry.name.endsWith('.txt') ? [relative] : [];
+  });
+}
+
+/**
+ * Split "variants/<name>/<file>" into the variant and the template it overrides
+ */
+function parseVariantPath(fileName) {
+  const match = new RegExp(`^${VARIANTS_DIR}/([^/]+)/(.+)$`).exec(fileName);
+  return match ? { variant: match[1], baseFile: match[2] } : { variant: null, baseFile: fileName };
+}
+
+function hash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Split a template into text and tag tokens. Section, close and partial tags that sit alone
+ * on a line take the whole line with them, so blocks do not leave blank lines behind.
+ */
+function tokenize(source, fileName) {
+  const tokens = [];
+  let last = 0;
+  let text = '';
+
+  const pushText = (chunk, offset) => {
+    const stray = chunk.indexOf('{{');
+    if (stray !== -1) {
+      throw new TemplateError(`Malformed tag "${chunk.slice(stray, stray + 20).split('\n')[0]}"`, fileName, lineAt(source, offset + stray));
+    }
+    text += chunk;
+  };
+  const flushText = () => {
+    if (text) tokens.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  let match;
+  while ((match = TAG_PATTERN.exec(source))) {
+    if (match[0] === '\\{{') {
+      pushText(source.slice(last, match.index), last);
+      text += '{{';
+      last = TAG_PATTERN.lastIndex;
+      continue;
+    }
+
+    const [, kind, body] = match;
+    const line = lineAt(source, match.index);
+    let start = match.index;
+    let end = TAG_PATTERN.lastIndex;
+
+    if (kind) {
+      const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+      const lineEnd = source.indexOf('\n', end);
+      const before = source.slice(lineStart, match.index);
+      const after = source.slice(end, lineEnd === -1 ? source.length : lineEnd);
+      if (last <= lineStart && /^[ \t]*$/.test(before) && /^[ \t\r]*$/.test(after)) {
+        start = lineStart;
+        end = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    pushText(source.slice(last, start), last);
+    flushText();
+    tokens.push({ type: 'tag', kind, body, line });
+    last = end;
+    TAG_PATTERN.lastIndex = end;
+  }
+
+  pushText(source.slice(last), last);
+  flushText();
+  return tokens;
+}
+
+function assertName(name, fileName, line) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new TemplateError(`Invalid variable name "${name}"`, fileName, line);
+  }
+}
+
+/**
+ * Build the node tree: text, var, section (normal, inverted or each) and partial nodes
+ */
+function parse(source, fileName) {
+  const root = { children: [] };
+  const stack = [root];
+
+  tokenize(source, fileName).forEach(token => {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      parent.children.push({ type: 'text', value: token.value });
+      return;
+    }
+
+    const { kind, body, line } = token;
+    if (kind === '>') {
+      if (!/^[\w-]+$/.test(body)) throw new TemplateError(`Invalid partial name "${body}"`, fileName, line);
+      parent.children.push({ type: 'partial', name: body, line });
+      return;
+    }
+
+    if (kind === '#' || kind === '^') {
+      const each = kind === '#' && /^each\s/.test(body);
+      const name = each ? body.replace(/^each\s+/, '') : body;
+      if (each && kind !== '#') throw new TemplateError('{{^each}} is not supported', fileName, line);
+      assertName(name, fileName, line);
+
+      const section = { type: 'section', name, each, inverted: kind === '^', line, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+      return;
+    }
+
+    if (kind === '/') {
+      const open = stack.length > 1 ? stack[stack.length - 1] : null;
+      const expected = open && (open.each ? 'each' : open.name);
+      if (!open || body !== expected) {
+        throw new TemplateError(
+          open ? `{{/${body}}} closes {{${open.inverted ? '^' : '#'}${open.each ? 'each ' : ''}${open.name}}} opened on line ${open.line}` : `Unexpected {{/${body}}}`,
+          fileName,
+          line
+        );
+      }
+      stack.pop();
+      return;
+    }
+
+    assertName(body, fileName, line);
+    parent.children.push({ type: 'var', name: body, line });
+  });
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{${open.inverted ? '^' : '#'}${open.each ? 'each ' : ''}${open.name}}}`, fileName, open.line);
+  }
+
+  return root.children;
+}
+
+/**
+ * Names of the partials a node tree includes directly
+ */
+function collectPartials(nodes, names = new Set()) {
+  nodes.forEach(node => {
+    if (node.type === 'partial') names.add(node.name);
+    if (node.children) collectPartials(node.children, names);
+  });
+  return names;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Resolve a name against the scope stack, innermost first: loop items, then the render data
+ * @returns {{ found: boolean, value }}
+ */
+function lookup(name, scopes) {
+  const scope = scopes[scopes.length - 1];
+  if (name === 'this' || name === '.') return { found: true, value: scope.value };
+  if (name.startsWith('@')) return { found: name in scope.meta, value: scope.meta[name] };
+
+  const [head, ...rest] = name.split('.');
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const { value } = scopes[i];
+    if (value !== null && typeof value === 'object' && head in value) {
+      const resolved = rest.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value[head]);
+      return { found: true, value: resolved };
+    }
+  }
+  return { found: false, value: undefined };
+}
 
 /**
  * Simple template loader & renderer for prompt files.
  * Supports:
- *   • {{variable}}           – straight replacement
- *   • {{#variable}} ... {{/variable}} – conditional block (rendered only if value is truthy)
+ *   • {{variable}}, {{item.field}}             – replacement (arrays render one item per line)
+ *   • {{#variable}} ... {{/variable}}          – conditional block (rendered only if value is truthy / a non-empty list)
+ *   • {{^variable}} ... {{/variable}}          – inverted block (rendered only if value is falsy / an empty list)
+ *   • {{#each list}} ... {{/each}}             – loop; inside, {{this}} is the item, {{field}} its fields,
+ *                                                {{@index}} / {{@number}} its 0- / 1-based position, {{@first}} / {{@last}}
+ *   • {{> name}}                               – include prompts/partials/name.txt
+ *   • \{{                                       – a literal "{{"
+ * In strict mode (SYSTEM_CONFIG.prompts.strict) a variable missing from the data is an error;
+ * null renders as an empty string.
+ * Files are re-read when they change on disk, each is versioned by a hash of its content, and a
+ * variant (prompts/variants/<name>/) can override any template or partial for A/B tests.
  */
 class Prompt {
+  // fileName -> { source, mtimeMs, size, hash, nodes }; an entry is replaced when its file changes on disk
   static cache = new Map();
 
+  /**
+   * Cache entry for a template, re-read when the file's modification time or size has changed
+   */
+  static entry(fileName) {
+    const filePath = path.join(PROMPTS_DIR, fileName);
+    const { mtimeMs, size } = fs.statSync(filePath);
+    const cached = Prompt.cache.get(fileName);
+    if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+      return cached;
+    }
+
+    const source = fs.readFileSync(filePath, 'utf8');
+    const entry = { source, mtimeMs, size, hash: hash(source), nodes: null };
+    Prompt.cache.set(fileName, entry);
+    return entry;
+  }
+
   static load(fileName) {
-    if (Prompt.cache.has(fileName)) {
-      return Prompt.cache.get(fileName);
+    return Prompt.entry(fileName).source;
+  }
+
+  /**
+   * Parsed node tree of a template, cached alongside its source
+   */
+  static compile(fileName) {
+    const entry = Prompt.entry(fileName);
+    if (!entry.nodes) {
+      entry.nodes = parse(entry.source, fileName);
     }
-    const filePath = path.join(__dirname, '..', 'prompts', fileName);
-    const content = fs.readFileSync(filePath, 'utf8');
-    Prompt.cache.set(fileName, content);
-    return content;
+    return entry.nodes;
+  }
+
+  static exists(fileName) {
+    return fs.existsSync(path.join(PROMPTS_DIR, fileName));
+  }
+
+  /**
+   * File a variant renders for a template: its override under prompts/variants/<variant>/ when
+   * there is one, otherwise the template itself
+   */
+  static resolve(fileName, variant = null) {
+    if (variant && variant !== DEFAULT_VARIANT) {
+      const override = `${VARIANTS_DIR}/${variant}/${fileName}`;
+      if (Prompt.exists(override)) return override;
+    }
+    return fileName;
+  }
+
+  /**
+   * Prompt variants: "default" plus every directory under prompts/variants
+   */
+  static listVariants() {
+    const dir = path.join(PROMPTS_DIR, VARIANTS_DIR);
+    const variants = fs.existsSync(dir)
+      ? fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+      : [];
+    return [DEFAULT_VARIANT, ...variants.sort()];
+  }
+
+  /**
+   * Content hashes of the files a set of templates renders from (including their partials) for a variant,
+   * and one version for the whole set
+   * @returns {{ version: string, templates: Object<string, string> }} templates maps file paths to hashes
+   */
+  static version(fileNames, { variant = null } = {}) {
+    const templates = {};
+    const visit = (fileName) => {
+      const resolved = Prompt.resolve(fileName, variant);
+      if (templates[resolved]) return;
+      templates[resolved] = Prompt.entry(resolved).hash;
+      collectPartials(Prompt.compile(resolved)).forEach(name => {
+        const partialFile = `${PARTIALS_DIR}/${name}.txt`;
+        if (Prompt.exists(Prompt.resolve(partialFile, variant))) visit(partialFile);
+      });
+    };
+    fileNames.filter(Boolean).forEach(visit);
+
+    const sorted = Object.keys(templates).sort().map(file => `${file}:${templates[file]}`);
+    return { version: hash(sorted.join('\n')), templates };
   }
 
   /**
    * Render a prompt template
    * @param {string} fileName  – template file name under /prompts
    * @param {object} data      – key/value pairs for replacements
+   * @param {object} options   – { strict, variant }; strict overrides SYSTEM_CONFIG.prompts.strict,
+   *                             variant renders the file and its partials from prompts/variants/<variant>/ where overridden
+   */
+  static render(fileName, data = {}, { strict = SYSTEM_CONFIG.prompts.strict, variant = null } = {}) {
+    const scopes = [{ value: data, meta: {} }];
+    const resolved = Prompt.resolve(fileName, variant);
+    return Prompt.renderNodes(Prompt.compile(resolved), scopes, { fileName: resolved, strict, variant, depth: 0 });
+  }
+
+  static renderNodes(nodes, scopes, context) {
+    return nodes.map(node => Prompt.renderNode(node, scopes, context)).join('');
+  }
+
+  static renderNode(node, scopes, context) {
+    const { fileName, strict } = context;
+
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'partial') {
+      const partialFile = Prompt.resolve(`${PARTIALS_DIR}/${node.name}.txt`, context.variant);
+      if (context.depth >= MAX_PARTIAL_DEPTH) {
+        throw new TemplateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep at {{> ${node.name}}}`, fileName, node.line);
+      }
+      if (!Prompt.exists(partialFile)) {
+        throw new TemplateError(`Unknown partial "${node.name}"`, fileName, node.line);
+      }
+      return Prompt.renderNodes(Prompt.compile(partialFile), scopes, { ...context, fileName: partialFile, depth: context.depth + 1 });
+    }
+
+    const { found, value } = lookup(node.name, scopes);
+    if (!found && strict) {
+      throw new TemplateError(`Undefined variable "${node.name}"`, fileName, node.line);
+    }
+
+    if (node.type === 'var') {
+      if (value === null || value === undefined) return '';
+      return Array.isArray(value) ? value.join('\n') : String(value);
+    }
+
+    if (node.each) {
+      if (value === null || value === undefined) return '';
+      if (!Array.isArray(value)) {
+        throw new TemplateError(`{{#each ${node.name}}} needs a list`, fileName, node.line);
+      }
+      return value.map((item, index) => Prompt.renderNodes(node.children, [...scopes, {
+        value: item,
+        meta: { '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === value.length - 1 }
+      }], context)).join('');
+    }
+
+    return isTruthy(value) !== node.inverted ? Prompt.renderNodes(node.children, scopes, context) : '';
+  }
+
+  /**
+   * Check every template under /prompts at startup, as rendered for each variant: syntax, partials
+   * that exist, variables outside loops that are declared for the template in PROMPT_VARIABLES,
+   * variant files that override an existing template, and the templates each prompt profile names
+   * (brand example files are checked by the brand registry)
+   * @returns {string[]} the template files checked
+   * @throws {TemplateError} listing every problem found
    */
-  static render(fileName, data = {}) {
-    let tpl = Prompt.load(fileName);
+  static validateAll() {
+    const problems = new Set();
+    const files = listTemplates();
+    const baseFiles = files.filter(fileName => !parseVariantPath(fileName).variant);
+
+    Object.entries(PROMPT_PROFILES).forEach(([id, profile]) => {
+      [profile.templates.system, profile.templates.user].forEach(fileName => {
+        if (!baseFiles.includes(fileName)) problems.add(`Profile "${id}" names missing template ${fileName}`);
+      });
+    });
 
-    // Conditional sections {{#var}} ... {{/var}}
-    tpl = tpl.replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (m, varName, inner) => {
-      const val = data[varName];
-      return val ? inner : '';
+    files.forEach(fileName => {
+      const { variant, baseFile } = parseVariantPath(fileName);
+      if (variant && !baseFiles.includes(baseFile)) {
+        problems.add(`${fileName} overrides ${baseFile}, which does not exist`);
+      }
     });
 
-    // Simple {{var}} replacements
-    tpl = tpl.replace(/{{(\w+)}}/g, (m, varName) => {
-      const val = data[varName];
-      return (val !== undefined && val !== null) ? val : '';
+    Prompt.listVariants().forEach(variant => {
+      baseFiles.forEach(baseFile => {
+        const fileName = Prompt.resolve(baseFile, variant);
+        try {
+          const declared = PROMPT_VARIABLES[baseFile];
+          Prompt.checkNodes(Prompt.compile(fileName), fileName, declared ? new Set(declared) : null,
+            { variant, loopDepth: 0, depth: 0 }, problems);
+        } catch (error) {
+          problems.add(error.message);
+        }
+      });
     });
 
-    return tpl;
+    if (problems.size > 0) {
+      throw new TemplateError(`Invalid prompt templates:\n  ${[...problems].join('\n  ')}`, PROMPTS_DIR);
+    }
+    return files;
+  }
+
+  static checkNodes(nodes, fileName, declared, { variant, loopDepth, depth }, problems) {
+    nodes.forEach(node => {
+      if (node.type === 'text') return;
+
+      if (node.type === 'partial') {
+        const partialFile = Prompt.resolve(`${PARTIALS_DIR}/${node.name}.txt`, variant);
+        if (!Prompt.exists(partialFile)) {
+          problems.add(new TemplateError(`Unknown partial "${node.name}"`, fileName, node.line).message);
+          return;
+        }
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          problems.add(new TemplateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep`, fileName, node.line).message);
+          return;
+        }
+        Prompt.checkNodes(Prompt.compile(partialFile), partialFile, declared, { variant, loopDepth, depth: depth + 1 }, problems);
+        return;
+      }
+
+      // Inside a loop a name may be a field of the item, which cannot be checked here
+      const head = node.name.split('.')[0];
+      if (declared && loopDepth === 0 && head !== 'this' && head !== '.' && !declared.has(head)) {
+        problems.add(new TemplateError(`Undeclared variable "${node.name}"`, fileName, node.line).message);
+      }
+      if (head.startsWith('@') && (loopDepth === 0 || !LOOP_META.includes(node.name))) {
+        problems.add(new TemplateError(`"${node.name}" is only available inside {{#each}}`, fileName, node.line).message);
+      }
+
+      if (node.type === 'section') {
+        Prompt.checkNodes(node.children, fileName, declared, { variant, loopDepth: loopDepth + (node.each ? 1 : 0), depth }, problems);
+      }
+    });
   }
 }
 
-module.exports = Prompt; 
\ No newline at end of file
+module.exports = Prompt;
+module.exports.TemplateError = TemplateError;
+module.exports.DEFAULT_VARIANT = DEFAULT_VARIANT;
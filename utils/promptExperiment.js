@@ -0,0 +1,145 @@
+/**
+ * Prompt experiments
+ * Side-by-side comparison of two prompt variants run on the same pages: linter scores,
+ * word-count compliance, retries needed and cost
+ */
+
+const Prompt = require('./prompt');
+
+/**
+ * @typedef {object} VariantSummary
+ * @property {string} variant
+ * @property {string[]} promptVersions – content hashes of the description templates used
+ * @property {number} pages
+ * @property {number} successful
+ * @property {{ averageScore: number|null, passRate: number|null }} lint
+ * @property {{ average: number|null, complianceRate: number|null }} wordCount
+ * @property {{ total: number, average: number|null, firstAttemptRate: number|null }} retries
+ * @property {{ total: number, averagePerPage: number|null, requests: number }} cost – every request of the run,
+ *   including retries, competitor analysis and SEO fields
+ */
+
+function round(value, digits = 3) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+}
+
+function share(items, predicate) {
+  return items.length > 0 ? items.filter(predicate).length / items.length : null;
+}
+
+/**
+ * Summary of one variant's run
+ * @param {object} run – { variant, results, usage } with results as returned by processPagesConcurrently
+ *   and usage the registry's usage summary for the run
+ * @returns {VariantSummary}
+ */
+function summarizeRun({ variant, results, usage }) {
+  const completed = results.filter(result => result.success);
+  const retries = completed.map(result => Math.max((result.attempts || 1) - 1, 0));
+
+  return {
+    variant,
+    promptVersions: [...new Set(completed.map(result => result.prompt?.version).filter(Boolean))],
+    pages: results.length,
+    successful: completed.length,
+    lint: {
+      averageScore: round(average(completed.map(result => result.lint.score))),
+      passRate: round(share(completed, result => result.lint.passed))
+    },
+    wordCount: {
+      average: round(average(completed.map(result => result.wordCount)), 0),
+      complianceRate: round(share(completed, result => result.isValidLength))
+    },
+    retries: {
+      total: retries.reduce((total, count) => total + count, 0),
+      average: round(average(retries)),
+      firstAttemptRate: round(share(retries, count => count === 0))
+    },
+    cost: {
+      total: usage.totalCost,
+      averagePerPage: completed.length > 0 ? round(usage.totalCost / completed.length, 4) : null,
+      requests: usage.requestCount
+    }
+  };
+}
+
+/**
+ * Per-page metrics of one result, for the side-by-side table
+ */
+function pageMetrics(result) {
+  if (!result || !result.success) {
+    return { success: false, error: result?.error || null };
+  }
+  return {
+    success: true,
+    lintScore: result.lint.score,
+    lintPassed: result.lint.passed,
+    wordCount: result.wordCount,
+    isValidLength: result.isValidLength,
+    attempts: result.attempts || 1,
+    cost: result.usage?.cost ?? null
+  };
+}
+
+function difference(a, b) {
+  return a === null || b === null ? null : round(b - a, 4);
+}
+
+/**
+ * Compare two variant runs over the same page list
+ * @param {Array<{ variant, results, usage }>} runs – [control, challenger]
+ * @returns {{ variants: VariantSummary[], differences: object, pages: object[] }} differences are challenger minus control
+ */
+function buildComparisonReport(runs) {
+  const [control, challenger] = runs.map(summarizeRun);
+  const [controlRun, challengerRun] = runs;
+
+  return {
+    variants: [control, challenger],
+    differences: {
+      lintAverageScore: difference(control.lint.averageScore, challenger.lint.averageScore),
+      lintPassRate: difference(control.lint.passRate, challenger.lint.passRate),
+      wordCountComplianceRate: difference(control.wordCount.complianceRate, challenger.wordCount.complianceRate),
+      averageRetries: difference(control.retries.average, challenger.retries.average),
+      totalCost: difference(control.cost.total, challenger.cost.total)
+    },
+    pages: controlRun.results.map((result, index) => ({
+      pageName: result.pageName,
+      variants: {
+        [control.variant]: pageMetrics(result),
+        [challenger.variant]: pageMetrics(challengerRun.results[index])
+      }
+    }))
+  };
+}
+
+/**
+ * Check the variants requested for an experiment: two different names of existing variants
+ * @returns {{ error?: { status, error, message } }}
+ */
+function validateVariants(variants) {
+  const available = Prompt.listVariants();
+  const invalid = (message) => ({ error: { status: 400, error: 'Invalid variants', message } });
+
+  if (!Array.isArray(variants) || variants.length !== 2) {
+    return invalid('Provide exactly two prompt variants to compare, e.g. ["default", "my-variant"]');
+  }
+  if (variants[0] === variants[1]) {
+    return invalid('The two variants must be different');
+  }
+  const unknown = variants.filter(variant => !available.includes(variant));
+  if (unknown.length > 0) {
+    return invalid(`Unknown variant(s): ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+  }
+  return {};
+}
+
+module.exports = {
+  validateVariants,
+  summarizeRun,
+  buildComparisonReport
+};
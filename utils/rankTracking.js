@@ -0,0 +1,81 @@
+/**
+ * Own-domain rank tracking
+ * Finds where one of our own domains ranks in a SERP and recommends what to do with the page
+ */
+
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { getBrand } = require('./brands');
+
+const RECOMMENDATIONS = {
+  refresh: 'refresh_existing', // We rank, but below the top spot: improve the ranking page
+  create: 'new_page', // None of our domains rank: publish a new page
+  skip: 'skip' // We already rank #1: leave the page alone
+};
+
+/**
+ * A brand's own domains; OWN_DOMAINS (comma-separated) overrides those of the default brand
+ * @param {object} brand – brand object, the default brand when left out
+ * @returns {string[]} lower-case hostnames without "www."
+ */
+function getOwnDomains(brand = getBrand(), env = process.env) {
+  const configured = env.OWN_DOMAINS && brand.id === SYSTEM_CONFIG.brands.default
+    ? env.OWN_DOMAINS.split(',')
+    : brand.domains;
+
+  return configured
+    .map(domain => domain.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Whether a hostname is one of our domains or a subdomain of one
+ */
+function isOwnDomain(hostname, ownDomains) {
+  const host = (hostname || '').toLowerCase().replace(/^www\./, '');
+  return ownDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Best-placed organic result from one of our domains
+ * @param {Array<{ position, url, domain, title, description }>} organicResults
+ * @returns {{ position, url, domain, serpTitle, serpSnippet }|null}
+ */
+function findOwnRanking(organicResults, ownDomains) {
+  const match = (organicResults || [])
+    .filter(result => isOwnDomain(result.domain || hostnameOf(result.url), ownDomains))
+    .sort((a, b) => a.position - b.position)[0];
+
+  if (!match) return null;
+
+  return {
+    position: match.position,
+    url: match.url,
+    domain: match.domain || hostnameOf(match.url),
+    serpTitle: match.title || null,
+    serpSnippet: match.description || null
+  };
+}
+
+/**
+ * "skip" at #1, "refresh_existing" when ranking anywhere else, "new_page" when not ranking at all
+ */
+function recommendAction(ranking) {
+  if (!ranking) return RECOMMENDATIONS.create;
+  return ranking.position <= 1 ? RECOMMENDATIONS.skip : RECOMMENDATIONS.refresh;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  RECOMMENDATIONS,
+  getOwnDomains,
+  isOwnDomain,
+  findOwnRanking,
+  recommendAction
+};
@@ -0,0 +1,314 @@
+/**
+ * Page refresh
+ * Loads an existing page from its URL (through the competitor content pipeline) or its text, hides its protected
+ * sections from the model behind placeholders and puts them back word for word, and diffs the refreshed page
+ * against the original
+ */
+
+const { SYSTEM_CONFIG } = require('../config/constants');
+const { getOwnDomains, isOwnDomain } = require('./rankTracking');
+
+const PLACEHOLDER_PATTERN = /\[\[PROTECTED_(\d+)\]\]/g;
+const MARKER_START = /^<!--\s*protected\s*-->$/i;
+const MARKER_END = /^<!--\s*\/protected\s*-->$/i;
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*$/;
+
+function fail(status, error, message) {
+  return { error: { status, error, message } };
+}
+
+function toLines(text) {
+  return String(text || '').replace(/\r\n?/g, '\n').split('\n');
+}
+
+// Heading text as it is compared: no Markdown emphasis, case or extra whitespace
+function normalizeHeading(text) {
+  return String(text).replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (_) {
+    return null;
+  }
+}
+
+function placeholder(number) {
+  return `[[PROTECTED_${number}]]`;
+}
+
+/**
+ * Headings of a page, in order (Markdown, or text extracted from HTML, which marks headings the same way)
+ * @returns {Array<{ level, text }>}
+ */
+function listHeadings(content) {
+  return toLines(content)
+    .map(line => HEADING_PATTERN.exec(line.trim()))
+    .filter(Boolean)
+    .map(match => ({ level: match[1].length, text: match[2].replace(/[*_`]/g, '') }));
+}
+
+/**
+ * Check the protectedSections of a refresh request: a list of heading texts
+ * @returns {{ error?: { status, error, message } }}
+ */
+function validateProtectedSections(protectedSections) {
+  const { maxProtectedSections } = SYSTEM_CONFIG.refresh;
+  if (protectedSections === null || protectedSections === undefined) return {};
+  if (!Array.isArray(protectedSections) || protectedSections.some(heading => typeof heading !== 'string' || heading.trim() === '')) {
+    return fail(400, 'Invalid protected sections', 'protectedSections must be a list of the headings to keep unchanged');
+  }
+  if (protectedSections.length > maxProtectedSections) {
+    return fail(400, 'Invalid protected sections', `Maximum ${maxProtectedSections} protected sections per page`);
+  }
+  return {};
+}
+
+/**
+ * The page a refresh request starts from: its content as sent, or its main content fetched from its URL through
+ * DataForSEOService.getCompetitorContent (robots.txt, redirects and canonicals handled like a competitor page)
+ * Only URLs on the brand's own domains are fetched
+ * @param {object} params – { url, content }
+ * @param {object|null} dataForSEO – needed for url
+ * @param {object} brand – brand object whose domains the url must be on
+ * @returns {Promise<{ page?: { url, finalUrl, title, content }, error?: { status, error, message } }>}
+ */
+async function loadPage({ url = null, content = null }, dataForSEO, brand) {
+  const { maxContentChars } = SYSTEM_CONFIG.refresh;
+  const hasContent = typeof content === 'string' && content.trim() !== '';
+
+  if (!url === !hasContent) {
+    return fail(400, 'Invalid page', 'Provide either the url of the page to refresh or its content');
+  }
+
+  let page = { url: null, finalUrl: null, title: null, content };
+  if (url) {
+    if (typeof url !== 'string' || !/^https?:\/\/[^/\s]+/i.test(url)) {
+      return fail(400, 'Invalid page', `Invalid url "${url}"; use an absolute http(s) URL`);
+    }
+    const ownDomains = getOwnDomains(brand);
+    if (!isOwnDomain(hostnameOf(url), ownDomains)) {
+      return fail(400, 'Invalid page', `${url} is not on one of the "${brand.id}" brand's domains (${ownDomains.join(', ')})`);
+    }
+    if (!dataForSEO) {
+      return fail(503, 'DataForSEO service not configured', 'Fetching a page by url needs DataForSEO; send the page content instead');
+    }
+    const { pages, excluded } = await dataForSEO.getCompetitorContent([url], 1);
+    if (pages.length === 0) {
+      const reason = excluded[0] || { reason: 'fetch_failed', message: 'No content' };
+      return fail(422, 'Page could not be fetched', `${url} (${reason.reason.replace(/_/g, ' ')}): ${reason.message}`);
+    }
+    page = { url, finalUrl: pages[0].finalUrl, title: pages[0].title || null, content: pages[0].content };
+  }
+
+  if (page.content.length > maxContentChars) {
+    return fail(400, 'Invalid page', `The page has ${page.content.length} characters; at most ${maxContentChars} can be refreshed`);
+  }
+  return { page };
+}
+
+/**
+ * Replace the protected parts of a page with placeholders the model is asked to copy: the section under each of
+ * the headings (matched case-insensitively, up to the next heading at the same or a higher level) and
+ * everything between <!-- protected --> and <!-- /protected --> markers, markers included
+ * Markers only work in content sent with the request: a page fetched from its URL goes through the content
+ * extractor, which drops HTML comments, so its sections can only be protected by heading
+ * @param {string[]} headings – headings whose sections are protected
+ * @returns {{ text, sections: Array<{ id, heading, text }>, unmatched: string[] }}
+ *   id is the placeholder, e.g. "[[PROTECTED_1]]"; unmatched lists the headings the page does not have
+ */
+function protectSections(content, headings = []) {
+  const wanted = new Set((headings || []).map(normalizeHeading));
+  const found = new Set();
+  const lines = toLines(content);
+  const output = [];
+  const sections = [];
+
+  const protect = (heading, sectionLines) => {
+    const id = placeholder(sections.length + 1);
+    sections.push({ id, heading, text: sectionLines.join('\n').trim() });
+    output.push(id);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+
+    if (MARKER_START.test(line)) {
+      // An unclosed marker protects the rest of the page
+      let end = lines.findIndex((other, index) => index > i && MARKER_END.test(other.trim()));
+      if (end === -1) end = lines.length - 1;
+      const heading = listHeadings(lines.slice(i, end + 1).join('\n'))[0];
+      protect(heading ? heading.text : 'Marked section', lines.slice(i, end + 1));
+      i = end;
+      continue;
+    }
+
+    const match = HEADING_PATTERN.exec(line);
+    const key = match && normalizeHeading(match[2]);
+    if (key && wanted.has(key)) {
+      const level = match[1].length;
+      let end = i + 1;
+      while (end < lines.length) {
+        const next = HEADING_PATTERN.exec(lines[end].trim());
+        if (next && next[1].length <= level) break;
+        if (MARKER_START.test(lines[end].trim())) break;
+        end++;
+      }
+      found.add(key);
+      protect(match[2].replace(/[*_`]/g, ''), lines.slice(i, end));
+      i = end - 1;
+      continue;
+    }
+
+    output.push(lines[i]);
+  }
+
+  return {
+    text: output.join('\n'),
+    sections,
+    unmatched: (headings || []).filter(heading => !found.has(normalizeHeading(heading)))
+  };
+}
+
+/**
+ * Check that every protected heading of a refresh request is on the loaded page
+ * @returns {{ error?: { status, error, message } }}
+ */
+function checkProtectedSections(content, headings) {
+  const { unmatched } = protectSections(content, headings || []);
+  if (unmatched.length === 0) return {};
+  const available = listHeadings(content).map(heading => heading.text);
+  return fail(
+    400,
+    'Unknown protected section',
+    `No "${unmatched.join('", "')}" heading on the page; its headings are: ${available.length > 0 ? available.join(', ') : 'none'}`
+  );
+}
+
+/**
+ * Put the protected sections back in place of their placeholders
+ * @returns {{ text, passed, missing: string[], repeated: string[], inOrder: boolean }}
+ *   missing and repeated list placeholders the model dropped or copied more than once; the text is only
+ *   complete when passed
+ */
+function restoreSections(text, sections) {
+  const occurrences = [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[0]);
+  const ids = sections.map(section => section.id);
+  const missing = ids.filter(id => !occurrences.includes(id));
+  const repeated = ids.filter(id => occurrences.filter(other => other === id).length > 1);
+  const known = occurrences.filter(id => ids.includes(id));
+  const inOrder = known.every((id, index) => index === 0 || ids.indexOf(id) > ids.indexOf(known[index - 1]));
+  const byId = new Map(sections.map(section => [section.id, section.text]));
+
+  return {
+    text: String(text || '').replace(PLACEHOLDER_PATTERN, id => byId.has(id) ? byId.get(id) : ''),
+    passed: missing.length === 0 && repeated.length === 0 && inOrder && known.length === occurrences.length,
+    missing,
+    repeated,
+    inOrder
+  };
+}
+
+/**
+ * Failed protected-section checks as feedback for the next attempt
+ */
+function describeProtectionIssues(check) {
+  const issues = [];
+  if (check.missing.length > 0) issues.push(`- Protected sections: include ${check.missing.join(', ')} exactly as written`);
+  if (check.repeated.length > 0) issues.push(`- Protected sections: include ${check.repeated.join(', ')} only once`);
+  if (!check.inOrder) issues.push('- Protected sections: keep the placeholders in their original order');
+  return issues.join('\n') || '- Protected sections: use only the placeholders listed above';
+}
+
+/**
+ * Word limits for a refreshed page: the brand's, unless the original is longer, in which case the refresh stays
+ * within SYSTEM_CONFIG.refresh.lengthTolerance of the original length instead of cutting the page down
+ * @returns {{ min, max }}
+ */
+function refreshWordLimits(wordCount, brandLimits) {
+  if (wordCount <= brandLimits.max) return brandLimits;
+  const { lengthTolerance } = SYSTEM_CONFIG.refresh;
+  return {
+    min: Math.max(brandLimits.min, Math.floor(wordCount * (1 - lengthTolerance))),
+    max: Math.ceil(wordCount * (1 + lengthTolerance))
+  };
+}
+
+// Non-empty lines, without protected-section markers
+function toBlocks(text) {
+  return toLines(text)
+    .map(line => line.trim())
+    .filter(line => line !== '' && !MARKER_START.test(line) && !MARKER_END.test(line));
+}
+
+// A block as it is compared: a page fetched from its URL has lost its bold text and links
+function normalizeBlock(block) {
+  return block
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_)(?=\S)([^*_]*?\S)\1/g, '$2')
+    .replace(/^[-*+]\s+/, '- ')
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/**
+ * Block-by-block diff of a refreshed page against the original, by longest common subsequence
+ * @returns {{ changes: Array<{ type: 'unchanged'|'added'|'removed', text }>, stats: { unchanged, added, removed, similarity } }}
+ *   similarity is the share of blocks the two versions have in common (0-1)
+ */
+function diffPages(original, refreshed) {
+  const before = toBlocks(original);
+  const after = toBlocks(refreshed);
+  const a = before.map(normalizeBlock);
+  const b = after.map(normalizeBlock);
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      changes.push({ type: 'unchanged', text: after[j] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      changes.push({ type: 'removed', text: before[i++] });
+    } else {
+      changes.push({ type: 'added', text: after[j++] });
+    }
+  }
+
+  const count = type => changes.filter(change => change.type === type).length;
+  const unchanged = count('unchanged');
+  return {
+    changes,
+    stats: {
+      unchanged,
+      added: count('added'),
+      removed: count('removed'),
+      similarity: before.length + after.length === 0 ? 1 : Number((2 * unchanged / (before.length + after.length)).toFixed(2))
+    }
+  };
+}
+
+module.exports = {
+  listHeadings,
+  validateProtectedSections,
+  loadPage,
+  protectSections,
+  checkProtectedSections,
+  restoreSections,
+  describeProtectionIssues,
+  refreshWordLimits,
+  diffPages
+};
@@ -0,0 +1,97 @@
+/**
+ * robots.txt parsing and matching (RFC 9309)
+ * Groups are picked by the crawler's product token, falling back to "*"; the longest matching
+ * rule wins and "allow" wins a tie
+ */
+
+/**
+ * @typedef {object} RobotsGroup
+ * @property {string[]} agents – lower-case user-agent tokens
+ * @property {Array<{ allow: boolean, pattern: string }>} rules
+ */
+
+/**
+ * Parse a robots.txt body into groups
+ * @returns {RobotsGroup[]}
+ */
+function parseRobotsTxt(body) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(body || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current || (field !== 'allow' && field !== 'disallow')) return;
+    // An empty Disallow allows everything, so it adds no rule
+    if (!value) return;
+    current.rules.push({ allow: field === 'allow', pattern: value });
+  });
+
+  return groups;
+}
+
+/**
+ * Product token of a user agent string, e.g. "SeatPickBot" for "SeatPickBot/1.0 (+https://…)"
+ */
+function productToken(userAgent) {
+  return String(userAgent || '').split(/[\s/]/)[0].toLowerCase();
+}
+
+/**
+ * Rules that apply to the user agent: every group naming its product token, otherwise the "*" groups
+ */
+function rulesFor(groups, userAgent) {
+  const token = productToken(userAgent);
+  const named = groups.filter(group => group.agents.some(agent => agent !== '*' && token && token.includes(agent)));
+  const applicable = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+  return applicable.flatMap(group => group.rules);
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether the user agent may fetch a path (path + query string)
+ */
+function isAllowed(groups, userAgent, path) {
+  let decision = null;
+
+  rulesFor(groups, userAgent).forEach(rule => {
+    if (!patternToRegExp(rule.pattern).test(path)) return;
+    const length = rule.pattern.length;
+    if (!decision || length > decision.length || (length === decision.length && rule.allow)) {
+      decision = { allow: rule.allow, length };
+    }
+  });
+
+  return decision ? decision.allow : true;
+}
+
+module.exports = {
+  parseRobotsTxt,
+  isAllowed
+};
@@ -0,0 +1,138 @@
+/**
+ * Structured SEO fields (meta title, meta description, H1, FAQ)
+ * JSON schema for structured model output, response parsing and per-field validation
+ */
+
+const { BRAND_GUIDELINES } = require('../config/constants');
+
+const LIMITS = BRAND_GUIDELINES.seoFields;
+
+const FIELD_SCHEMAS = {
+  metaTitle: {
+    type: 'string',
+    description: `HTML <title> tag text, at most ${LIMITS.metaTitle.maxChars} characters`
+  },
+  metaDescription: {
+    type: 'string',
+    description: `Meta description, at most ${LIMITS.metaDescription.maxChars} characters`
+  },
+  h1: {
+    type: 'string',
+    description: `Main on-page heading, at most ${LIMITS.h1.maxChars} characters`
+  },
+  faq: {
+    type: 'array',
+    description: `${LIMITS.faq.minItems} to ${LIMITS.faq.maxItems} frequently asked questions with answers`,
+    items: {
+      type: 'object',
+      properties: {
+        question: { type: 'string' },
+        answer: { type: 'string' }
+      },
+      required: ['question', 'answer'],
+      additionalProperties: false
+    }
+  }
+};
+
+const SEO_FIELD_NAMES = Object.keys(FIELD_SCHEMAS);
+
+/**
+ * JSON schema for a subset of fields (lets failed fields be requested again on their own)
+ */
+function buildSeoSchema(fieldNames = SEO_FIELD_NAMES) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(fieldNames.map(name => [name, FIELD_SCHEMAS[name]])),
+    required: fieldNames,
+    additionalProperties: false
+  };
+}
+
+/**
+ * Parse a JSON object from model output, tolerating Markdown code fences and surrounding text
+ */
+function parseJsonResponse(text) {
+  const unfenced = text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch (_) {
+    const start = unfenced.indexOf('{');
+    const end = unfenced.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('Model response did not contain a JSON object');
+    }
+    return JSON.parse(unfenced.slice(start, end + 1));
+  }
+}
+
+function isFilled(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function checkText(value, maxChars) {
+  if (!isFilled(value)) {
+    return ['is missing'];
+  }
+  const length = value.trim().length;
+  return length > maxChars ? [`is ${length} characters, the limit is ${maxChars}`] : [];
+}
+
+const VALIDATORS = {
+  metaTitle: value => checkText(value, LIMITS.metaTitle.maxChars),
+  metaDescription: value => checkText(value, LIMITS.metaDescription.maxChars),
+  h1: value => checkText(value, LIMITS.h1.maxChars),
+  faq: (value) => {
+    if (!Array.isArray(value)) {
+      return ['is missing'];
+    }
+
+    const issues = [];
+    const { minItems, maxItems, maxAnswerWords } = LIMITS.faq;
+    if (value.length < minItems || value.length > maxItems) {
+      issues.push(`has ${value.length} questions, expected ${minItems} to ${maxItems}`);
+    }
+
+    value.forEach((item, i) => {
+      if (!isFilled(item?.question) || !isFilled(item?.answer)) {
+        issues.push(`item ${i + 1} needs both a question and an answer as text`);
+        return;
+      }
+      const answerWords = item.answer.trim().split(/\s+/).length;
+      if (answerWords > maxAnswerWords) {
+        issues.push(`answer ${i + 1} is ${answerWords} words, the limit is ${maxAnswerWords}`);
+      }
+    });
+
+    return issues;
+  }
+};
+
+/**
+ * Validate each field against its own rules
+ * @returns {object} { [field]: { valid, issues[] } }
+ */
+function validateSeoFields(fields, fieldNames = SEO_FIELD_NAMES) {
+  return Object.fromEntries(fieldNames.map(name => {
+    const issues = VALIDATORS[name](fields?.[name]);
+    return [name, { valid: issues.length === 0, issues }];
+  }));
+}
+
+/**
+ * Human-readable retry feedback for the fields that failed validation
+ */
+function describeSeoIssues(validation) {
+  return Object.entries(validation)
+    .filter(([, result]) => !result.valid)
+    .map(([name, result]) => `- ${name} ${result.issues.join('; ')}`)
+    .join('\n');
+}
+
+module.exports = {
+  SEO_FIELD_NAMES,
+  buildSeoSchema,
+  parseJsonResponse,
+  validateSeoFields,
+  describeSeoIssues
+};
@@ -0,0 +1,239 @@
+/**
+ * SERP feature model
+ * Parses the items of a DataForSEO organic/live/advanced response into typed SERP features
+ */
+
+const { SYSTEM_CONFIG } = require('../config/constants');
+
+/**
+ * @typedef {object} OrganicResult
+ * @property {number} position
+ * @property {string} title
+ * @property {string} description
+ * @property {string} url
+ * @property {string} domain
+ * @property {string} breadcrumb
+ * @property {boolean} isTopStory
+ * @property {boolean} isFeatured
+ *
+ * @typedef {object} PeopleAlsoAsk
+ * @property {string} question
+ * @property {string|null} answer – the expanded answer snippet, when Google shows one
+ * @property {string|null} url    – source of the answer
+ *
+ * @typedef {object} FeaturedSnippet
+ * @property {string} title
+ * @property {string} description
+ * @property {string} url
+ * @property {string} domain
+ *
+ * @typedef {object} KnowledgeGraph
+ * @property {string} title
+ * @property {string|null} subtitle
+ * @property {string|null} description
+ * @property {string|null} url
+ * @property {Array<{ label: string, value: string }>} facts
+ *
+ * @typedef {object} SerpEvent
+ * @property {string} title
+ * @property {string|null} startDate
+ * @property {string|null} endDate
+ * @property {string|null} displayedDates
+ * @property {string|null} venue
+ * @property {string|null} address
+ * @property {string|null} url
+ *
+ * @typedef {object} TopStory
+ * @property {string} title
+ * @property {string|null} source
+ * @property {string|null} url
+ * @property {string|null} publishedAt
+ *
+ * @typedef {object} SerpFeatures
+ * @property {PeopleAlsoAsk[]} peopleAlsoAsk
+ * @property {string[]} relatedSearches
+ * @property {FeaturedSnippet|null} featuredSnippet
+ * @property {KnowledgeGraph|null} knowledgeGraph
+ * @property {SerpEvent[]} events
+ * @property {TopStory[]} topStories
+ */
+
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function itemsOfType(items, type) {
+  return items.filter(item => item && item.type === type);
+}
+
+/**
+ * @returns {OrganicResult[]}
+ */
+function parseOrganic(items) {
+  return itemsOfType(items, 'organic').map(item => ({
+    position: item.rank_absolute,
+    title: item.title,
+    description: item.description,
+    url: item.url,
+    domain: item.domain,
+    breadcrumb: item.breadcrumb,
+    isTopStory: item.is_top_stories || false,
+    isFeatured: item.is_featured_snippet || false
+  }));
+}
+
+/**
+ * @returns {PeopleAlsoAsk[]}
+ */
+function parsePeopleAlsoAsk(items) {
+  return itemsOfType(items, 'people_also_ask')
+    .flatMap(item => item.items || [])
+    .filter(element => text(element.title))
+    .map(element => {
+      const expanded = (element.expanded_element || [])[0] || {};
+      return {
+        question: text(element.title),
+        answer: text(expanded.description),
+        url: text(expanded.url)
+      };
+    });
+}
+
+/**
+ * @returns {string[]}
+ */
+function parseRelatedSearches(items) {
+  return itemsOfType(items, 'related_searches')
+    .flatMap(item => item.items || [])
+    .map(text)
+    .filter(Boolean);
+}
+
+/**
+ * @returns {FeaturedSnippet|null}
+ */
+function parseFeaturedSnippet(items) {
+  const [snippet] = itemsOfType(items, 'featured_snippet');
+  if (!snippet) return null;
+
+  return {
+    title: text(snippet.featured_title) || text(snippet.title),
+    description: text(snippet.description),
+    url: text(snippet.url),
+    domain: text(snippet.domain)
+  };
+}
+
+/**
+ * @returns {KnowledgeGraph|null}
+ */
+function parseKnowledgeGraph(items) {
+  const [graph] = itemsOfType(items, 'knowledge_graph');
+  if (!graph) return null;
+
+  const children = graph.items || [];
+  const description = itemsOfType(children, 'knowledge_graph_description_item').map(item => text(item.text)).find(Boolean);
+  const facts = [
+    ...itemsOfType(children, 'knowledge_graph_row_item')
+      .map(item => ({ label: text(item.title), value: text(item.text) })),
+    ...itemsOfType(children, 'knowledge_graph_list_item')
+      .map(item => ({ label: text(item.title), value: (item.data || []).map(entry => text(entry.title)).filter(Boolean).join(', ') }))
+  ].filter(fact => fact.label && fact.value);
+
+  return {
+    title: text(graph.title),
+    subtitle: text(graph.sub_title),
+    description: description || text(graph.description),
+    url: text(graph.url),
+    facts
+  };
+}
+
+/**
+ * @returns {SerpEvent[]}
+ */
+function parseEvents(items) {
+  return itemsOfType(items, 'events')
+    .flatMap(item => item.items || [])
+    .filter(event => text(event.title))
+    .map(event => ({
+      title: text(event.title),
+      startDate: text(event.event_dates?.start_datetime),
+      endDate: text(event.event_dates?.end_datetime),
+      displayedDates: text(event.event_dates?.displayed_dates),
+      venue: text(event.location_info?.name),
+      address: text(event.location_info?.address),
+      url: text(event.url)
+    }));
+}
+
+/**
+ * @returns {TopStory[]}
+ */
+function parseTopStories(items) {
+  return itemsOfType(items, 'top_stories')
+    .flatMap(item => item.items || [])
+    .filter(story => text(story.title))
+    .map(story => ({
+      title: text(story.title),
+      source: text(story.source) || text(story.domain),
+      url: text(story.url),
+      publishedAt: text(story.timestamp) || text(story.date)
+    }));
+}
+
+/**
+ * Parse every supported SERP feature
+ * @returns {{ organicResults: OrganicResult[], features: SerpFeatures }}
+ */
+function parseSerpItems(items = []) {
+  return {
+    organicResults: parseOrganic(items),
+    features: {
+      peopleAlsoAsk: parsePeopleAlsoAsk(items),
+      relatedSearches: parseRelatedSearches(items),
+      featuredSnippet: parseFeaturedSnippet(items),
+      knowledgeGraph: parseKnowledgeGraph(items),
+      events: parseEvents(items),
+      topStories: parseTopStories(items)
+    }
+  };
+}
+
+/**
+ * Prompt material taken from the SERP: PAA questions as FAQ candidates and
+ * knowledge graph facts for the history section. Events and top stories are
+ * left out because the copy must stay evergreen.
+ * @returns {{ faqCandidates: string[], historyFacts: string[] }}
+ */
+function buildSerpContext(features) {
+  if (!features) return { faqCandidates: [], historyFacts: [] };
+
+  const { maxFaqCandidates, maxHistoryFacts } = SYSTEM_CONFIG.serp;
+  const graph = features.knowledgeGraph;
+
+  return {
+    faqCandidates: [...new Set((features.peopleAlsoAsk || []).map(item => item.question))].slice(0, maxFaqCandidates),
+    historyFacts: graph
+      ? [
+        ...(graph.description ? [graph.description] : []),
+        ...graph.facts.map(fact => `${fact.label}: ${fact.value}`)
+      ].slice(0, maxHistoryFacts)
+      : []
+  };
+}
+
+/**
+ * Names of the features present in a SERP, for progress events and logs
+ */
+function listFeatures(features) {
+  return Object.entries(features || {})
+    .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : !!value))
+    .map(([name]) => name);
+}
+
+module.exports = {
+  parseSerpItems,
+  buildSerpContext,
+  listFeatures
+};
@@ -0,0 +1,196 @@
+/**
+ * Near-duplicate detection for generated descriptions
+ * Paragraphs are compared with word shingles and MinHash signatures; headings are compared
+ * after the page's own keyword is masked, so "Why Choose SeatPick for Arsenal Tickets?" and
+ * "Why Choose SeatPick for Chelsea Tickets?" count as the same heading
+ */
+
+const { SYSTEM_CONFIG } = require('../config/constants');
+
+const KEYWORD_MASK = '{page}';
+
+// Seeds for the MinHash permutations (fixed so stored signatures stay comparable)
+const SEEDS = Array.from({ length: SYSTEM_CONFIG.similarity.signatureSize }, (_, i) => hash32(`minhash-seed-${i}`));
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash32(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Murmur3 finalizer, used to derive each permutation from a single shingle hash
+ */
+function mix(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lower-case, strip Markdown and punctuation, and replace the page keyword with a placeholder
+ */
+function normalize(text, pageName) {
+  const core = pageName.replace(/\btickets?\b/gi, '').trim();
+  let normalized = text.toLowerCase().replace(/[*_`#]/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+
+  [pageName, core].filter(Boolean).forEach(variant => {
+    normalized = normalized.replace(new RegExp(escapeRegExp(variant.toLowerCase()), 'g'), KEYWORD_MASK);
+  });
+
+  return normalized
+    .replace(/[^\p{L}\p{N}{}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shingles(text, size = SYSTEM_CONFIG.similarity.shingleSize) {
+  const words = text.split(' ').filter(Boolean);
+  const result = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+/**
+ * MinHash signature of a shingle set
+ */
+function minHash(shingleSet) {
+  const signature = new Array(SEEDS.length).fill(0xffffffff);
+  shingleSet.forEach(shingle => {
+    const base = hash32(shingle);
+    for (let i = 0; i < SEEDS.length; i++) {
+      const value = mix(base ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  });
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ */
+function estimateSimilarity(a, b) {
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) matches++;
+  }
+  return matches / a.length;
+}
+
+/**
+ * Break a description into normalized headings and signed paragraphs
+ * @returns {{ pageName, headings: Array<{ text, normalized }>, paragraphs: Array<{ excerpt, signature }> }}
+ */
+function fingerprint(pageName, description) {
+  const headings = [];
+  const paragraphs = [];
+
+  description.split(/\n\s*\n|\n(?=#)/).map(block => block.trim()).filter(Boolean).forEach(block => {
+    const lines = block.split('\n');
+    if (/^#{1,6}\s/.test(lines[0])) {
+      const text = lines[0].replace(/^#{1,6}\s+/, '').replace(/\*\*/g, '').trim();
+      headings.push({ text, normalized: normalize(text, pageName) });
+      lines.shift();
+    }
+
+    const paragraph = lines.join(' ').trim();
+    const normalized = normalize(paragraph, pageName);
+    if (normalized.split(' ').length >= SYSTEM_CONFIG.similarity.minParagraphWords) {
+      paragraphs.push({
+        excerpt: paragraph.length > 160 ? `${paragraph.slice(0, 157)}...` : paragraph,
+        signature: minHash(shingles(normalized))
+      });
+    }
+  });
+
+  return { pageName, headings, paragraphs };
+}
+
+/**
+ * Compare a fingerprint with other pages
+ * @param {Array<{ fingerprint, source }>} others – source is 'batch' or 'corpus'
+ * @returns {{ flagged, repeatedHeadings, duplicateParagraphs, maxSimilarity }}
+ */
+function findDuplicates(document, others) {
+  const { paragraphThreshold, allowedHeadings } = SYSTEM_CONFIG.similarity;
+  const repeatedHeadings = [];
+  const duplicateParagraphs = [];
+  let maxSimilarity = 0;
+
+  others.forEach(({ fingerprint: other, source }) => {
+    document.headings.forEach(heading => {
+      const allowed = allowedHeadings.some(pattern => new RegExp(pattern, 'i').test(heading.normalized));
+      const match = !allowed && other.headings.find(candidate => candidate.normalized === heading.normalized);
+      if (match) {
+        repeatedHeadings.push({ heading: heading.text, matchedPage: other.pageName, matchedHeading: match.text, source });
+      }
+    });
+
+    document.paragraphs.forEach((paragraph, index) => {
+      other.paragraphs.forEach(candidate => {
+        const similarity = estimateSimilarity(paragraph.signature, candidate.signature);
+        maxSimilarity = Math.max(maxSimilarity, similarity);
+        if (similarity >= paragraphThreshold) {
+          duplicateParagraphs.push({
+            paragraph: index,
+            excerpt: paragraph.excerpt,
+            matchedPage: other.pageName,
+            matchedExcerpt: candidate.excerpt,
+            similarity: Number(similarity.toFixed(2)),
+            source
+          });
+        }
+      });
+    });
+  });
+
+  return {
+    flagged: repeatedHeadings.length > 0 || duplicateParagraphs.length > 0,
+    repeatedHeadings,
+    duplicateParagraphs,
+    maxSimilarity: Number(maxSimilarity.toFixed(2))
+  };
+}
+
+/**
+ * Prompt instruction asking the model to move away from the flagged wording
+ */
+function describeDuplicates(duplicates) {
+  const lines = ['IMPORTANT: The previous draft reused wording from other pages we publish. Write this page with fresh wording.'];
+
+  const headings = [...new Set(duplicates.repeatedHeadings.map(item => item.heading))];
+  if (headings.length > 0) {
+    lines.push(`Do not use these headings or close variants of them: ${headings.map(heading => `"${heading}"`).join(', ')}.`);
+  }
+
+  const paragraphs = [...new Set(duplicates.duplicateParagraphs.map(item => item.excerpt))];
+  if (paragraphs.length > 0) {
+    lines.push('Rewrite the ideas in these paragraphs with different phrasing and structure:');
+    paragraphs.forEach(excerpt => lines.push(`- "${excerpt}"`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  fingerprint,
+  findDuplicates,
+  describeDuplicates,
+  estimateSimilarity
+};
@@ -3,23 +3,45 @@
  * Uses tiktoken for accurate token counting
  */
 
-const { encoding_for_model } = require('tiktoken');
+const { encoding_for_model, get_encoding } = require('tiktoken');
 const { TOKEN_PRICING } = require('../config/constants');
 const { logger } = require('./logger');
 
+// Encodings for model families tiktoken does not know by name
+// Non-OpenAI models (Gemini, Claude) use their own tokenizers, so cl100k_base is only an estimate
+const FALLBACK_ENCODINGS = [
+  { pattern: /^(gpt-4o|gpt-4\.1|o\d)/, encoding: 'o200k_base' },
+  { pattern: /^(gemini|claude)/, encoding: 'cl100k_base' }
+];
+
+// Models already reported as missing encoding or pricing data, so each is only logged once
+const reportedModels = { encoding: new Set(), pricing: new Set() };
+
+function warnOnce(kind, model, message) {
+  if (!reportedModels[kind].has(model)) {
+    reportedModels[kind].add(model);
+    logger.warn(message);
+  }
+}
+
 class TokenCounter {
   constructor(model = 'gpt-4o') {
     this.model = model;
+    this.encoding = TokenCounter.loadEncoding(model);
+  }
+
+  /**
+   * Get the tiktoken encoding for a model, falling back by model family
+   */
+  static loadEncoding(model) {
     try {
-      // Get the appropriate encoding for the model
-      // Gemini models use similar tokenization to GPT models for estimation
-      const encodingModel = model.startsWith('gemini') ? 'gpt-4' : model;
-      this.encoding = encoding_for_model(encodingModel);
-    } catch (error) {
-      logger.warn(`Could not load encoding for model ${model}, using default cl100k_base`, error);
-      // Fallback to cl100k_base encoding
-      const { get_encoding } = require('tiktoken');
-      this.encoding = get_encoding('cl100k_base');
+      return encoding_for_model(model);
+    } catch (_) {
+      const fallback = FALLBACK_ENCODINGS.find(({ pattern }) => pattern.test(model));
+      if (!fallback) {
+        warnOnce('encoding', model, `Could not load encoding for model ${model}, using default cl100k_base`);
+      }
+      return get_encoding(fallback ? fallback.encoding : 'cl100k_base');
     }
   }
 
@@ -72,7 +94,7 @@ class TokenCounter {
   calculateCost(inputTokens, outputTokens) {
     const pricing = TOKEN_PRICING[this.model];
     if (!pricing) {
-      logger.warn(`No pricing data for model ${this.model}`);
+      warnOnce('pricing', this.model, `No pricing data for model ${this.model}`);
       return { inputCost: 0, outputCost: 0, totalCost: 0 };
     }
 
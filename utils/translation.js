@@ -0,0 +1,112 @@
+/**
+ * Translation checks
+ * Compares a translated description with the approved original it was translated from: the same headings at
+ * the same levels and the same link targets, so a localized page is built exactly like the source page
+ */
+
+const { findLinks } = require('./internalLinks');
+const { resolveLocale } = require('./locales');
+
+/**
+ * Heading levels in order (2 for ##, 3 for ###) and link targets of a Markdown description
+ * @returns {{ headings: number[], links: string[] }}
+ */
+function describeStructure(markdown) {
+  const text = String(markdown || '');
+  return {
+    headings: (text.match(/^#{1,6}(?=\s)/gm) || []).map(marks => marks.length),
+    links: findLinks(text).map(link => link.url)
+  };
+}
+
+/**
+ * Check a translation against its source
+ * @returns {{ passed, headings: { expected, found, matches }, links: { missing, added } }}
+ *   headings compares the heading levels in order; missing lists source link targets the translation dropped
+ *   or changed, added the link targets it introduced
+ */
+function compareStructure(source, translation) {
+  const original = describeStructure(source);
+  const translated = describeStructure(translation);
+  const matches = original.headings.length === translated.headings.length &&
+    original.headings.every((level, index) => translated.headings[index] === level);
+  const missing = [...new Set(original.links.filter(url => !translated.links.includes(url)))];
+  const added = [...new Set(translated.links.filter(url => !original.links.includes(url)))];
+
+  return {
+    passed: matches && missing.length === 0 && added.length === 0,
+    headings: { expected: original.headings.length, found: translated.headings.length, matches },
+    links: { missing, added }
+  };
+}
+
+/**
+ * Failed structure checks as feedback for the next attempt
+ */
+function describeStructureIssues(structure) {
+  const issues = [];
+  if (!structure.headings.matches) {
+    issues.push(`- Headings: the original has ${structure.headings.expected} ## and ### headings; keep every one, in the same order and at the same level (found ${structure.headings.found})`);
+  }
+  if (structure.links.missing.length > 0) {
+    issues.push(`- Links: keep these URLs exactly as written: ${structure.links.missing.join(', ')}`);
+  }
+  if (structure.links.added.length > 0) {
+    issues.push(`- Links: do not add links the original does not have: ${structure.links.added.join(', ')}`);
+  }
+  return issues.join('\n');
+}
+
+/**
+ * The description a translation request starts from: the description and page name it was sent, or a completed
+ * generation from the history, whose brand is used unless the request names one
+ * @param {object} params – { description, pageName, sourceLanguage, generationId }
+ * @param {object|null} generations – the generation store
+ * @returns {{ source?: { description, pageName, sourceLanguage, generationId, brand }, error?: { status, error, message } }}
+ */
+function loadSource({ description = null, pageName = null, sourceLanguage = null, generationId = null }, generations) {
+  const fail = (status, error, message) => ({ error: { status, error, message } });
+
+  if (!generationId) {
+    if (typeof description !== 'string' || description.trim() === '' || typeof pageName !== 'string' || pageName.trim() === '') {
+      return fail(400, 'Invalid source', 'Provide a description and the pageName it targets, or a generationId');
+    }
+    return { source: { description, pageName: pageName.trim(), sourceLanguage: sourceLanguage || 'English', generationId: null, brand: null } };
+  }
+
+  if (!generations) {
+    return fail(503, 'Generation history unavailable', 'SQLite storage is disabled or could not be opened, so generationId cannot be used');
+  }
+  const record = generations.get(generationId);
+  if (!record) {
+    return fail(404, 'Generation not found', `No stored generation with id ${generationId}`);
+  }
+  if (record.status !== 'completed' || !record.description) {
+    return fail(400, 'Invalid source', `Generation ${generationId} has no description to translate`);
+  }
+
+  let language = sourceLanguage;
+  if (!language) {
+    try {
+      language = resolveLocale({ locale: record.inputs?.locale, location: record.location, language: record.language }).language.name;
+    } catch (_) {
+      language = 'English';
+    }
+  }
+  return {
+    source: {
+      description: record.description,
+      pageName: record.pageName,
+      sourceLanguage: language,
+      generationId: record.id,
+      brand: record.inputs?.brand || null
+    }
+  };
+}
+
+module.exports = {
+  loadSource,
+  describeStructure,
+  compareStructure,
+  describeStructureIssues
+};